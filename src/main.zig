@@ -12,10 +12,13 @@ const compute = @import("webgpu/compute.zig");
 
 // Web utils
 const webinputs = @import("webutils/webinputs.zig");
+const params = @import("webutils/params.zig");
 
 // Particle Life modules
 const simulation = @import("particle_life/simulation.zig");
 const particle = @import("particle_life/particle.zig");
+const system = @import("particle_life/system.zig");
+const stats = @import("particle_life/stats.zig");
 
 // Global simulation state
 var time_elapsed: f32 = 0.0;
@@ -25,12 +28,45 @@ var initial_seed: u32 = 42;
 var last_canvas_width: f32 = 0;
 var last_canvas_height: f32 = 0;
 
+// Blue noise view for dithering, applied to every simulation built (0 = none yet)
+var blue_noise_view: u32 = 0;
+
+// Camera to restore when the simulation is rebuilt after a device reset
+var saved_camera: ?particle.CameraParams = null;
+
+// While paused only input and rendering run: no compute passes are encoded,
+// except for steps requested explicitly through step()
+var paused: bool = false;
+
 // Simulation parameters
 var particle_count: u32 = 65536; // Default matches slider
 var species_count: u32 = 6; // Default matches slider
 var sim_width: f32 = 1024.0; // Default matches slider
 var sim_height: f32 = 1024.0; // Default matches slider
 
+// Between beginParamBatch() and endParamBatch() rebuilds are held back and done once at the end
+var param_batch: bool = false;
+var rebuild_pending: bool = false;
+
+// Species colors and force matrix loaded or edited from JS
+// When set, initSimulation() uses it instead of generating a system from the seed
+var custom_system: ?system.SystemData = null;
+
+// Particles of a snapshot, filled in by JS (allocParticles) and used once by the next initSimulation()
+// instead of scattering new ones
+var loaded_particles: ?[]particle.Particle = null;
+
+// How new systems pick their species colors (setPalette)
+var palette: system.Palette = .random;
+
+// Where initSimulation() places the particles, and the species image for the image layout (allocLayoutImage)
+var initial_layout: particle.InitialLayout = .uniform;
+var layout_image: ?simulation.LayoutImage = null;
+var layout_image_pixels: ?[]u8 = null;
+
+/// Largest layout image side; cell pixel indices are packed into 24 bits (see particle.InitParams)
+const MAX_LAYOUT_IMAGE_SIZE: u32 = 1024;
+
 // WASM FFI exports - these will be called from JavaScript
 
 /// Initialize the simulation
@@ -72,11 +108,29 @@ export fn setDevice(device_handle: u32) void {
 /// Set the blue noise texture for dithering
 export fn setBlueNoiseTexture(texture_handle: u32, view_handle: u32) void {
     _ = texture_handle; // Not needed, we only need the view
+    blue_noise_view = view_handle;
     if (sim) |*s| {
         s.setBlueNoiseTexture(view_handle);
     }
 }
 
+/// Forget every GPU object after the device was lost
+/// The next frame after setDevice() rebuilds the simulation with the same seed,
+/// parameters, species and camera; particle positions are regenerated
+export fn resetDevice() void {
+    if (sim) |*s| {
+        saved_camera = s.camera;
+    }
+
+    // The old objects died with the device, so don't destroy them through the FFI
+    stats.reset();
+    sim = null;
+    sim_initialized = false;
+    blue_noise_view = 0;
+    device.init(handles.INVALID_HANDLE);
+    log("Device reset, simulation will be rebuilt");
+}
+
 /// Called when canvas resizes
 export fn onResize(width: f32, height: f32) void {
     last_canvas_width = width;
@@ -88,30 +142,65 @@ export fn onResize(width: f32, height: f32) void {
 }
 
 /// Update simulation frame
-/// Called every frame from JavaScript's requestAnimationFrame
+/// Applies input, advances physics by dt (unless paused) and renders in one call
+/// (the JS fixed-step loop uses processInput/step/renderFrame separately)
 export fn update(dt: f32) void {
-    time_elapsed += dt;
+    processInput();
+    if (!paused) {
+        step(dt);
+    }
+    renderFrame();
+}
+
+export fn setPaused(is_paused: bool) void {
+    paused = is_paused;
+}
+
+export fn isPaused() bool {
+    return paused;
+}
 
-    // Only render if device is initialized
+/// Apply this frame's input (camera pan/zoom, attract/repel, options) and reset per-frame input state
+/// Called once per animation frame, before any steps
+export fn processInput() void {
+    if (ensureSimulation()) |s| {
+        s.handleInput(&webinputs.state, 0.0);
+    }
+    webinputs.state.resetPerFrame();
+}
+
+/// Advance physics by one step of dt seconds without rendering
+/// Runs even while paused, which is how single-stepping works
+export fn step(dt: f32) void {
+    if (ensureSimulation()) |s| {
+        time_elapsed += dt;
+        s.update(dt);
+    }
+}
+
+/// Render the current particle state
+export fn renderFrame() void {
+    if (ensureSimulation()) |s| {
+        s.render();
+    }
+}
+
+/// The running simulation, initialized on first use once the device is ready
+fn ensureSimulation() ?*simulation.Simulation {
+    // Only simulate/render if device is initialized
     if (!device.isInitialized()) {
-        return;
+        return null;
     }
 
-    // Initialize simulation on first frame
     if (!sim_initialized) {
         initSimulation();
         sim_initialized = true;
     }
 
-    // Update and render particles!
     if (sim) |*s| {
-        s.handleInput(&webinputs.state, dt);
-        s.update(dt);
-        s.render();
-
-        // Reset per-frame input state
-        webinputs.state.resetPerFrame();
+        return s;
     }
+    return null;
 }
 
 /// Initialize the particle simulation
@@ -124,45 +213,86 @@ fn initSimulation() void {
         sim = null;
     }
 
+    // Objects created from here on belong to the new simulation (for JS leak reporting)
+    js_handles_next_generation();
+
+    // Loaded particles only apply if the count still matches (see loadParticles)
+    const initial_particles = if (loaded_particles) |particles| (if (particles.len == particle_count) particles else null) else null;
+
     sim = simulation.Simulation.init(
         particle_count,
         species_count,
         sim_width,
         sim_height,
         initial_seed,
+        initial_layout,
+        layout_image,
         webinputs.state.symmetric_forces,
         webinputs.state.friction,
+        palette,
+        if (custom_system) |*c| c else null,
+        initial_particles,
     ) catch {
         log("ERROR: Failed to initialize simulation");
+        freeLoadedParticles();
         return;
     };
+    freeLoadedParticles();
 
-    if (last_canvas_width > 0 and last_canvas_height > 0) {
-        if (sim) |*s| {
+    if (sim) |*s| {
+        if (last_canvas_width > 0 and last_canvas_height > 0) {
             s.updateCamera(last_canvas_width, last_canvas_height);
         }
+        if (saved_camera) |camera| {
+            s.setView(camera.center_x, camera.center_y, camera.extent_x);
+            saved_camera = null;
+        }
+        if (blue_noise_view != 0) {
+            s.setBlueNoiseTexture(blue_noise_view);
+        }
     }
 
     log("✓ Particle simulation initialized");
 }
 
+/// Rebuild the running simulation for new parameters, or note it while parameters are batched
+fn rebuildSimulation() void {
+    if (!sim_initialized) return;
+    if (param_batch) {
+        rebuild_pending = true;
+        return;
+    }
+    initSimulation();
+}
+
 // === New Exports for UI Controls ===
 
+/// Hold back rebuilds while JS applies a whole system (parameters, restart or loaded particles)
+export fn beginParamBatch() void {
+    param_batch = true;
+}
+
+/// Rebuild once if anything since beginParamBatch() asked for it
+export fn endParamBatch() void {
+    param_batch = false;
+    if (rebuild_pending) {
+        rebuild_pending = false;
+        rebuildSimulation();
+    }
+}
+
 export fn setParticleCount(count: u32) void {
     if (particle_count != count) {
         particle_count = count;
-        if (sim_initialized) {
-            initSimulation();
-        }
+        rebuildSimulation();
     }
 }
 
 export fn setSpeciesCount(count: u32) void {
     if (species_count != count) {
         species_count = count;
-        if (sim_initialized) {
-            initSimulation();
-        }
+        custom_system = null; // Matrix no longer matches the species count
+        rebuildSimulation();
     }
 }
 
@@ -170,26 +300,125 @@ export fn setSimulationSize(width: f32, height: f32) void {
     if (sim_width != width or sim_height != height) {
         sim_width = width;
         sim_height = height;
-        if (sim_initialized) {
-            initSimulation();
-        }
+        rebuildSimulation();
+    }
+}
+
+/// Set any parameter from the schema in params.zig, clamped to its range
+/// Restart parameters rebuild the simulation, the others take effect on the next frame
+export fn setParam(key: u32, value: f32) void {
+    const param = params.find(key) orelse return;
+    const v = params.sanitize(param, value);
+    switch (key) {
+        params.keys.particle_count => setParticleCount(@intFromFloat(v)),
+        params.keys.species_count => setSpeciesCount(@intFromFloat(v)),
+        params.keys.width => setSimulationSize(v, sim_height),
+        params.keys.height => setSimulationSize(sim_width, v),
+        else => webinputs.setSimOption(key, v),
     }
 }
 
 export fn randomize() void {
     // Simple LCG to generate new seed from current one
     initial_seed = (initial_seed *% 1664525) +% 1013904223;
-    if (sim_initialized) {
-        initSimulation();
-    }
+    custom_system = null;
+    rebuildSimulation();
 }
 
 export fn restart() void {
-    if (sim_initialized) {
-        initSimulation();
+    rebuildSimulation();
+}
+
+/// Seed the current system was generated from (for URL/system sharing)
+export fn getSeed() u32 {
+    return initial_seed;
+}
+
+/// Set the seed used by the next restart (for loading saved systems and presets)
+/// Drops any edited or loaded matrix, so the system is generated from the seed unless species are written afterwards
+export fn setSeed(seed: u32) void {
+    initial_seed = seed;
+    custom_system = null;
+}
+
+export fn getSpeciesCount() u32 {
+    return @min(species_count, system.MAX_SPECIES);
+}
+
+/// Pointer to the current species colors (getSpeciesCount() × particle.Species)
+/// Returns 0 before the simulation is initialized
+export fn getSpeciesPtr() usize {
+    if (sim) |*s| {
+        return @intFromPtr(&s.system_data.species);
+    }
+    return 0;
+}
+
+/// Pointer to the current force matrix (getSpeciesCount()² × particle.Force, row-major)
+/// Returns 0 before the simulation is initialized
+export fn getForcesPtr() usize {
+    if (sim) |*s| {
+        return @intFromPtr(&s.system_data.forces);
+    }
+    return 0;
+}
+
+/// Set one species color
+/// Applied live if the simulation is running, and kept across restarts
+export fn setSpeciesColor(index: u32, r: f32, g: f32, b: f32, a: f32) void {
+    if (index >= system.MAX_SPECIES) return;
+
+    const species = particle.Species.init(r, g, b, a);
+    editableSystem().species[index] = species;
+    if (sim) |*s| {
+        s.setSpecies(index, species);
     }
 }
 
+/// Set one force matrix entry (force species i feels from species j)
+/// Applied live if the simulation is running, and kept across restarts
+export fn setForce(i: u32, j: u32, strength: f32, radius: f32, collision_strength: f32, collision_radius: f32) void {
+    const n = @min(species_count, system.MAX_SPECIES);
+    if (i >= n or j >= n) return;
+
+    const force = particle.Force{
+        .strength = strength,
+        .radius = radius,
+        .collision_strength = collision_strength,
+        .collision_radius = collision_radius,
+    };
+    editableSystem().forces[i * n + j] = force;
+    if (sim) |*s| {
+        s.setForce(i, j, force);
+    }
+}
+
+/// Set how species colors are picked (system.Palette; unknown values are ignored)
+/// Recolors the running simulation live, and applies to every system generated afterwards
+export fn setPalette(mode: u32) void {
+    palette = std.meta.intToEnum(system.Palette, mode) catch return;
+    if (sim) |*s| {
+        s.applyPalette(palette);
+        // An edited or loaded system keeps the new colors across restarts too
+        if (custom_system) |*c| {
+            c.species = s.system_data.species;
+        }
+    }
+}
+
+export fn getPalette() u32 {
+    return @intFromEnum(palette);
+}
+
+/// Custom system to edit, seeded on first use from the running simulation
+/// Before the first frame (the initial system's species are written then) it starts from what the seed generates
+fn editableSystem() *system.SystemData {
+    if (custom_system == null) {
+        custom_system = if (sim) |*s| s.system_data else system.generate(initial_seed, species_count, palette, webinputs.state.symmetric_forces);
+    }
+    return &custom_system.?;
+}
+
 export fn centerView() void {
     if (sim) |*s| {
         // Re-calling updateCamera with current dimensions resets the view
@@ -197,6 +426,173 @@ export fn centerView() void {
     }
 }
 
+// === Particle Snapshots ===
+
+/// Room for `count` particle.Particle values for JS to fill before loadParticles()
+/// Returns 0 if there isn't enough memory
+export fn allocParticles(count: u32) usize {
+    freeLoadedParticles();
+    const particles = std.heap.wasm_allocator.alloc(particle.Particle, count) catch {
+        log("ERROR: Out of memory for loaded particles");
+        return 0;
+    };
+    loaded_particles = particles;
+    return @intFromPtr(particles.ptr);
+}
+
+/// Rebuild the simulation with the particles written to allocParticles() instead of scattered ones
+/// Species, forces and parameters are whatever was set before; the particle count becomes the snapshot's
+export fn loadParticles() void {
+    const particles = loaded_particles orelse return;
+    particle_count = @intCast(particles.len);
+    rebuildSimulation();
+    // Otherwise the first frame builds the simulation with them
+}
+
+fn freeLoadedParticles() void {
+    if (loaded_particles) |particles| {
+        std.heap.wasm_allocator.free(particles);
+        loaded_particles = null;
+    }
+}
+
+// === Initial Layouts ===
+
+/// Set where the next restart places the particles (particle.InitialLayout; unknown values are ignored)
+/// For the image layout, fill in allocLayoutImage() first
+export fn setInitialLayout(layout: u32) void {
+    initial_layout = std.meta.intToEnum(particle.InitialLayout, layout) catch return;
+}
+
+export fn getInitialLayout() u32 {
+    return @intFromEnum(initial_layout);
+}
+
+/// Room for a width × height species image (one u8 per pixel, 255 for none) for the image layout
+/// Kept for every restart until replaced; returns 0 if the image is too large or there isn't enough memory
+export fn allocLayoutImage(width: u32, height: u32) usize {
+    freeLayoutImage();
+    if (width == 0 or height == 0 or width > MAX_LAYOUT_IMAGE_SIZE or height > MAX_LAYOUT_IMAGE_SIZE) return 0;
+
+    const pixels = std.heap.wasm_allocator.alloc(u8, width * height) catch {
+        log("ERROR: Out of memory for the layout image");
+        return 0;
+    };
+    @memset(pixels, simulation.LayoutImage.EMPTY_PIXEL);
+    layout_image_pixels = pixels;
+    layout_image = .{ .width = width, .height = height, .species = pixels };
+    return @intFromPtr(pixels.ptr);
+}
+
+fn freeLayoutImage() void {
+    if (layout_image_pixels) |pixels| {
+        std.heap.wasm_allocator.free(pixels);
+        layout_image_pixels = null;
+        layout_image = null;
+    }
+}
+
+// === Particle Inspector ===
+
+/// Handle of the particle storage buffer (particle.Particle × getParticleCount()), for reading it back from JS
+/// Returns 0 before the simulation is initialized
+export fn getParticleBufferHandle() u32 {
+    if (sim) |*s| {
+        return s.particle_buffer.handle.id;
+    }
+    return 0;
+}
+
+/// Live particles (for a few frames after erasing with the brush, possibly more; see Simulation.particle_count)
+export fn getParticleCount() u32 {
+    if (sim) |*s| {
+        return s.particle_count;
+    }
+    return 0;
+}
+
+/// Handle of the GPU's u32 live particle count, for reading it back together with the particle buffer
+/// (getParticleCount() may still include erased particles; see Simulation.countIsExact)
+/// Returns 0 before the simulation is initialized
+export fn getParticleCountBufferHandle() u32 {
+    if (sim) |*s| {
+        return s.particle_count_buffer.handle.id;
+    }
+    return 0;
+}
+
+/// Pointer to the current particle.CameraParams (for mapping canvas pixels to world space)
+/// Returns 0 before the simulation is initialized
+export fn getCameraPtr() usize {
+    if (sim) |*s| {
+        return @intFromPtr(&s.camera);
+    }
+    return 0;
+}
+
+/// Highlight the particle in one slot of the particle buffer (-1 for none) and follow it from there
+/// Cleared when the simulation is rebuilt
+export fn setSelectedParticle(index: i32) void {
+    if (sim) |*s| {
+        s.setSelectedParticle(index);
+    }
+}
+
+/// Select the particle nearest to a world position, within `radius` world units, and follow it
+/// (see Simulation.pickParticle); read getSelectionBufferHandle() back for the result
+export fn pickParticle(x: f32, y: f32, radius: f32) void {
+    if (sim) |*s| {
+        s.pickParticle(x, y, radius);
+    }
+}
+
+/// Handle of the GPU's particle.Selection: `particle` is the slot the selected particle is in now
+/// (-1 once it is erased). Returns 0 before the simulation is initialized
+export fn getSelectionBufferHandle() u32 {
+    if (sim) |*s| {
+        return s.selection_buffer.handle.id;
+    }
+    return 0;
+}
+
+// === Population Statistics ===
+
+/// Read the particles and spatial bins back for getStatsPtr(); the result arrives a few frames later
+/// Ignored while a readback is in flight, and after erasing until the live count is read back
+export fn requestStats() void {
+    if (sim) |*s| {
+        if (!s.countIsExact()) return;
+        stats.request(
+            s.particle_buffer,
+            s.particle_count,
+            s.spatial_pipeline.bin_offset_buffer,
+            s.species_count,
+            s.sim_width,
+            s.sim_height,
+            s.options.bin_size,
+            s.options.looping_borders == 1.0,
+        );
+    }
+}
+
+/// Pointer to the latest stats.Stats (its sample counter changes with each completed readback)
+export fn getStatsPtr() usize {
+    return @intFromPtr(&stats.current);
+}
+
+/// Called by the bridge when a buffer read with js_webgpu_buffer_map_read is in WASM memory
+/// len is 0 if the buffer couldn't be mapped
+export fn onBufferMapped(request_id: u32, ptr: usize, len: usize) void {
+    _ = ptr; // The reader owns the destination and knows where it is
+    if (simulation.isCountRequest(request_id)) {
+        if (sim) |*s| {
+            s.onCountMapped(request_id, len);
+        }
+    } else if (!stats.onMapped(request_id, len)) {
+        log("WARNING: Buffer readback for an unknown request");
+    }
+}
+
 /// Get version string for testing
 export fn getVersion() [*:0]const u8 {
     return "0.0.1";
@@ -219,3 +615,6 @@ fn logFmt(comptime fmt: []const u8, args: anytype) void {
 
 // FFI import from JavaScript - console logging
 extern fn js_console_log(ptr: [*]const u8, len: usize) void;
+
+// FFI import from JavaScript - handle table bookkeeping
+extern fn js_handles_next_generation() void;
@@ -0,0 +1,203 @@
+// Particle Life - Paint Brush
+//
+// Spawns, erases and converts particles under the mouse on the GPU. The live particle count is
+// a GPU counter: spawning appends after it and erasing packs the survivors to the front of the
+// particle buffer, so neither rebuilds the simulation.
+
+const std = @import("std");
+const particle = @import("particle.zig");
+const shaders = @import("shaders.zig");
+const buffer = @import("../webgpu/buffer.zig");
+const shader = @import("../webgpu/shader.zig");
+const pipeline = @import("../webgpu/pipeline.zig");
+const compute = @import("../webgpu/compute.zig");
+const webinputs = @import("../webutils/webinputs.zig");
+
+/// Where the live count goes in the options uniform
+pub const COUNT_OFFSET = @offsetOf(particle.SimulationOptions, "particle_count");
+
+pub const Brush = struct {
+    brush_shader: shader.ShaderModule,
+
+    // Pipelines
+    clear_count_pipeline: pipeline.ComputePipeline,
+    spawn_pipeline: pipeline.ComputePipeline,
+    erase_pipeline: pipeline.ComputePipeline,
+    convert_pipeline: pipeline.ComputePipeline,
+
+    // Layouts
+    particle_layout: pipeline.BindGroupLayout,
+    options_layout: pipeline.BindGroupLayout,
+    brush_layout: pipeline.BindGroupLayout,
+    pipeline_layout: pipeline.PipelineLayout,
+
+    // Bind groups (group 0: particles, temp particles, count and selection, group 1: options, group 2: brush)
+    particle_group: pipeline.BindGroup,
+    options_group: pipeline.BindGroup,
+    brush_group: pipeline.BindGroup,
+
+    // Buffers (the brush buffer is ours, the others belong to the simulation)
+    brush_buffer: buffer.Buffer,
+    particle_buffer: buffer.Buffer,
+    particle_temp_buffer: buffer.Buffer,
+    count_buffer: buffer.Buffer,
+    options_buffer: buffer.Buffer,
+
+    pub fn init(
+        particle_buffer: buffer.Buffer,
+        particle_temp_buffer: buffer.Buffer,
+        count_buffer: buffer.Buffer,
+        selection_buffer: buffer.Buffer,
+        options_buffer: buffer.Buffer,
+    ) !Brush {
+        log("Setting up brush pipeline...");
+
+        const brush_shader = shader.ShaderModule.create(shaders.particle_brush);
+        if (!brush_shader.isValid()) {
+            log("ERROR: Failed to create brush shader");
+            return error.ShaderCreationFailed;
+        }
+
+        const brush_buffer = buffer.createUniformBuffer(@sizeOf(particle.BrushParams));
+
+        // Group 0: particles, temp particles (erase packs into it), the live count and the selection
+        const particle_layout_entries = [_]pipeline.BindGroupLayoutEntry{
+            pipeline.BindGroupLayoutEntry.init(0, pipeline.ShaderVisibility.COMPUTE, .storage),
+            pipeline.BindGroupLayoutEntry.init(1, pipeline.ShaderVisibility.COMPUTE, .storage),
+            pipeline.BindGroupLayoutEntry.init(2, pipeline.ShaderVisibility.COMPUTE, .storage),
+            pipeline.BindGroupLayoutEntry.init(3, pipeline.ShaderVisibility.COMPUTE, .storage),
+        };
+        const particle_layout = pipeline.BindGroupLayout.create(&particle_layout_entries);
+
+        // Groups 1 and 2: options and brush (uniform buffers)
+        const uniform_layout_entries = [_]pipeline.BindGroupLayoutEntry{
+            pipeline.BindGroupLayoutEntry.init(0, pipeline.ShaderVisibility.COMPUTE, .uniform),
+        };
+        const options_layout = pipeline.BindGroupLayout.create(&uniform_layout_entries);
+        const brush_layout = pipeline.BindGroupLayout.create(&uniform_layout_entries);
+
+        const particle_entries = [_]pipeline.BindGroupEntry{
+            pipeline.BindGroupEntry.initFull(0, particle_buffer.handle, particle_buffer.size),
+            pipeline.BindGroupEntry.initFull(1, particle_temp_buffer.handle, particle_temp_buffer.size),
+            pipeline.BindGroupEntry.initFull(2, count_buffer.handle, count_buffer.size),
+            pipeline.BindGroupEntry.initFull(3, selection_buffer.handle, selection_buffer.size),
+        };
+        const particle_group = pipeline.BindGroup.create(particle_layout, &particle_entries);
+
+        const options_entries = [_]pipeline.BindGroupEntry{
+            pipeline.BindGroupEntry.initFull(0, options_buffer.handle, options_buffer.size),
+        };
+        const options_group = pipeline.BindGroup.create(options_layout, &options_entries);
+
+        const brush_entries = [_]pipeline.BindGroupEntry{
+            pipeline.BindGroupEntry.initFull(0, brush_buffer.handle, brush_buffer.size),
+        };
+        const brush_group = pipeline.BindGroup.create(brush_layout, &brush_entries);
+
+        const layouts = [_]pipeline.BindGroupLayout{ particle_layout, options_layout, brush_layout };
+        const pipeline_layout = pipeline.PipelineLayout.create(&layouts);
+
+        const clear_count_pipeline = pipeline.ComputePipeline.create(pipeline_layout, brush_shader, "clearCount");
+        const spawn_pipeline = pipeline.ComputePipeline.create(pipeline_layout, brush_shader, "spawnParticles");
+        const erase_pipeline = pipeline.ComputePipeline.create(pipeline_layout, brush_shader, "eraseParticles");
+        const convert_pipeline = pipeline.ComputePipeline.create(pipeline_layout, brush_shader, "convertParticles");
+
+        var brush = Brush{
+            .brush_shader = brush_shader,
+            .clear_count_pipeline = clear_count_pipeline,
+            .spawn_pipeline = spawn_pipeline,
+            .erase_pipeline = erase_pipeline,
+            .convert_pipeline = convert_pipeline,
+            .particle_layout = particle_layout,
+            .options_layout = options_layout,
+            .brush_layout = brush_layout,
+            .pipeline_layout = pipeline_layout,
+            .particle_group = particle_group,
+            .options_group = options_group,
+            .brush_group = brush_group,
+            .brush_buffer = brush_buffer,
+            .particle_buffer = particle_buffer,
+            .particle_temp_buffer = particle_temp_buffer,
+            .count_buffer = count_buffer,
+            .options_buffer = options_buffer,
+        };
+
+        if (!clear_count_pipeline.isValid() or !spawn_pipeline.isValid() or !erase_pipeline.isValid() or !convert_pipeline.isValid()) {
+            log("ERROR: Failed to create brush pipelines");
+            brush.deinit();
+            return error.PipelineCreationFailed;
+        }
+
+        log("✓ Brush pipeline created");
+        return brush;
+    }
+
+    /// Copy the live count into the options uniform, for the passes recorded after it
+    pub fn syncCount(self: *const Brush, encoder: compute.CommandEncoder) void {
+        encoder.copyBuffer(self.count_buffer.handle, 0, self.options_buffer.handle, COUNT_OFFSET, 4);
+    }
+
+    /// Apply a paint tool for one frame (attract and repel are forces, see Simulation.handleInput)
+    /// `particle_count` is at least the live count: it sizes the dispatches and the erase copy
+    pub fn apply(self: *const Brush, tool: webinputs.BrushTool, params: particle.BrushParams, particle_count: u32) void {
+        const pass_pipeline = switch (tool) {
+            .spawn => self.spawn_pipeline,
+            .erase => self.erase_pipeline,
+            .convert => self.convert_pipeline,
+            .attract, .repel => return,
+        };
+        const workgroup_count = if (tool == .spawn) (params.spawn_count + 63) / 64 else (particle_count + 63) / 64;
+
+        self.brush_buffer.writeTyped(particle.BrushParams, 0, &[_]particle.BrushParams{params});
+
+        const encoder = compute.CommandEncoder.create();
+        self.syncCount(encoder);
+
+        const pass = encoder.beginComputePass("brush");
+        pass.setBindGroup(0, self.particle_group);
+        pass.setBindGroup(1, self.options_group);
+        pass.setBindGroup(2, self.brush_group);
+
+        // Erasing recounts the particles it keeps
+        if (tool == .erase) {
+            pass.setPipeline(self.clear_count_pipeline);
+            pass.dispatch(1, 1, 1);
+        }
+
+        pass.setPipeline(pass_pipeline);
+        pass.dispatch(workgroup_count, 1, 1);
+        pass.end();
+
+        // The kept particles were packed into the temp buffer
+        if (tool == .erase) {
+            const size = @as(u64, particle_count) * @sizeOf(particle.Particle);
+            encoder.copyBuffer(self.particle_temp_buffer.handle, 0, self.particle_buffer.handle, 0, size);
+        }
+
+        const cmd_buffer = encoder.finish();
+        cmd_buffer.submit();
+    }
+
+    /// Release everything init created (the simulation's buffers stay)
+    pub fn deinit(self: *Brush) void {
+        self.clear_count_pipeline.release();
+        self.spawn_pipeline.release();
+        self.erase_pipeline.release();
+        self.convert_pipeline.release();
+        self.particle_group.release();
+        self.options_group.release();
+        self.brush_group.release();
+        self.pipeline_layout.release();
+        self.particle_layout.release();
+        self.options_layout.release();
+        self.brush_layout.release();
+        self.brush_shader.release();
+        self.brush_buffer.destroy();
+    }
+};
+
+fn log(comptime msg: []const u8) void {
+    js_console_log(msg.ptr, msg.len);
+}
+
+extern fn js_console_log(ptr: [*]const u8, len: usize) void;
@@ -73,8 +73,10 @@ pub const SimulationOptions = extern struct {
     action_vy: f32,
     action_force: f32,
     action_radius: f32,
+    force_strength: f32, // Global multiplier on the species forces
+    particle_count: u32, // Live particles; each encoder copies the GPU counter over it first (see brush.zig)
 
-    pub fn init(width: f32, height: f32, species_count: u32) SimulationOptions {
+    pub fn init(width: f32, height: f32, species_count: u32, particle_count: u32) SimulationOptions {
         return .{
             .left = -width / 2.0,
             .right = width / 2.0,
@@ -92,10 +94,62 @@ pub const SimulationOptions = extern struct {
             .action_vy = 0.0,
             .action_force = 0.0,
             .action_radius = 0.0,
+            .force_strength = 1.0,
+            .particle_count = particle_count,
         };
     }
 };
 
+/// Particle highlighted by the inspector, as slots in the particle buffer (-1 for none)
+/// Sorting and erasing move particles, so each pass that does first sets `source` to `particle`
+/// and then stores the slot the particle at `source` moved to
+pub const Selection = extern struct {
+    source: i32 = -1,
+    particle: i32 = -1,
+    distance: u32 = 0, // Scratch for picking: the nearest squared distance so far, as f32 bits
+    _padding: u32 = 0, // Pad to 16 bytes
+};
+
+/// Pick the particle nearest to a world position for one frame (see picker.zig)
+pub const PickParams = extern struct {
+    x: f32,
+    y: f32,
+    radius: f32, // Nothing further away is picked
+    _padding: u32 = 0, // Pad to 16 bytes
+};
+
+/// Paint brush for one frame (see brush.zig)
+pub const BrushParams = extern struct {
+    x: f32,
+    y: f32,
+    radius: f32,
+    species: f32, // Species spawned or converted to, as float like Particle.species
+    spawn_count: u32,
+    seed: u32, // Scatters spawned particles differently every frame
+    _padding: [2]u32 = .{ 0, 0 }, // Pad to 32 bytes (16-byte alignment)
+};
+
+/// Where the init shader places new particles (shared with web/layouts.js)
+pub const InitialLayout = enum(u32) {
+    uniform = 0, // Scattered across the whole box
+    disk = 1, // Filled disk in the center
+    ring = 2, // Thin ring in the center
+    spiral = 3, // One spiral arm per species
+    bands = 4, // One horizontal band per species
+    clusters = 5, // One Gaussian cluster per species
+    image = 6, // On the pixels of a loaded image, species by pixel (see Simulation.layout_image)
+};
+
+/// Init shader parameters
+pub const InitParams = extern struct {
+    seed: u32,
+    layout: u32, // InitialLayout
+    image_width: u32,
+    image_height: u32,
+    image_cells: u32, // Entries in the image cell buffer: (species << 24) | pixel index
+    _padding: [3]u32 = .{ 0, 0, 0 }, // Pad to 32 bytes (16-byte alignment)
+};
+
 /// Camera parameters for rendering
 pub const CameraParams = extern struct {
     center_x: f32,
@@ -61,6 +61,7 @@ pub const Physics = struct {
         // Create pipeline layout with BOTH bind group layouts
         const layouts = [_]pipeline.BindGroupLayout{ particle_layout, options_layout };
         const pipeline_layout = pipeline.PipelineLayout.create(&layouts);
+        defer pipeline_layout.release(); // The pipeline keeps its layout alive
 
         // Create compute pipeline
         const advance_pipeline = pipeline.ComputePipeline.create(
@@ -89,7 +90,7 @@ pub const Physics = struct {
     pub fn update(self: *Physics, particle_count: u32) void {
         // Create command encoder
         const encoder = compute.CommandEncoder.create();
-        const pass = encoder.beginComputePass();
+        const pass = encoder.beginComputePass("advance");
 
         // Set pipeline
         pass.setPipeline(self.advance_pipeline);
@@ -107,6 +108,15 @@ pub const Physics = struct {
         const cmd_buffer = encoder.finish();
         cmd_buffer.submit();
     }
+
+    pub fn deinit(self: *Physics) void {
+        self.advance_pipeline.release();
+        self.particle_group.release();
+        self.options_group.release();
+        self.particle_layout.release();
+        self.options_layout.release();
+        self.advance_shader.release();
+    }
 };
 
 fn log(comptime msg: []const u8) void {
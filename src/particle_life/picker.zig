@@ -0,0 +1,156 @@
+// Particle Life - Particle Picker
+//
+// Selects the particle nearest to a point for the inspector. Picking runs on the GPU, in order
+// with the steps, so the selection names the particle that was there when the pick was made even
+// though sorting moves it (see particle.Selection).
+
+const std = @import("std");
+const particle = @import("particle.zig");
+const shaders = @import("shaders.zig");
+const buffer = @import("../webgpu/buffer.zig");
+const shader = @import("../webgpu/shader.zig");
+const pipeline = @import("../webgpu/pipeline.zig");
+const compute = @import("../webgpu/compute.zig");
+
+pub const Picker = struct {
+    pick_shader: shader.ShaderModule,
+
+    // Pipelines
+    clear_pipeline: pipeline.ComputePipeline,
+    find_pipeline: pipeline.ComputePipeline,
+    select_pipeline: pipeline.ComputePipeline,
+
+    // Layouts
+    particle_layout: pipeline.BindGroupLayout,
+    options_layout: pipeline.BindGroupLayout,
+    pick_layout: pipeline.BindGroupLayout,
+    pipeline_layout: pipeline.PipelineLayout,
+
+    // Bind groups (group 0: particles and selection, group 1: options, group 2: pick)
+    particle_group: pipeline.BindGroup,
+    options_group: pipeline.BindGroup,
+    pick_group: pipeline.BindGroup,
+
+    // The pick buffer is ours, the others belong to the simulation
+    pick_buffer: buffer.Buffer,
+
+    pub fn init(
+        particle_buffer: buffer.Buffer,
+        selection_buffer: buffer.Buffer,
+        options_buffer: buffer.Buffer,
+    ) !Picker {
+        log("Setting up picker pipeline...");
+
+        const pick_shader = shader.ShaderModule.create(shaders.particle_pick);
+        if (!pick_shader.isValid()) {
+            log("ERROR: Failed to create pick shader");
+            return error.ShaderCreationFailed;
+        }
+
+        const pick_buffer = buffer.createUniformBuffer(@sizeOf(particle.PickParams));
+
+        // Group 0: particles and the selection
+        const particle_layout_entries = [_]pipeline.BindGroupLayoutEntry{
+            pipeline.BindGroupLayoutEntry.init(0, pipeline.ShaderVisibility.COMPUTE, .read_only_storage),
+            pipeline.BindGroupLayoutEntry.init(1, pipeline.ShaderVisibility.COMPUTE, .storage),
+        };
+        const particle_layout = pipeline.BindGroupLayout.create(&particle_layout_entries);
+
+        // Groups 1 and 2: options and pick (uniform buffers)
+        const uniform_layout_entries = [_]pipeline.BindGroupLayoutEntry{
+            pipeline.BindGroupLayoutEntry.init(0, pipeline.ShaderVisibility.COMPUTE, .uniform),
+        };
+        const options_layout = pipeline.BindGroupLayout.create(&uniform_layout_entries);
+        const pick_layout = pipeline.BindGroupLayout.create(&uniform_layout_entries);
+
+        const particle_entries = [_]pipeline.BindGroupEntry{
+            pipeline.BindGroupEntry.initFull(0, particle_buffer.handle, particle_buffer.size),
+            pipeline.BindGroupEntry.initFull(1, selection_buffer.handle, selection_buffer.size),
+        };
+        const particle_group = pipeline.BindGroup.create(particle_layout, &particle_entries);
+
+        const options_entries = [_]pipeline.BindGroupEntry{
+            pipeline.BindGroupEntry.initFull(0, options_buffer.handle, options_buffer.size),
+        };
+        const options_group = pipeline.BindGroup.create(options_layout, &options_entries);
+
+        const pick_entries = [_]pipeline.BindGroupEntry{
+            pipeline.BindGroupEntry.initFull(0, pick_buffer.handle, pick_buffer.size),
+        };
+        const pick_group = pipeline.BindGroup.create(pick_layout, &pick_entries);
+
+        const layouts = [_]pipeline.BindGroupLayout{ particle_layout, options_layout, pick_layout };
+        const pipeline_layout = pipeline.PipelineLayout.create(&layouts);
+
+        const clear_pipeline = pipeline.ComputePipeline.create(pipeline_layout, pick_shader, "clearPick");
+        const find_pipeline = pipeline.ComputePipeline.create(pipeline_layout, pick_shader, "findNearest");
+        const select_pipeline = pipeline.ComputePipeline.create(pipeline_layout, pick_shader, "selectNearest");
+
+        var picker = Picker{
+            .pick_shader = pick_shader,
+            .clear_pipeline = clear_pipeline,
+            .find_pipeline = find_pipeline,
+            .select_pipeline = select_pipeline,
+            .particle_layout = particle_layout,
+            .options_layout = options_layout,
+            .pick_layout = pick_layout,
+            .pipeline_layout = pipeline_layout,
+            .particle_group = particle_group,
+            .options_group = options_group,
+            .pick_group = pick_group,
+            .pick_buffer = pick_buffer,
+        };
+
+        if (!clear_pipeline.isValid() or !find_pipeline.isValid() or !select_pipeline.isValid()) {
+            log("ERROR: Failed to create picker pipelines");
+            picker.deinit();
+            return error.PipelineCreationFailed;
+        }
+
+        log("✓ Picker pipeline created");
+        return picker;
+    }
+
+    /// Records the pick into `encoder`, after the live count was copied into the options
+    /// `particle_count` is at least the live count: it sizes the dispatches
+    pub fn pick(self: *const Picker, encoder: compute.CommandEncoder, params: particle.PickParams, particle_count: u32) void {
+        self.pick_buffer.writeTyped(particle.PickParams, 0, &[_]particle.PickParams{params});
+
+        const pass = encoder.beginComputePass("pick");
+        pass.setBindGroup(0, self.particle_group);
+        pass.setBindGroup(1, self.options_group);
+        pass.setBindGroup(2, self.pick_group);
+
+        pass.setPipeline(self.clear_pipeline);
+        pass.dispatch(1, 1, 1);
+
+        const workgroup_count = (particle_count + 63) / 64;
+        pass.setPipeline(self.find_pipeline);
+        pass.dispatch(workgroup_count, 1, 1);
+        pass.setPipeline(self.select_pipeline);
+        pass.dispatch(workgroup_count, 1, 1);
+        pass.end();
+    }
+
+    /// Release everything init created (the simulation's buffers stay)
+    pub fn deinit(self: *Picker) void {
+        self.clear_pipeline.release();
+        self.find_pipeline.release();
+        self.select_pipeline.release();
+        self.particle_group.release();
+        self.options_group.release();
+        self.pick_group.release();
+        self.pipeline_layout.release();
+        self.particle_layout.release();
+        self.options_layout.release();
+        self.pick_layout.release();
+        self.pick_shader.release();
+        self.pick_buffer.destroy();
+    }
+};
+
+fn log(comptime msg: []const u8) void {
+    js_console_log(msg.ptr, msg.len);
+}
+
+extern fn js_console_log(ptr: [*]const u8, len: usize) void;
@@ -31,6 +31,8 @@ const common_structs =
     \\    action_vy: f32,
     \\    action_force: f32,
     \\    action_radius: f32,
+    \\    force_strength: f32,
+    \\    particle_count: u32,
     \\}
     \\
     \\// Force between species
@@ -41,6 +43,12 @@ const common_structs =
     \\    collision_radius: f32,
     \\}
     \\
+    \\// Inspected particle (particle.Selection): sorting and erasing move it from source to particle
+    \\struct Selection {
+    \\    source: i32,
+    \\    particle: i32,
+    \\}
+    \\
     \\// Bin information
     \\struct BinInfo {
     \\    grid_size: vec2i,
@@ -83,7 +91,7 @@ pub const spatial_binning = common_structs ++
     \\
     \\@compute @workgroup_size(64)
     \\fn fillBinSize(@builtin(global_invocation_id) id: vec3u) {
-    \\    if (id.x >= arrayLength(&particles)) {
+    \\    if (id.x >= options.particle_count) {
     \\        return;
     \\    }
     \\    
@@ -121,10 +129,16 @@ pub const particle_sort = common_structs ++
     \\@group(0) @binding(1) var<storage, read_write> destination: array<Particle>;
     \\@group(0) @binding(2) var<storage, read> bin_offset: array<u32>;
     \\@group(0) @binding(3) var<storage, read_write> bin_size: array<atomic<u32>>;
+    \\@group(0) @binding(4) var<storage, read_write> selection: Selection;
     \\@group(1) @binding(0) var<uniform> options: SimulationOptions;
     \\
     \\@compute @workgroup_size(64)
     \\fn clearBinSize(@builtin(global_invocation_id) id: vec3u) {
+    \\    // sortParticles reads where the selected particle is and writes where it goes
+    \\    if (id.x == 0u) {
+    \\        selection.source = selection.particle;
+    \\        selection.particle = -1;
+    \\    }
     \\    if (id.x >= arrayLength(&bin_size)) {
     \\        return;
     \\    }
@@ -133,7 +147,7 @@ pub const particle_sort = common_structs ++
     \\
     \\@compute @workgroup_size(64)
     \\fn sortParticles(@builtin(global_invocation_id) id: vec3u) {
-    \\    if (id.x >= arrayLength(&source)) {
+    \\    if (id.x >= options.particle_count) {
     \\        return;
     \\    }
     \\    
@@ -142,6 +156,9 @@ pub const particle_sort = common_structs ++
     \\    
     \\    let new_index = bin_offset[bin_info.bin_index] + atomicAdd(&bin_size[bin_info.bin_index], 1);
     \\    destination[new_index] = particle;
+    \\    if (i32(id.x) == selection.source) {
+    \\        selection.particle = i32(new_index);
+    \\    }
     \\}
 ;
 
@@ -156,7 +173,7 @@ pub const force_computation = common_structs ++
     \\
     \\@compute @workgroup_size(64)
     \\fn computeForces(@builtin(global_invocation_id) id: vec3u) {
-    \\    if (id.x >= arrayLength(&particles_source)) {
+    \\    if (id.x >= options.particle_count) {
     \\        return;
     \\    }
     \\    
@@ -216,7 +233,8 @@ pub const force_computation = common_structs ++
     \\                let d = length(r);
     \\                if (d > 0.0 && d < force.radius) {
     \\                    let n = r / d;
-    \\                    total_force += force.strength * max(0.0, 1.0 - d / force.radius) * n;
+    \\                    // force_strength scales the species forces; collisions always keep particles apart
+    \\                    total_force += options.force_strength * force.strength * max(0.0, 1.0 - d / force.radius) * n;
     \\                    total_force -= force.collision_strength * max(0.0, 1.0 - d / force.collision_radius) * n;
     \\                }
     \\            }
@@ -238,7 +256,7 @@ pub const particle_advance = common_structs ++
     \\
     \\@compute @workgroup_size(64)
     \\fn particleAdvance(@builtin(global_invocation_id) id: vec3u) {
-    \\    if (id.x >= arrayLength(&particles)) {
+    \\    if (id.x >= options.particle_count) {
     \\        return;
     \\    }
     \\    
@@ -309,10 +327,29 @@ pub const particle_advance = common_structs ++
 
 /// Particle Initialization on GPU
 pub const particle_init = common_structs ++
+    \\
+    \\struct InitParams {
+    \\    seed: u32,
+    \\    layout: u32,
+    \\    image_width: u32,
+    \\    image_height: u32,
+    \\    image_cells: u32,
+    \\}
+    \\
+    \\// particle.InitialLayout
+    \\const LAYOUT_DISK = 1u;
+    \\const LAYOUT_RING = 2u;
+    \\const LAYOUT_SPIRAL = 3u;
+    \\const LAYOUT_BANDS = 4u;
+    \\const LAYOUT_CLUSTERS = 5u;
+    \\const LAYOUT_IMAGE = 6u;
+    \\
+    \\const PI = 3.14159265359;
     \\
     \\@group(0) @binding(0) var<storage, read_write> particles: array<Particle>;
     \\@group(1) @binding(0) var<uniform> options: SimulationOptions;
-    \\@group(2) @binding(0) var<uniform> seed: u32;
+    \\@group(2) @binding(0) var<uniform> params: InitParams;
+    \\@group(2) @binding(1) var<storage, read> image_cells: array<u32>; // (species << 24) | pixel index
     \\
     \\fn pcg_hash(input: u32) -> u32 {
     \\    let state = input * 747796405u + 2891336453u;
@@ -324,13 +361,29 @@ pub const particle_init = common_structs ++
     \\    return f32(pcg_hash(id ^ pcg_hash(seed_val))) / 4294967296.0;
     \\}
     \\
+    \\// Standard normal pair (Box-Muller)
+    \\fn random_normal(id: u32, seed_val: u32) -> vec2f {
+    \\    let u1 = max(random_float(id * 2u, seed_val), 1e-7);
+    \\    let u2 = random_float(id * 2u + 1u, seed_val);
+    \\    let r = sqrt(-2.0 * log(u1));
+    \\    return r * vec2f(cos(2.0 * PI * u2), sin(2.0 * PI * u2));
+    \\}
+    \\
     \\@compute @workgroup_size(64)
     \\fn initParticles(@builtin(global_invocation_id) id: vec3u) {
-    \\    if (id.x >= arrayLength(&particles)) {
+    \\    if (id.x >= options.particle_count) {
     \\        return;
     \\    }
     \\    
     \\    var p = particles[id.x];
+    \\    let seed = params.seed;
+    \\    
+    \\    // Random species (the layouts below place each species differently)
+    \\    let r5 = random_float(id.x * 5u + 4u, seed);
+    \\    p.species = floor(r5 * options.species_count);
+    \\    if (p.species >= options.species_count) {
+    \\        p.species = options.species_count - 1.0;
+    \\    }
     \\    
     \\    // Random position
     \\    let r1 = random_float(id.x * 5u + 0u, seed);
@@ -338,9 +391,57 @@ pub const particle_init = common_structs ++
     \\    
     \\    let width = options.right - options.left;
     \\    let height = options.top - options.bottom;
+    \\    let center = vec2f(options.left + options.right, options.bottom + options.top) * 0.5;
+    \\    let extent = 0.4 * min(width, height); // Radius of the centered layouts
+    \\    let normal = random_normal(id.x, seed ^ 0x9e3779b9u);
+    \\    
+    \\    var pos = vec2f(options.left + r1 * width, options.bottom + r2 * height);
+    \\    switch (params.layout) {
+    \\        case LAYOUT_DISK: {
+    \\            let angle = 2.0 * PI * r1;
+    \\            pos = center + extent * sqrt(r2) * vec2f(cos(angle), sin(angle));
+    \\        }
+    \\        case LAYOUT_RING: {
+    \\            let angle = 2.0 * PI * r1;
+    \\            let radius = extent * (0.85 + 0.05 * normal.x);
+    \\            pos = center + radius * vec2f(cos(angle), sin(angle));
+    \\        }
+    \\        case LAYOUT_SPIRAL: {
+    \\            // Arms start at the center and turn 1.5 times, evenly spaced by species
+    \\            let arm = 2.0 * PI * p.species / options.species_count;
+    \\            let angle = arm + 3.0 * PI * r2;
+    \\            pos = center + extent * r2 * vec2f(cos(angle), sin(angle)) + 0.02 * extent * normal;
+    \\        }
+    \\        case LAYOUT_BANDS: {
+    \\            // Species 0 at the top
+    \\            let band = height / options.species_count;
+    \\            pos.y = options.top - (p.species + r2) * band;
+    \\        }
+    \\        case LAYOUT_CLUSTERS: {
+    \\            // Cluster centers depend only on the seed and the species
+    \\            let s = u32(p.species);
+    \\            let cluster = vec2f(random_float(s * 2u, seed ^ 0x85ebca6bu), random_float(s * 2u + 1u, seed ^ 0x85ebca6bu));
+    \\            pos = vec2f(options.left, options.bottom) + vec2f(0.15 + 0.7 * cluster.x, 0.15 + 0.7 * cluster.y) * vec2f(width, height);
+    \\            pos += 0.05 * min(width, height) * normal;
+    \\        }
+    \\        case LAYOUT_IMAGE: {
+    \\            // A random non-empty pixel; the image is fitted into the box, keeping its aspect ratio
+    \\            let cell = image_cells[min(u32(r1 * f32(params.image_cells)), params.image_cells - 1u)];
+    \\            let pixel = cell & 0xFFFFFFu;
+    \\            let image_size = vec2f(f32(params.image_width), f32(params.image_height));
+    \\            let scale = min(width / image_size.x, height / image_size.y);
+    \\            let texel = vec2f(f32(pixel % params.image_width), f32(pixel / params.image_width));
+    \\            let jitter = vec2f(random_float(id.x * 2u, seed ^ 0xc2b2ae35u), r2);
+    \\            let offset = (texel + jitter - image_size * 0.5) * scale;
+    \\            pos = center + vec2f(offset.x, -offset.y);
+    \\            p.species = min(f32(cell >> 24u), options.species_count - 1.0);
+    \\        }
+    \\        default: {}
+    \\    }
     \\    
-    \\    p.x = options.left + r1 * width;
-    \\    p.y = options.bottom + r2 * height;
+    \\    // Keep layouts reaching past the borders (clusters) inside the box
+    \\    p.x = clamp(pos.x, options.left, options.right);
+    \\    p.y = clamp(pos.y, options.bottom, options.top);
     \\    
     \\    // Random velocity
     \\    let r3 = random_float(id.x * 5u + 2u, seed);
@@ -350,14 +451,187 @@ pub const particle_init = common_structs ++
     \\    p.vx = (r3 * 2.0 - 1.0) * v_scale;
     \\    p.vy = (r4 * 2.0 - 1.0) * v_scale;
     \\    
-    \\    // Random species
-    \\    let r5 = random_float(id.x * 5u + 4u, seed);
-    \\    p.species = floor(r5 * options.species_count);
-    \\    if (p.species >= options.species_count) {
-    \\        p.species = options.species_count - 1.0;
+    \\    particles[id.x] = p;
+    \\}
+;
+
+/// Paint brush - spawn, erase and convert particles within a radius
+/// The live count is an atomic counter, copied into options.particle_count before these passes
+pub const particle_brush = common_structs ++
+    \\
+    \\struct Brush {
+    \\    x: f32,
+    \\    y: f32,
+    \\    radius: f32,
+    \\    species: f32,
+    \\    spawn_count: u32,
+    \\    seed: u32,
+    \\}
+    \\
+    \\@group(0) @binding(0) var<storage, read_write> particles: array<Particle>;
+    \\@group(0) @binding(1) var<storage, read_write> particles_temp: array<Particle>;
+    \\@group(0) @binding(2) var<storage, read_write> particle_count: atomic<u32>;
+    \\@group(0) @binding(3) var<storage, read_write> selection: Selection;
+    \\@group(1) @binding(0) var<uniform> options: SimulationOptions;
+    \\@group(2) @binding(0) var<uniform> brush: Brush;
+    \\
+    \\fn pcg_hash(input: u32) -> u32 {
+    \\    let state = input * 747796405u + 2891336453u;
+    \\    let word = ((state >> ((state >> 28u) + 4u)) ^ state) * 277803737u;
+    \\    return (word >> 22u) ^ word;
+    \\}
+    \\
+    \\fn random_float(id: u32, seed_val: u32) -> f32 {
+    \\    return f32(pcg_hash(id ^ pcg_hash(seed_val))) / 4294967296.0;
+    \\}
+    \\
+    \\fn inBrush(particle: Particle) -> bool {
+    \\    let width = options.right - options.left;
+    \\    let height = options.top - options.bottom;
+    \\    var r = vec2f(particle.x, particle.y) - vec2f(brush.x, brush.y);
+    \\    if (options.looping_borders == 1.0) {
+    \\        if (abs(r.x) >= width * 0.5) {
+    \\            r.x -= sign(r.x) * width;
+    \\        }
+    \\        if (abs(r.y) >= height * 0.5) {
+    \\            r.y -= sign(r.y) * height;
+    \\        }
+    \\    }
+    \\    return dot(r, r) < brush.radius * brush.radius;
+    \\}
+    \\
+    \\// Runs before eraseParticles, which moves the selected particle along with the others it keeps
+    \\@compute @workgroup_size(1)
+    \\fn clearCount() {
+    \\    atomicStore(&particle_count, 0u);
+    \\    selection.source = selection.particle;
+    \\    selection.particle = -1;
+    \\}
+    \\
+    \\// Append particles of the brush species, uniformly over the brush disk, while there is room
+    \\@compute @workgroup_size(64)
+    \\fn spawnParticles(@builtin(global_invocation_id) id: vec3u) {
+    \\    if (id.x >= brush.spawn_count) {
+    \\        return;
     \\    }
     \\    
-    \\    particles[id.x] = p;
+    \\    let index = atomicAdd(&particle_count, 1u);
+    \\    if (index >= arrayLength(&particles)) {
+    \\        atomicSub(&particle_count, 1u);
+    \\        return;
+    \\    }
+    \\    
+    \\    let r = brush.radius * sqrt(random_float(id.x * 2u + 0u, brush.seed));
+    \\    let angle = 6.2831853 * random_float(id.x * 2u + 1u, brush.seed);
+    \\    var p = Particle(brush.x + r * cos(angle), brush.y + r * sin(angle), 0.0, 0.0, brush.species);
+    \\    
+    \\    // Keep the new particle inside the world, as particleAdvance would
+    \\    let width = options.right - options.left;
+    \\    let height = options.top - options.bottom;
+    \\    if (options.looping_borders == 1.0) {
+    \\        p.x -= width * floor((p.x - options.left) / width);
+    \\        p.y -= height * floor((p.y - options.bottom) / height);
+    \\    } else {
+    \\        p.x = clamp(p.x, options.left, options.right);
+    \\        p.y = clamp(p.y, options.bottom, options.top);
+    \\    }
+    \\    
+    \\    particles[index] = p;
+    \\}
+    \\
+    \\// Pack the particles outside the brush at the start of particles_temp
+    \\// (particle_count was cleared by clearCount and ends up as the number kept)
+    \\@compute @workgroup_size(64)
+    \\fn eraseParticles(@builtin(global_invocation_id) id: vec3u) {
+    \\    if (id.x >= options.particle_count) {
+    \\        return;
+    \\    }
+    \\    
+    \\    let particle = particles[id.x];
+    \\    if (!inBrush(particle)) {
+    \\        let index = atomicAdd(&particle_count, 1u);
+    \\        particles_temp[index] = particle;
+    \\        if (i32(id.x) == selection.source) {
+    \\            selection.particle = i32(index);
+    \\        }
+    \\    }
+    \\}
+    \\
+    \\@compute @workgroup_size(64)
+    \\fn convertParticles(@builtin(global_invocation_id) id: vec3u) {
+    \\    if (id.x >= options.particle_count) {
+    \\        return;
+    \\    }
+    \\    
+    \\    if (inBrush(particles[id.x])) {
+    \\        particles[id.x].species = brush.species;
+    \\    }
+    \\}
+;
+
+/// Particle picking - select the particle nearest to a point for the inspector
+pub const particle_pick = common_structs ++
+    \\
+    \\struct Pick {
+    \\    x: f32,
+    \\    y: f32,
+    \\    radius: f32,
+    \\}
+    \\
+    \\// Selection with the fields picking races on as atomics
+    \\struct PickSelection {
+    \\    source: i32,
+    \\    particle: atomic<i32>,
+    \\    distance: atomic<u32>,
+    \\}
+    \\
+    \\@group(0) @binding(0) var<storage, read> particles: array<Particle>;
+    \\@group(0) @binding(1) var<storage, read_write> selection: PickSelection;
+    \\@group(1) @binding(0) var<uniform> options: SimulationOptions;
+    \\@group(2) @binding(0) var<uniform> params: Pick;
+    \\
+    \\// Squared distance from the pick point, across the borders when they loop
+    \\// Non-negative floats order like their bits, so distances are compared as u32
+    \\fn pickDistance(particle: Particle) -> u32 {
+    \\    let width = options.right - options.left;
+    \\    let height = options.top - options.bottom;
+    \\    var r = vec2f(particle.x, particle.y) - vec2f(params.x, params.y);
+    \\    if (options.looping_borders == 1.0) {
+    \\        if (abs(r.x) >= width * 0.5) {
+    \\            r.x -= sign(r.x) * width;
+    \\        }
+    \\        if (abs(r.y) >= height * 0.5) {
+    \\            r.y -= sign(r.y) * height;
+    \\        }
+    \\    }
+    \\    return bitcast<u32>(dot(r, r));
+    \\}
+    \\
+    \\@compute @workgroup_size(1)
+    \\fn clearPick() {
+    \\    selection.source = -1;
+    \\    atomicStore(&selection.particle, -1);
+    \\    atomicStore(&selection.distance, bitcast<u32>(params.radius * params.radius));
+    \\}
+    \\
+    \\@compute @workgroup_size(64)
+    \\fn findNearest(@builtin(global_invocation_id) id: vec3u) {
+    \\    if (id.x >= options.particle_count) {
+    \\        return;
+    \\    }
+    \\    atomicMin(&selection.distance, pickDistance(particles[id.x]));
+    \\}
+    \\
+    \\// Ties go to the last slot
+    \\@compute @workgroup_size(64)
+    \\fn selectNearest(@builtin(global_invocation_id) id: vec3u) {
+    \\    if (id.x >= options.particle_count) {
+    \\        return;
+    \\    }
+    \\    let distance = pickDistance(particles[id.x]);
+    \\    if (distance < bitcast<u32>(params.radius * params.radius) && distance == atomicLoad(&selection.distance)) {
+    \\        atomicMax(&selection.particle, i32(id.x));
+    \\    }
     \\}
 ;
 
@@ -467,11 +741,28 @@ const common_render_structs =
     \\    pixels_per_unit: f32,
     \\}
     \\
+    \\// Inspected particle (particle.Selection), -1 for none
+    \\struct Selection {
+    \\    source: i32,
+    \\    particle: i32,
+    \\}
+    \\
     \\// Bindings
     \\@group(0) @binding(0) var<storage, read> particles: array<Particle>;
     \\@group(0) @binding(1) var<storage, read> species: array<Species>;
+    \\@group(0) @binding(2) var<storage, read> particle_count: u32;
+    \\@group(0) @binding(3) var<storage, read> selection: Selection;
     \\@group(1) @binding(0) var<uniform> camera: Camera;
     \\
+    \\fn isSelected(index: u32) -> bool {
+    \\    return i32(index) == selection.particle;
+    \\}
+    \\
+    \\// Species color, or bright white for the inspected particle
+    \\fn particleColor(index: u32, particle: Particle) -> vec4f {
+    \\    return select(species[u32(particle.species)].color, vec4f(4.0, 4.0, 4.0, 1.0), isSelected(index));
+    \\}
+    \\
     \\// Vertex output for circle rendering
     \\struct CircleVertexOut {
     \\    @builtin(position) position: vec4f,
@@ -488,6 +779,9 @@ const common_render_structs =
     \\    vec2f( 1.0, -1.0),
     \\    vec2f( 1.0,  1.0),
     \\);
+    \\
+    \\// Vertex for the slots past the live particles (room for spawning), outside the clip volume
+    \\const culled = CircleVertexOut(vec4f(2.0, 2.0, 2.0, 1.0), vec2f(0.0), vec4f(0.0));
 ;
 
 /// Glow effect renderer - soft, large halos
@@ -495,13 +789,17 @@ pub const particle_render_glow = common_render_structs ++
     \\
     \\@vertex
     \\fn vertexGlow(@builtin(vertex_index) id: u32) -> CircleVertexOut {
+    \\    if (id / 6u >= particle_count) {
+    \\        return culled;
+    \\    }
     \\    let particle = particles[id / 6u];
     \\    let offset = offsets[id % 6u];
-    \\    let position = vec2f(particle.x, particle.y) + 12.0 * offset;
+    \\    let radius = select(12.0, 36.0, isSelected(id / 6u)); // The inspected particle gets a wide halo
+    \\    let position = vec2f(particle.x, particle.y) + radius * offset;
     \\    return CircleVertexOut(
     \\        vec4f((position - camera.center) / camera.extent, 0.0, 1.0),
     \\        offset,
-    \\        species[u32(particle.species)].color
+    \\        particleColor(id / 6u, particle)
     \\    );
     \\}
     \\
@@ -518,13 +816,16 @@ pub const particle_render_circle = common_render_structs ++
     \\
     \\@vertex
     \\fn vertexCircle(@builtin(vertex_index) id: u32) -> CircleVertexOut {
+    \\    if (id / 6u >= particle_count) {
+    \\        return culled;
+    \\    }
     \\    let particle = particles[id / 6u];
     \\    let offset = offsets[id % 6u] * 1.5;
     \\    let position = vec2f(particle.x, particle.y) + offset;
     \\    return CircleVertexOut(
     \\        vec4f((position - camera.center) / camera.extent, 0.0, 1.0),
     \\        offset,
-    \\        species[u32(particle.species)].color
+    \\        particleColor(id / 6u, particle)
     \\    );
     \\}
     \\
@@ -540,13 +841,16 @@ pub const particle_render_point_hdr = common_render_structs ++
     \\
     \\@vertex
     \\fn vertexPoint(@builtin(vertex_index) id: u32) -> CircleVertexOut {
+    \\    if (id / 6u >= particle_count) {
+    \\        return culled;
+    \\    }
     \\    let particle = particles[id / 6u];
     \\    let offset = 2.0 * offsets[id % 6u] / camera.pixels_per_unit;
     \\    let position = vec2f(particle.x, particle.y) + offset;
     \\    return CircleVertexOut(
     \\        vec4f((position - camera.center) / camera.extent, 0.0, 1.0),
     \\        offset,
-    \\        species[u32(particle.species)].color
+    \\        particleColor(id / 6u, particle)
     \\    );
     \\}
     \\
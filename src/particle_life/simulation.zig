@@ -8,6 +8,8 @@ const system = @import("system.zig");
 const shaders = @import("shaders.zig");
 const physics = @import("physics.zig");
 const spatial = @import("spatial.zig");
+const brush = @import("brush.zig");
+const picker = @import("picker.zig");
 const buffer = @import("../webgpu/buffer.zig");
 const shader = @import("../webgpu/shader.zig");
 const pipeline = @import("../webgpu/pipeline.zig");
@@ -17,9 +19,40 @@ const device = @import("../webgpu/device.zig");
 const texture = @import("../webgpu/texture.zig");
 const webinputs = @import("../webutils/webinputs.zig");
 
+/// Spare particle slots the paint brush can spawn into: twice the particle count, and at least this many more
+/// (web/capabilities.js assumes the doubling when it limits the particle count)
+const MIN_SPAWN_ROOM: u32 = 65536;
+
+/// Particles spawned per frame per square world unit of brush, and at most per frame
+const SPAWN_DENSITY: f32 = 1.0 / 256.0;
+const MAX_SPAWN_PER_FRAME: u32 = 4096;
+
+/// Request ids of live count readbacks have this bit set (see onBufferMapped in main.zig)
+pub const COUNT_REQUEST_BIT: u32 = 0x8000_0000;
+
+pub fn isCountRequest(request_id: u32) bool {
+    return request_id & COUNT_REQUEST_BIT != 0;
+}
+
+/// Image for InitialLayout.image: one species index per pixel, row-major from the top-left
+/// (EMPTY_PIXEL where no particles go)
+pub const LayoutImage = struct {
+    width: u32,
+    height: u32,
+    species: []const u8,
+
+    pub const EMPTY_PIXEL: u8 = 255;
+};
+
+/// Image cells are written to the GPU this many at a time
+const IMAGE_CELL_CHUNK = 1024;
+
 /// Main particle simulation state
 pub const Simulation = struct {
+    // Live particles, or more: after erasing, the exact count is only known once read back from the
+    // GPU (see requestCount), and the shaders read it from particle_count_buffer meanwhile
     particle_count: u32,
+    capacity: u32, // Particles the buffers have room for
     species_count: u32,
     sim_width: f32,
     sim_height: f32,
@@ -30,6 +63,14 @@ pub const Simulation = struct {
     force_buffer: buffer.Buffer,
     options_buffer: buffer.Buffer,
     camera_buffer: buffer.Buffer,
+    particle_count_buffer: buffer.Buffer, // u32 live count, changed on the GPU by the brush
+    selection_buffer: buffer.Buffer, // particle.Selection, moved along with the particle by sorting and erasing
+
+    // Live count readback (see requestCount)
+    count_staging: buffer.Buffer,
+    count_request: u32 = 0, // Id of the readback in flight, 0 if none
+    spawned_since_request: u32 = 0,
+    erased_since_request: bool = false,
 
     // HDR render targets
     hdr_texture: texture.Texture,
@@ -63,23 +104,34 @@ pub const Simulation = struct {
     // Physics pipelines
     physics_pipeline: physics.Physics,
     spatial_pipeline: spatial.SpatialPipeline,
+    brush_pipeline: brush.Brush,
+    picker_pipeline: picker.Picker,
     use_spatial_optimization: bool,
     max_force_radius: f32,
 
     // Init pipeline
     init_shader: shader.ShaderModule,
     init_pipeline: pipeline.ComputePipeline,
-    init_seed_buffer: buffer.Buffer,
+    init_params_buffer: buffer.Buffer,
+    init_cell_buffer: buffer.Buffer, // Pixels of the layout image that get particles (at least one entry)
     init_bind_group_particles: pipeline.BindGroup,
     init_bind_group_options: pipeline.BindGroup,
-    init_bind_group_seed: pipeline.BindGroup,
+    init_bind_group_params: pipeline.BindGroup,
+    initial_layout: particle.InitialLayout,
+    image_width: u32,
+    image_height: u32,
+    image_cells: u32,
 
     // Simulation state
     rng: system.Rng,
+    palette_rng: system.Rng, // The generator as it was before picking the species colors (see applyPalette)
+    palette: system.Palette,
+    system_data: system.SystemData,
     options: particle.SimulationOptions,
     camera: particle.CameraParams,
     symmetric_forces: bool,
     friction_coefficient: f32,
+    max_dt: f32, // Longest physics step; longer steps are clamped to keep the integration stable
 
     pub fn init(
         particle_count: u32,
@@ -87,24 +139,37 @@ pub const Simulation = struct {
         sim_width: f32,
         sim_height: f32,
         seed: u32,
+        initial_layout: particle.InitialLayout,
+        layout_image: ?LayoutImage,
         symmetric_forces: bool,
         friction_coefficient: f32,
+        palette: system.Palette,
+        preset: ?*const system.SystemData,
+        initial_particles: ?[]const particle.Particle,
     ) !Simulation {
         var sim = Simulation{
             .particle_count = particle_count,
+            .capacity = particle_count + @max(particle_count, MIN_SPAWN_ROOM),
             .species_count = species_count,
             .sim_width = sim_width,
             .sim_height = sim_height,
             .rng = system.Rng.init(seed),
-            .options = particle.SimulationOptions.init(sim_width, sim_height, species_count),
+            .palette_rng = undefined,
+            .palette = palette,
+            .system_data = undefined,
+            .options = particle.SimulationOptions.init(sim_width, sim_height, species_count, particle_count),
             .camera = particle.CameraParams.initForSimulation(1024.0, 768.0, sim_width, sim_height), // Will be updated on resize
             .symmetric_forces = symmetric_forces,
             .friction_coefficient = friction_coefficient,
+            .max_dt = 0.025,
             .particle_buffer = undefined,
             .species_buffer = undefined,
             .force_buffer = undefined,
             .options_buffer = undefined,
             .camera_buffer = undefined,
+            .particle_count_buffer = undefined,
+            .selection_buffer = undefined,
+            .count_staging = undefined,
             .hdr_texture = undefined,
             .hdr_texture_view = undefined,
             .canvas_width = 1024,
@@ -127,23 +192,34 @@ pub const Simulation = struct {
             .render_pipeline_handle = handles.RenderPipelineHandle.invalid(),
             .physics_pipeline = undefined,
             .spatial_pipeline = undefined,
+            .brush_pipeline = undefined,
+            .picker_pipeline = undefined,
             .use_spatial_optimization = true, // Use optimized spatial algorithm
             .max_force_radius = 80.0, // Maximum force radius (for binning)
             .init_shader = undefined,
             .init_pipeline = undefined,
-            .init_seed_buffer = undefined,
+            .init_params_buffer = undefined,
+            .init_cell_buffer = undefined,
             .init_bind_group_particles = undefined,
             .init_bind_group_options = undefined,
-            .init_bind_group_seed = undefined,
+            .init_bind_group_params = undefined,
+            .initial_layout = initial_layout,
+            .image_width = 0,
+            .image_height = 0,
+            .image_cells = 0,
         };
 
         // Create GPU buffers
-        sim.particle_buffer = buffer.createStorageBuffer(@sizeOf(particle.Particle) * particle_count);
+        sim.particle_buffer = buffer.createStorageBuffer(@sizeOf(particle.Particle) * @as(u64, sim.capacity));
         sim.species_buffer = buffer.createStorageBuffer(@sizeOf(particle.Species) * species_count);
         sim.force_buffer = buffer.createStorageBuffer(@sizeOf(particle.Force) * species_count * species_count);
         sim.options_buffer = buffer.createUniformBuffer(@sizeOf(particle.SimulationOptions));
         sim.camera_buffer = buffer.createUniformBuffer(@sizeOf(particle.CameraParams));
-        sim.init_seed_buffer = buffer.createUniformBuffer(4); // u32 seed
+        sim.init_params_buffer = buffer.createUniformBuffer(@sizeOf(particle.InitParams));
+        sim.init_cell_buffer = sim.createImageCellBuffer(layout_image);
+        sim.particle_count_buffer = buffer.createStorageBuffer(4);
+        sim.selection_buffer = buffer.createStorageBuffer(@sizeOf(particle.Selection));
+        sim.count_staging = buffer.createReadbackBuffer(4);
 
         // Sync bin size with max force radius to ensure grid consistency
         sim.options.bin_size = sim.max_force_radius;
@@ -152,7 +228,7 @@ pub const Simulation = struct {
         try sim.setupInitPipeline();
 
         // Generate and upload initial system
-        try sim.generateSystem();
+        try sim.generateSystem(preset, initial_particles);
 
         // Set up render pipeline
         try sim.setupRenderPipeline();
@@ -167,54 +243,89 @@ pub const Simulation = struct {
             sim.species_buffer,
             sim.force_buffer,
             sim.options_buffer,
+            sim.selection_buffer,
             sim_width,
             sim_height,
             sim.max_force_radius,
         );
 
+        sim.brush_pipeline = try brush.Brush.init(
+            sim.particle_buffer,
+            sim.spatial_pipeline.particle_temp_buffer,
+            sim.particle_count_buffer,
+            sim.selection_buffer,
+            sim.options_buffer,
+        );
+
+        sim.picker_pipeline = try picker.Picker.init(sim.particle_buffer, sim.selection_buffer, sim.options_buffer);
+
         return sim;
     }
 
-    pub fn generateSystem(self: *Simulation) !void {
-        // see build.zig for stack size IMPORTANT
-        const MAX_SPECIES = 16;
-
-        const actual_species_count = @min(self.species_count, MAX_SPECIES);
+    /// Scatter particles on the GPU and upload species/forces
+    /// Uses the preset species colors and force matrix if given, otherwise generates them from the seed
+    /// Given initial particles (a loaded snapshot, particle_count of them) are uploaded as they are instead of scattered
+    pub fn generateSystem(self: *Simulation, preset: ?*const system.SystemData, initial_particles: ?[]const particle.Particle) !void {
+        const actual_species_count = @min(self.species_count, system.MAX_SPECIES);
 
-        var species: [MAX_SPECIES]particle.Species = undefined;
-        var forces: [MAX_SPECIES * MAX_SPECIES]particle.Force = undefined;
+        const species = &self.system_data.species;
+        const forces = &self.system_data.forces;
 
         log("Generating particles (GPU)...");
 
-        // Upload options first (needed for boundaries)
+        // Upload options first (needed for boundaries), and the live count the brush changes later
+        // New particles have nothing selected
         self.options_buffer.writeTyped(particle.SimulationOptions, 0, &[_]particle.SimulationOptions{self.options});
+        self.particle_count_buffer.writeTyped(u32, 0, &[_]u32{self.particle_count});
+        self.selection_buffer.writeTyped(particle.Selection, 0, &[_]particle.Selection{.{}});
         
         // Upload seed
         // Simple LCG on CPU to get a fresh seed for the GPU hasher
+        // (drawn even for loaded particles, so the colors and forces generated after it stay the same)
         const seed = @as(u32, @intFromFloat(self.rng.next() * 4294967296.0));
-        self.init_seed_buffer.writeTyped(u32, 0, &[_]u32{seed});
+        const init_params = particle.InitParams{
+            .seed = seed,
+            .layout = @intFromEnum(self.initial_layout),
+            .image_width = self.image_width,
+            .image_height = self.image_height,
+            .image_cells = self.image_cells,
+        };
+        self.init_params_buffer.writeTyped(particle.InitParams, 0, &[_]particle.InitParams{init_params});
 
-        // Dispatch Init Shader
-        const encoder = compute.CommandEncoder.create();
-        const pass = encoder.beginComputePass();
-        pass.setPipeline(self.init_pipeline);
-        pass.setBindGroup(0, self.init_bind_group_particles);
-        pass.setBindGroup(1, self.init_bind_group_options);
-        pass.setBindGroup(2, self.init_bind_group_seed);
-        
-        const workgroup_count = (self.particle_count + 63) / 64;
-        pass.dispatch(workgroup_count, 1, 1);
-        pass.end();
-        
-        const cmd_buffer = encoder.finish();
-        cmd_buffer.submit();
+        if (initial_particles) |particles| {
+            log("Uploading loaded particles...");
+            self.particle_buffer.writeTyped(particle.Particle, 0, particles[0..self.particle_count]);
+        } else {
+            // Dispatch Init Shader
+            const encoder = compute.CommandEncoder.create();
+            const pass = encoder.beginComputePass("init");
+            pass.setPipeline(self.init_pipeline);
+            pass.setBindGroup(0, self.init_bind_group_particles);
+            pass.setBindGroup(1, self.init_bind_group_options);
+            pass.setBindGroup(2, self.init_bind_group_params);
 
-        log("Generating species colors...");
-        system.generateSpeciesColors(species[0..actual_species_count], &self.rng);
+            const workgroup_count = (self.particle_count + 63) / 64;
+            pass.dispatch(workgroup_count, 1, 1);
+            pass.end();
+
+            const cmd_buffer = encoder.finish();
+            cmd_buffer.submit();
+        }
 
-        log("Generating force matrix...");
         const force_count = @as(usize, actual_species_count) * @as(usize, actual_species_count);
-        system.generateForceMatrix(forces[0..force_count], actual_species_count, &self.rng, self.symmetric_forces);
+
+        self.palette_rng = self.rng;
+        if (preset) |data| {
+            log("Using preset species colors and force matrix...");
+            self.system_data = data.*;
+        } else {
+            // system.generate() repeats these draws for edits made before the simulation exists
+            log("Generating species colors...");
+            system.generateSpeciesColors(species[0..actual_species_count], &self.rng, self.palette);
+
+            log("Generating force matrix...");
+            system.generateForceMatrix(forces[0..force_count], actual_species_count, &self.rng, self.symmetric_forces);
+        }
 
         log("Uploading species/forces to GPU...");
 
@@ -250,6 +361,7 @@ pub const Simulation = struct {
 
         const entries_2 = [_]pipeline.BindGroupLayoutEntry{
             pipeline.BindGroupLayoutEntry.init(0, pipeline.ShaderVisibility.COMPUTE, .uniform),
+            pipeline.BindGroupLayoutEntry.init(1, pipeline.ShaderVisibility.COMPUTE, .read_only_storage),
         };
         const layout_2 = pipeline.BindGroupLayout.create(&entries_2);
 
@@ -257,6 +369,14 @@ pub const Simulation = struct {
         const layouts = [_]pipeline.BindGroupLayout{layout_0, layout_1, layout_2};
         const pipeline_layout = pipeline.PipelineLayout.create(&layouts);
 
+        // Only needed to create the pipeline and bind groups, which keep them alive
+        defer {
+            pipeline_layout.release();
+            layout_0.release();
+            layout_1.release();
+            layout_2.release();
+        }
+
         self.init_pipeline = pipeline.ComputePipeline.create(pipeline_layout, self.init_shader, "initParticles");
 
         // Bind Groups
@@ -271,13 +391,57 @@ pub const Simulation = struct {
         self.init_bind_group_options = pipeline.BindGroup.create(layout_1, &bg_entries_1);
 
         const bg_entries_2 = [_]pipeline.BindGroupEntry{
-            pipeline.BindGroupEntry.initFull(0, self.init_seed_buffer.handle, self.init_seed_buffer.size),
+            pipeline.BindGroupEntry.initFull(0, self.init_params_buffer.handle, self.init_params_buffer.size),
+            pipeline.BindGroupEntry.initFull(1, self.init_cell_buffer.handle, self.init_cell_buffer.size),
         };
-        self.init_bind_group_seed = pipeline.BindGroup.create(layout_2, &bg_entries_2);
+        self.init_bind_group_params = pipeline.BindGroup.create(layout_2, &bg_entries_2);
 
         log("✓ Init pipeline created");
     }
 
+    /// Pack the non-empty pixels of the layout image into a storage buffer for the init shader
+    /// Without an image (or with an empty one) the image layout falls back to uniform
+    fn createImageCellBuffer(self: *Simulation, layout_image: ?LayoutImage) buffer.Buffer {
+        var cells: u32 = 0;
+        if (layout_image) |image| {
+            for (image.species) |s| {
+                if (s != LayoutImage.EMPTY_PIXEL) cells += 1;
+            }
+        }
+
+        const cell_buffer = buffer.createStorageBuffer(@sizeOf(u32) * @as(u64, @max(cells, 1)));
+        if (cells == 0) {
+            if (self.initial_layout == .image) {
+                log("WARNING: No layout image pixels, scattering uniformly");
+                self.initial_layout = .uniform;
+            }
+            return cell_buffer;
+        }
+
+        const image = layout_image.?;
+        var chunk: [IMAGE_CELL_CHUNK]u32 = undefined;
+        var filled: usize = 0;
+        var written: u64 = 0;
+        for (image.species, 0..) |s, pixel| {
+            if (s == LayoutImage.EMPTY_PIXEL) continue;
+            chunk[filled] = (@as(u32, s) << 24) | @as(u32, @intCast(pixel));
+            filled += 1;
+            if (filled == chunk.len) {
+                cell_buffer.writeTyped(u32, written * @sizeOf(u32), chunk[0..filled]);
+                written += filled;
+                filled = 0;
+            }
+        }
+        if (filled > 0) {
+            cell_buffer.writeTyped(u32, written * @sizeOf(u32), chunk[0..filled]);
+        }
+
+        self.image_width = image.width;
+        self.image_height = image.height;
+        self.image_cells = cells;
+        return cell_buffer;
+    }
+
     fn setupRenderPipeline(self: *Simulation) !void {
         log("Setting up HDR render pipeline...");
 
@@ -318,10 +482,12 @@ pub const Simulation = struct {
         self.render_shader = shader.ShaderModule.create(shaders.particle_render_point);
 
         // Create bind group layouts
-        // Group 0: particles + species (storage buffers)
+        // Group 0: particles + species + live count + selection (storage buffers)
         const particle_layout_entries = [_]pipeline.BindGroupLayoutEntry{
             pipeline.BindGroupLayoutEntry.init(0, pipeline.ShaderVisibility.VERTEX, .read_only_storage),
             pipeline.BindGroupLayoutEntry.init(1, pipeline.ShaderVisibility.VERTEX, .read_only_storage),
+            pipeline.BindGroupLayoutEntry.init(2, pipeline.ShaderVisibility.VERTEX, .read_only_storage),
+            pipeline.BindGroupLayoutEntry.init(3, pipeline.ShaderVisibility.VERTEX, .read_only_storage),
         };
         self.particle_bind_group_layout = pipeline.BindGroupLayout.create(&particle_layout_entries);
 
@@ -336,6 +502,8 @@ pub const Simulation = struct {
         const particle_bind_entries = [_]pipeline.BindGroupEntry{
             pipeline.BindGroupEntry.initFull(0, self.particle_buffer.handle, self.particle_buffer.size),
             pipeline.BindGroupEntry.initFull(1, self.species_buffer.handle, self.species_buffer.size),
+            pipeline.BindGroupEntry.initFull(2, self.particle_count_buffer.handle, self.particle_count_buffer.size),
+            pipeline.BindGroupEntry.initFull(3, self.selection_buffer.handle, self.selection_buffer.size),
         };
         self.particle_bind_group = pipeline.BindGroup.create(self.particle_bind_group_layout, &particle_bind_entries);
 
@@ -347,6 +515,7 @@ pub const Simulation = struct {
         // Create pipeline layout (shared by all three pipelines)
         const layouts = [_]pipeline.BindGroupLayout{ self.particle_bind_group_layout, self.camera_bind_group_layout };
         const pipeline_layout = pipeline.PipelineLayout.create(&layouts);
+        defer pipeline_layout.release(); // The pipelines keep their layout alive
 
         // Create HDR render pipelines (format 0 = rgba16float, blending enabled)
         log("Creating HDR render pipelines...");
@@ -433,6 +602,7 @@ pub const Simulation = struct {
         // Create compose pipeline (renders to screen, no blending needed)
         const compose_layout_array = [_]pipeline.BindGroupLayout{self.compose_bind_group_layout};
         const compose_pipeline_layout = pipeline.PipelineLayout.create(&compose_layout_array);
+        defer compose_pipeline_layout.release();
 
         // Compose pipeline uses screen format (bgra8unorm), no blending
         const compose_pipeline_id = js_webgpu_create_render_pipeline(
@@ -473,10 +643,10 @@ pub const Simulation = struct {
     pub fn handleInput(self: *Simulation, input: *const webinputs.InputState, _: f32) void {
         // Update simulation options
         self.friction_coefficient = input.friction;
-        self.options.dt = input.time_step;
+        self.max_dt = input.time_step;
         self.options.looping_borders = if (input.looping_borders) 1.0 else 0.0;
         self.options.central_force = input.central_force;
-        // self.options.force_strength = input.force_strength; // Need to implement this in options struct if needed
+        self.options.force_strength = input.force_strength;
 
         // Camera Pan
         if (input.pan_x != 0 or input.pan_y != 0) {
@@ -523,7 +693,7 @@ pub const Simulation = struct {
             self.camera_buffer.writeTyped(particle.CameraParams, 0, &[_]particle.CameraParams{self.camera});
         }
 
-        // Particle Interaction (Attract/Repel)
+        // Brush: attract/repel act on every step through the options, the paint tools once per frame
         if (input.mouse_down or input.mouse_right_down) {
             const canvas_width_f: f32 = @as(f32, @floatFromInt(self.canvas_width));
             const canvas_height_f: f32 = @as(f32, @floatFromInt(self.canvas_height));
@@ -542,9 +712,17 @@ pub const Simulation = struct {
             self.options.action_vx = self.camera.extent_x * drag_x_ndc;
             self.options.action_vy = self.camera.extent_y * drag_y_ndc;
 
-            // Set action parameters
-            self.options.action_radius = self.camera.extent_x / 16.0;
-            self.options.action_force = if (input.mouse_down) 20.0 else -20.0;
+            // The right button always repels, the left one uses the selected tool
+            const tool: webinputs.BrushTool = if (input.mouse_down) input.brush_tool else .repel;
+            self.options.action_radius = input.brush_radius;
+            self.options.action_force = switch (tool) {
+                .attract => 20.0,
+                .repel => -20.0,
+                .spawn, .erase, .convert => 0.0,
+            };
+            if (tool == .spawn or tool == .erase or tool == .convert) {
+                self.paint(tool, self.options.action_x, self.options.action_y, input.brush_radius, input.brush_species);
+            }
         } else {
             self.options.action_force = 0.0;
             self.options.action_vx = 0.0;
@@ -553,6 +731,86 @@ pub const Simulation = struct {
         }
     }
 
+    /// Spawn, erase or convert particles within `radius` of a world position
+    fn paint(self: *Simulation, tool: webinputs.BrushTool, x: f32, y: f32, radius: f32, species: u32) void {
+        const last_species = @min(self.species_count, system.MAX_SPECIES) - 1;
+        var params = particle.BrushParams{
+            .x = x,
+            .y = y,
+            .radius = radius,
+            .species = @floatFromInt(@min(species, last_species)),
+            .spawn_count = 0,
+            .seed = @intFromFloat(self.rng.next() * 4294967296.0),
+        };
+
+        if (tool == .spawn) {
+            const area = std.math.pi * radius * radius;
+            const wanted: u32 = @intFromFloat(@min(@ceil(area * SPAWN_DENSITY), @as(f32, @floatFromInt(MAX_SPAWN_PER_FRAME))));
+            params.spawn_count = @min(wanted, self.capacity - self.particle_count);
+            if (params.spawn_count == 0) {
+                return;
+            }
+        }
+
+        // Bounds and borders as set now, even while paused
+        self.options_buffer.writeTyped(particle.SimulationOptions, 0, &[_]particle.SimulationOptions{self.options});
+        self.brush_pipeline.apply(tool, params, self.particle_count);
+
+        switch (tool) {
+            .spawn => {
+                self.particle_count += params.spawn_count;
+                self.spawned_since_request += params.spawn_count;
+            },
+            .erase => {
+                self.erased_since_request = true;
+                self.requestCount();
+            },
+            else => {},
+        }
+    }
+
+    var count_request_serial: u32 = 0;
+    var count_readback: u32 = 0; // Destination of the live count readback
+
+    /// Read the live count back, to bring particle_count down to it after erasing
+    /// Does nothing while a readback is in flight; its completion asks again if needed
+    fn requestCount(self: *Simulation) void {
+        if (self.count_request != 0) {
+            return;
+        }
+
+        count_request_serial = (count_request_serial + 1) & ~COUNT_REQUEST_BIT;
+        self.count_request = COUNT_REQUEST_BIT | count_request_serial;
+        self.spawned_since_request = 0;
+        self.erased_since_request = false;
+
+        self.particle_count_buffer.copyTo(0, self.count_staging, 0, 4);
+        self.count_staging.mapRead(0, std.mem.asBytes(&count_readback), self.count_request);
+    }
+
+    /// Whether particle_count is the live count, rather than an upper bound waiting for a readback
+    /// Past the live count, the particle buffer holds stale copies of erased particles
+    pub fn countIsExact(self: *const Simulation) bool {
+        return self.count_request == 0;
+    }
+
+    /// A live count readback completed (len 0 if it failed)
+    /// Readbacks of a simulation since rebuilt are ignored
+    pub fn onCountMapped(self: *Simulation, request_id: u32, len: usize) void {
+        if (request_id != self.count_request) {
+            return;
+        }
+        self.count_request = 0;
+
+        // Particles spawned since the copy was made are on top of the count read
+        if (len == @sizeOf(u32)) {
+            self.particle_count = @min(self.capacity, count_readback + self.spawned_since_request);
+        }
+        if (self.erased_since_request) {
+            self.requestCount();
+        }
+    }
+
     pub fn updateCamera(self: *Simulation, canvas_width: f32, canvas_height: f32) void {
         const new_width = @as(u32, @intFromFloat(canvas_width));
         const new_height = @as(u32, @intFromFloat(canvas_height));
@@ -577,6 +835,7 @@ pub const Simulation = struct {
                 pipeline.BindGroupEntry.initTextureView(0, self.hdr_texture_view.handle),
                 pipeline.BindGroupEntry.initTextureView(1, blue_noise_view),
             };
+            self.compose_bind_group.release();
             self.compose_bind_group = pipeline.BindGroup.create(self.compose_bind_group_layout, &compose_bind_entries);
 
             log("HDR texture recreated for new canvas size");
@@ -603,27 +862,48 @@ pub const Simulation = struct {
         }
     }
 
+    /// Move the camera to a saved view, keeping the current canvas aspect ratio
+    pub fn setView(self: *Simulation, center_x: f32, center_y: f32, extent_x: f32) void {
+        if (self.canvas_width == 0 or self.canvas_height == 0 or extent_x <= 0.0) {
+            return;
+        }
+
+        const canvas_width_f: f32 = @floatFromInt(self.canvas_width);
+        const canvas_height_f: f32 = @floatFromInt(self.canvas_height);
+
+        self.camera.center_x = center_x;
+        self.camera.center_y = center_y;
+        self.camera.extent_x = extent_x;
+        self.camera.extent_y = extent_x * canvas_height_f / canvas_width_f;
+        self.camera.pixels_per_unit = canvas_width_f / (2.0 * extent_x);
+        self.camera_buffer.writeTyped(particle.CameraParams, 0, &[_]particle.CameraParams{self.camera});
+    }
+
     var frame_count: u32 = 0;
 
     pub fn update(self: *Simulation, dt: f32) void {
         // Update simulation parameters
-        const clamped_dt = @min(dt, 0.025); // Cap dt to prevent instability
+        const clamped_dt = @min(dt, self.max_dt); // Cap dt to prevent instability
         self.options.dt = clamped_dt;
         const coeff = self.friction_coefficient;
         const friction_factor = if (coeff <= 0.0) 1.0 else std.math.exp(-clamped_dt * coeff);
         self.options.friction = friction_factor;
         self.options_buffer.writeTyped(particle.SimulationOptions, 0, &[_]particle.SimulationOptions{self.options});
 
-        // Run optimized spatial algorithm (returns encoder handle)
+        // Run optimized spatial algorithm
         if (self.use_spatial_optimization) {
-            const encoder_handle = self.spatial_pipeline.computeForces(
+            const encoder = compute.CommandEncoder.create();
+            self.brush_pipeline.syncCount(encoder);
+            self.spatial_pipeline.computeForces(
+                encoder,
                 self.particle_count,
                 self.particle_buffer.handle.id,
                 self.spatial_pipeline.particle_temp_buffer.handle.id,
             );
+            const encoder_handle = encoder.handle.id;
 
             // Add advancement pass to the same encoder
-            const advance_pass = js_webgpu_encoder_begin_compute_pass(encoder_handle);
+            const advance_pass = js_webgpu_encoder_begin_compute_pass(encoder_handle, "advance", "advance".len);
             js_webgpu_compute_pass_set_pipeline(advance_pass, self.physics_pipeline.advance_pipeline.handle.id);
             js_webgpu_compute_pass_set_bind_group(advance_pass, 0, self.physics_pipeline.particle_group.handle.id);
             js_webgpu_compute_pass_set_bind_group(advance_pass, 1, self.physics_pipeline.options_group.handle.id);
@@ -636,6 +916,9 @@ pub const Simulation = struct {
             js_webgpu_queue_submit(device.getDevice().id, cmd_buffer);
         } else {
             // Fallback to simple physics (no forces, just advancement)
+            const encoder = compute.CommandEncoder.create();
+            self.brush_pipeline.syncCount(encoder);
+            encoder.finish().submit();
             self.physics_pipeline.update(self.particle_count);
         }
 
@@ -665,36 +948,45 @@ pub const Simulation = struct {
 
         const vertex_count = self.particle_count * 6;
 
-        // === PASS 1: Render particles to HDR texture ===
-        const hdr_pass = js_webgpu_begin_render_pass_hdr(
+        // === PASS 1: Render glow layer to HDR texture (always rendered first for bloom effect) ===
+        const glow_pass = js_webgpu_begin_render_pass_hdr(
             self.hdr_texture_view.handle.id,
             0.001, // Near-black clear (not pure black for visual debugging)
             0.001,
             0.001,
             0.0,
+            "glow",
+            "glow".len,
         );
 
         // Set bind groups (shared by all particle pipelines)
-        js_webgpu_render_pass_set_bind_group(hdr_pass, 0, self.particle_bind_group.handle.id);
-        js_webgpu_render_pass_set_bind_group(hdr_pass, 1, self.camera_bind_group.handle.id);
+        js_webgpu_render_pass_set_bind_group(glow_pass, 0, self.particle_bind_group.handle.id);
+        js_webgpu_render_pass_set_bind_group(glow_pass, 1, self.camera_bind_group.handle.id);
 
-        // Draw glow layer (always rendered first for bloom effect)
-        js_webgpu_render_pass_set_pipeline(hdr_pass, self.glow_pipeline.id);
-        js_webgpu_render_pass_draw(hdr_pass, vertex_count, 1, 0, 0);
+        js_webgpu_render_pass_set_pipeline(glow_pass, self.glow_pipeline.id);
+        js_webgpu_render_pass_draw(glow_pass, vertex_count, 1, 0, 0);
+
+        js_webgpu_render_pass_end(glow_pass);
+
+        // === PASS 2: Draw circles over the glow (separate pass so it can be timed on its own) ===
+        const circle_pass = js_webgpu_begin_render_pass_hdr_load(self.hdr_texture_view.handle.id, "circle", "circle".len);
+
+        js_webgpu_render_pass_set_bind_group(circle_pass, 0, self.particle_bind_group.handle.id);
+        js_webgpu_render_pass_set_bind_group(circle_pass, 1, self.camera_bind_group.handle.id);
 
         // Draw circle or point layer based on zoom level
         // (pixels_per_unit < 1.0 means zoomed out, use point renderer)
         if (self.camera.pixels_per_unit < 1.0) {
-            js_webgpu_render_pass_set_pipeline(hdr_pass, self.point_pipeline.id);
+            js_webgpu_render_pass_set_pipeline(circle_pass, self.point_pipeline.id);
         } else {
-            js_webgpu_render_pass_set_pipeline(hdr_pass, self.circle_pipeline.id);
+            js_webgpu_render_pass_set_pipeline(circle_pass, self.circle_pipeline.id);
         }
-        js_webgpu_render_pass_draw(hdr_pass, vertex_count, 1, 0, 0);
+        js_webgpu_render_pass_draw(circle_pass, vertex_count, 1, 0, 0);
 
-        js_webgpu_render_pass_end(hdr_pass);
+        js_webgpu_render_pass_end(circle_pass);
 
-        // === PASS 2: Screen Pass ===
-        const compose_pass = js_webgpu_begin_render_pass_for_particles(0.1, 0.0, 0.1, 1.0);
+        // === PASS 3: Screen Pass ===
+        const compose_pass = js_webgpu_begin_render_pass_for_particles(0.1, 0.0, 0.1, 1.0, "compose", "compose".len);
 
         if (self.compose_pipeline.isValid()) {
             js_webgpu_render_pass_set_pipeline(compose_pass, self.compose_pipeline.id);
@@ -708,6 +1000,59 @@ pub const Simulation = struct {
         js_webgpu_present();
     }
 
+    /// Replace one species color and upload just that entry
+    pub fn setSpecies(self: *Simulation, index: u32, species: particle.Species) void {
+        if (index >= @min(self.species_count, system.MAX_SPECIES)) {
+            return;
+        }
+
+        self.system_data.species[index] = species;
+        self.species_buffer.writeTyped(particle.Species, index * @sizeOf(particle.Species), &[_]particle.Species{species});
+    }
+
+    /// Recolor every species from a palette and upload the colors, without restarting
+    /// Random colors are the ones the seed gave (or would have given, for loaded systems)
+    pub fn applyPalette(self: *Simulation, palette: system.Palette) void {
+        const n = @min(self.species_count, system.MAX_SPECIES);
+        var rng = self.palette_rng;
+        self.palette = palette;
+        system.generateSpeciesColors(self.system_data.species[0..n], &rng, palette);
+        self.species_buffer.writeTyped(particle.Species, 0, self.system_data.species[0..n]);
+    }
+
+    /// Replace one force matrix entry and upload just that entry
+    pub fn setForce(self: *Simulation, i: u32, j: u32, force: particle.Force) void {
+        const n = @min(self.species_count, system.MAX_SPECIES);
+        if (i >= n or j >= n) {
+            return;
+        }
+
+        const idx = i * n + j;
+        self.system_data.forces[idx] = force;
+        self.force_buffer.writeTyped(particle.Force, idx * @sizeOf(particle.Force), &[_]particle.Force{force});
+    }
+
+    /// Highlight the particle in one slot of the particle buffer (-1, or any slot out of range, for none)
+    /// The highlight then follows that particle wherever sorting and erasing move it
+    pub fn setSelectedParticle(self: *Simulation, index: i32) void {
+        const in_range = index >= 0 and @as(u32, @intCast(index)) < self.particle_count;
+        const selection = particle.Selection{ .particle = if (in_range) index else -1 };
+        self.selection_buffer.writeTyped(particle.Selection, 0, &[_]particle.Selection{selection});
+    }
+
+    /// Select the particle nearest to a world position, within `radius` (none if nothing is that close)
+    /// Runs on the GPU between steps, so the selection is exact however long its readback takes
+    pub fn pickParticle(self: *Simulation, x: f32, y: f32, radius: f32) void {
+        // Bounds and borders as set now, even while paused
+        self.options_buffer.writeTyped(particle.SimulationOptions, 0, &[_]particle.SimulationOptions{self.options});
+
+        const encoder = compute.CommandEncoder.create();
+        self.brush_pipeline.syncCount(encoder);
+        self.picker_pipeline.pick(encoder, .{ .x = x, .y = y, .radius = radius }, self.particle_count);
+        const cmd_buffer = encoder.finish();
+        cmd_buffer.submit();
+    }
+
     pub fn setBlueNoiseTexture(self: *Simulation, view_handle: u32) void {
         // Store the view handle
         self.blue_noise_texture_view = handles.TextureViewHandle{ .id = view_handle };
@@ -717,6 +1062,7 @@ pub const Simulation = struct {
             pipeline.BindGroupEntry.initTextureView(0, self.hdr_texture_view.handle),
             pipeline.BindGroupEntry.initTextureView(1, self.blue_noise_texture_view.?),
         };
+        self.compose_bind_group.release();
         self.compose_bind_group = pipeline.BindGroup.create(self.compose_bind_group_layout, &compose_bind_entries);
 
         log("✓ Blue noise texture set and bind group updated");
@@ -728,8 +1074,42 @@ pub const Simulation = struct {
         self.force_buffer.destroy();
         self.options_buffer.destroy();
         self.camera_buffer.destroy();
-        self.init_seed_buffer.destroy();
+        self.init_params_buffer.destroy();
+        self.init_cell_buffer.destroy();
+        self.particle_count_buffer.destroy();
+        self.selection_buffer.destroy();
+        self.count_staging.destroy();
+        self.hdr_texture.destroy(); // Its view goes with it
+
+        // Render pipelines
+        device.releaseHandle(self.glow_pipeline.id);
+        device.releaseHandle(self.circle_pipeline.id);
+        device.releaseHandle(self.point_pipeline.id);
+        device.releaseHandle(self.compose_pipeline.id);
+        device.releaseHandle(self.render_pipeline_handle.id);
+        self.particle_bind_group.release();
+        self.camera_bind_group.release();
+        self.compose_bind_group.release();
+        self.particle_bind_group_layout.release();
+        self.camera_bind_group_layout.release();
+        self.compose_bind_group_layout.release();
+        self.glow_shader.release();
+        self.circle_shader.release();
+        self.point_shader.release();
+        self.compose_shader.release();
+        self.render_shader.release();
+
+        // Init pipeline
+        self.init_pipeline.release();
+        self.init_bind_group_particles.release();
+        self.init_bind_group_options.release();
+        self.init_bind_group_params.release();
+        self.init_shader.release();
+
+        self.physics_pipeline.deinit();
         self.spatial_pipeline.deinit();
+        self.brush_pipeline.deinit();
+        self.picker_pipeline.deinit();
     }
 };
 
@@ -756,8 +1136,9 @@ extern fn js_webgpu_create_render_pipeline_hdr(
     enable_blending: u32, // 0 = no blending, 1 = additive blending
 ) u32;
 
-extern fn js_webgpu_begin_render_pass_for_particles(r: f32, g: f32, b: f32, a: f32) u32;
-extern fn js_webgpu_begin_render_pass_hdr(texture_view: u32, r: f32, g: f32, b: f32, a: f32) u32;
+extern fn js_webgpu_begin_render_pass_for_particles(r: f32, g: f32, b: f32, a: f32, label_ptr: [*]const u8, label_len: usize) u32;
+extern fn js_webgpu_begin_render_pass_hdr(texture_view: u32, r: f32, g: f32, b: f32, a: f32, label_ptr: [*]const u8, label_len: usize) u32;
+extern fn js_webgpu_begin_render_pass_hdr_load(texture_view: u32, label_ptr: [*]const u8, label_len: usize) u32;
 extern fn js_webgpu_render_pass_set_pipeline(pass: u32, pipeline: u32) void;
 extern fn js_webgpu_render_pass_set_bind_group(pass: u32, index: u32, bind_group: u32) void;
 extern fn js_webgpu_render_pass_draw(pass: u32, vertex_count: u32, instance_count: u32, first_vertex: u32, first_instance: u32) void;
@@ -765,7 +1146,7 @@ extern fn js_webgpu_render_pass_end(pass: u32) void;
 extern fn js_webgpu_present() void;
 
 // Additional FFI for chaining compute passes
-extern fn js_webgpu_encoder_begin_compute_pass(encoder: u32) u32;
+extern fn js_webgpu_encoder_begin_compute_pass(encoder: u32, label_ptr: [*]const u8, label_len: usize) u32;
 extern fn js_webgpu_compute_pass_set_pipeline(pass: u32, pipeline: u32) void;
 extern fn js_webgpu_compute_pass_set_bind_group(pass: u32, index: u32, bind_group: u32) void;
 extern fn js_webgpu_compute_pass_dispatch(pass: u32, x: u32, y: u32, z: u32) void;
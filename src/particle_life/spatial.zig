@@ -76,6 +76,7 @@ pub const SpatialPipeline = struct {
         species_buffer: buffer.Buffer,
         force_buffer: buffer.Buffer,
         options_buffer: buffer.Buffer,
+        selection_buffer: buffer.Buffer,
         sim_width: f32,
         sim_height: f32,
         max_force_radius: f32,
@@ -142,7 +143,7 @@ pub const SpatialPipeline = struct {
         const prefix_sum_group_1 = createPrefixSumBindGroup(prefix_sum_layout, bin_offset_temp_buffer, bin_offset_buffer, prefix_sum_step_buffer);
 
         // Sort bind group
-        const sort_group = createSortBindGroup(sort_layout, particle_buffer, particle_temp_buffer, bin_offset_buffer, bin_offset_temp_buffer);
+        const sort_group = createSortBindGroup(sort_layout, particle_buffer, particle_temp_buffer, bin_offset_buffer, bin_offset_temp_buffer, selection_buffer);
 
         // Forces bind group
         const forces_group = createForcesBindGroup(forces_layout, particle_temp_buffer, particle_buffer, bin_offset_buffer, force_buffer);
@@ -190,61 +191,87 @@ pub const SpatialPipeline = struct {
         };
     }
 
-    /// Returns the command encoder handle for chaining with advancement pass
-    pub fn computeForces(self: *SpatialPipeline, particle_count: u32, particle_buffer_handle: u32, particle_temp_buffer_handle: u32) u32 {
-        const encoder = compute.CommandEncoder.create();
-
+    /// Records the passes into `encoder`, so the caller can add the advancement pass before submitting
+    /// particle_count sizes the copy and dispatches; the shaders stop at options.particle_count
+    pub fn computeForces(self: *SpatialPipeline, encoder: compute.CommandEncoder, particle_count: u32, particle_buffer_handle: u32, particle_temp_buffer_handle: u32) void {
         // Copy particles to temp buffer BEFORE starting compute pass
         js_webgpu_copy_buffer_to_buffer_in_encoder(encoder.handle.id, particle_buffer_handle, 0, particle_temp_buffer_handle, 0, particle_count * @sizeOf(particle.Particle));
 
-        // Start binning compute pass
-        const binning_pass = encoder.beginComputePass();
+        // Binning runs as one pass per stage so each stage can be timed on its own
 
         // 1. Clear bin sizes
-        binning_pass.setPipeline(self.bin_clear_pipeline);
-        binning_pass.setBindGroup(0, self.particle_readonly_group);
-        binning_pass.setBindGroup(1, self.options_group);
-        binning_pass.setBindGroup(2, self.bin_size_group);
-        binning_pass.dispatch((self.bin_count + 1 + 63) / 64, 1, 1);
+        const clear_pass = encoder.beginComputePass("bin clear");
+        clear_pass.setPipeline(self.bin_clear_pipeline);
+        clear_pass.setBindGroup(0, self.particle_readonly_group);
+        clear_pass.setBindGroup(1, self.options_group);
+        clear_pass.setBindGroup(2, self.bin_size_group);
+        clear_pass.dispatch((self.bin_count + 1 + 63) / 64, 1, 1);
+        clear_pass.end();
 
         // 2. Fill bin sizes
-        binning_pass.setPipeline(self.bin_fill_pipeline);
-        binning_pass.dispatch((particle_count + 63) / 64, 1, 1);
+        const fill_pass = encoder.beginComputePass("bin fill");
+        fill_pass.setPipeline(self.bin_fill_pipeline);
+        fill_pass.setBindGroup(0, self.particle_readonly_group);
+        fill_pass.setBindGroup(1, self.options_group);
+        fill_pass.setBindGroup(2, self.bin_size_group);
+        fill_pass.dispatch((particle_count + 63) / 64, 1, 1);
+        fill_pass.end();
 
         // 3. Prefix sum (ping-pong between buffers)
-        binning_pass.setPipeline(self.prefix_sum_pipeline);
+        const prefix_sum_pass = encoder.beginComputePass("prefix sum");
+        prefix_sum_pass.setPipeline(self.prefix_sum_pipeline);
         for (0..self.prefix_sum_iterations) |i| {
             const group = if (i % 2 == 0) self.prefix_sum_group_0 else self.prefix_sum_group_1;
             const offset = @as(u32, @intCast(i)) * 256;
-            js_webgpu_compute_pass_set_bind_group_with_offset(binning_pass.handle.id, 0, group.handle.id, offset);
-            binning_pass.dispatch((self.bin_count + 1 + 63) / 64, 1, 1);
+            js_webgpu_compute_pass_set_bind_group_with_offset(prefix_sum_pass.handle.id, 0, group.handle.id, offset);
+            prefix_sum_pass.dispatch((self.bin_count + 1 + 63) / 64, 1, 1);
         }
+        prefix_sum_pass.end();
 
-        // 4. Clear bin sizes for sorting
-        binning_pass.setPipeline(self.sort_clear_pipeline);
-        binning_pass.setBindGroup(0, self.sort_group);
-        binning_pass.setBindGroup(1, self.options_group);
-        binning_pass.dispatch((self.bin_count + 1 + 63) / 64, 1, 1);
-
-        // 5. Sort particles by bins
-        binning_pass.setPipeline(self.sort_pipeline);
-        binning_pass.dispatch((particle_count + 63) / 64, 1, 1);
+        // 4. Clear bin sizes for sorting, then sort particles by bins (moving the selection along)
+        const sort_pass = encoder.beginComputePass("sort");
+        sort_pass.setPipeline(self.sort_clear_pipeline);
+        sort_pass.setBindGroup(0, self.sort_group);
+        sort_pass.setBindGroup(1, self.options_group);
+        sort_pass.dispatch((self.bin_count + 1 + 63) / 64, 1, 1);
 
-        binning_pass.end();
+        sort_pass.setPipeline(self.sort_pipeline);
+        sort_pass.dispatch((particle_count + 63) / 64, 1, 1);
+        sort_pass.end();
 
-        // 6. Force computation (separate pass)
-        const forces_pass = encoder.beginComputePass();
+        // 5. Force computation
+        const forces_pass = encoder.beginComputePass("forces");
         forces_pass.setPipeline(self.forces_pipeline);
         forces_pass.setBindGroup(0, self.forces_group);
         forces_pass.setBindGroup(1, self.options_group);
         forces_pass.dispatch((particle_count + 63) / 64, 1, 1);
         forces_pass.end();
-
-        // Return encoder handle for caller to add advancement pass
-        return encoder.handle.id;
     }
 
     pub fn deinit(self: *SpatialPipeline) void {
+        self.bin_clear_pipeline.release();
+        self.bin_fill_pipeline.release();
+        self.prefix_sum_pipeline.release();
+        self.sort_clear_pipeline.release();
+        self.sort_pipeline.release();
+        self.forces_pipeline.release();
+        self.particle_readonly_group.release();
+        self.options_group.release();
+        self.bin_size_group.release();
+        self.prefix_sum_group_0.release();
+        self.prefix_sum_group_1.release();
+        self.sort_group.release();
+        self.forces_group.release();
+        self.particle_readonly_layout.release();
+        self.options_layout.release();
+        self.bin_size_layout.release();
+        self.prefix_sum_layout.release();
+        self.sort_layout.release();
+        self.forces_layout.release();
+        self.binning_shader.release();
+        self.prefix_sum_shader.release();
+        self.sort_shader.release();
+        self.forces_shader.release();
         self.particle_temp_buffer.destroy();
         self.bin_offset_buffer.destroy();
         self.bin_offset_temp_buffer.destroy();
@@ -291,6 +318,7 @@ fn createSortLayout() pipeline.BindGroupLayout {
         pipeline.BindGroupLayoutEntry.init(1, pipeline.ShaderVisibility.COMPUTE, .storage),
         pipeline.BindGroupLayoutEntry.init(2, pipeline.ShaderVisibility.COMPUTE, .read_only_storage),
         pipeline.BindGroupLayoutEntry.init(3, pipeline.ShaderVisibility.COMPUTE, .storage),
+        pipeline.BindGroupLayoutEntry.init(4, pipeline.ShaderVisibility.COMPUTE, .storage),
     };
     return pipeline.BindGroupLayout.create(&entries);
 }
@@ -336,12 +364,13 @@ fn createPrefixSumBindGroup(layout: pipeline.BindGroupLayout, source_buf: buffer
     return pipeline.BindGroup.create(layout, &entries);
 }
 
-fn createSortBindGroup(layout: pipeline.BindGroupLayout, particle_buf: buffer.Buffer, temp_buf: buffer.Buffer, offset_buf: buffer.Buffer, offset_temp_buf: buffer.Buffer) pipeline.BindGroup {
+fn createSortBindGroup(layout: pipeline.BindGroupLayout, particle_buf: buffer.Buffer, temp_buf: buffer.Buffer, offset_buf: buffer.Buffer, offset_temp_buf: buffer.Buffer, selection_buf: buffer.Buffer) pipeline.BindGroup {
     const entries = [_]pipeline.BindGroupEntry{
         pipeline.BindGroupEntry.initFull(0, particle_buf.handle, particle_buf.size),
         pipeline.BindGroupEntry.initFull(1, temp_buf.handle, temp_buf.size),
         pipeline.BindGroupEntry.initFull(2, offset_buf.handle, offset_buf.size),
         pipeline.BindGroupEntry.initFull(3, offset_temp_buf.handle, offset_temp_buf.size),
+        pipeline.BindGroupEntry.initFull(4, selection_buf.handle, selection_buf.size),
     };
     return pipeline.BindGroup.create(layout, &entries);
 }
@@ -359,36 +388,42 @@ fn createForcesBindGroup(layout: pipeline.BindGroupLayout, temp_buf: buffer.Buff
 fn createBinClearPipeline(particle_layout: pipeline.BindGroupLayout, options_layout: pipeline.BindGroupLayout, bin_layout: pipeline.BindGroupLayout, binning_shader: shader.ShaderModule) pipeline.ComputePipeline {
     const layouts = [_]pipeline.BindGroupLayout{ particle_layout, options_layout, bin_layout };
     const pipeline_layout = pipeline.PipelineLayout.create(&layouts);
+    defer pipeline_layout.release(); // The pipeline keeps its layout alive
     return pipeline.ComputePipeline.create(pipeline_layout, binning_shader, "clearBinSize");
 }
 
 fn createBinFillPipeline(particle_layout: pipeline.BindGroupLayout, options_layout: pipeline.BindGroupLayout, bin_layout: pipeline.BindGroupLayout, binning_shader: shader.ShaderModule) pipeline.ComputePipeline {
     const layouts = [_]pipeline.BindGroupLayout{ particle_layout, options_layout, bin_layout };
     const pipeline_layout = pipeline.PipelineLayout.create(&layouts);
+    defer pipeline_layout.release(); // The pipeline keeps its layout alive
     return pipeline.ComputePipeline.create(pipeline_layout, binning_shader, "fillBinSize");
 }
 
 fn createPrefixSumPipeline(prefix_layout: pipeline.BindGroupLayout, prefix_shader: shader.ShaderModule) pipeline.ComputePipeline {
     const layouts = [_]pipeline.BindGroupLayout{prefix_layout};
     const pipeline_layout = pipeline.PipelineLayout.create(&layouts);
+    defer pipeline_layout.release(); // The pipeline keeps its layout alive
     return pipeline.ComputePipeline.create(pipeline_layout, prefix_shader, "prefixSumStep");
 }
 
 fn createSortClearPipeline(sort_layout: pipeline.BindGroupLayout, options_layout: pipeline.BindGroupLayout, sort_shader: shader.ShaderModule) pipeline.ComputePipeline {
     const layouts = [_]pipeline.BindGroupLayout{ sort_layout, options_layout };
     const pipeline_layout = pipeline.PipelineLayout.create(&layouts);
+    defer pipeline_layout.release(); // The pipeline keeps its layout alive
     return pipeline.ComputePipeline.create(pipeline_layout, sort_shader, "clearBinSize");
 }
 
 fn createSortPipeline(sort_layout: pipeline.BindGroupLayout, options_layout: pipeline.BindGroupLayout, sort_shader: shader.ShaderModule) pipeline.ComputePipeline {
     const layouts = [_]pipeline.BindGroupLayout{ sort_layout, options_layout };
     const pipeline_layout = pipeline.PipelineLayout.create(&layouts);
+    defer pipeline_layout.release(); // The pipeline keeps its layout alive
     return pipeline.ComputePipeline.create(pipeline_layout, sort_shader, "sortParticles");
 }
 
 fn createForcesPipeline(forces_layout: pipeline.BindGroupLayout, options_layout: pipeline.BindGroupLayout, forces_shader: shader.ShaderModule) pipeline.ComputePipeline {
     const layouts = [_]pipeline.BindGroupLayout{ forces_layout, options_layout };
     const pipeline_layout = pipeline.PipelineLayout.create(&layouts);
+    defer pipeline_layout.release(); // The pipeline keeps its layout alive
     return pipeline.ComputePipeline.create(pipeline_layout, forces_shader, "computeForces");
 }
 
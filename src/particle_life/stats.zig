@@ -0,0 +1,222 @@
+// Particle Life - Population Statistics
+//
+// Reads the particles and spatial bin offsets back from the GPU and summarizes them:
+// species counts, mean speed and kinetic energy, and a cluster count estimated from the bins.
+// Readbacks complete asynchronously through the onBufferMapped export (see main.zig).
+
+const std = @import("std");
+const particle = @import("particle.zig");
+const system = @import("system.zig");
+const spatial = @import("spatial.zig");
+const buffer = @import("../webgpu/buffer.zig");
+
+/// Bins holding at least this many times the average number of particles per bin count as dense;
+/// each 8-connected group of dense bins is one cluster
+const CLUSTER_DENSITY = 3.0;
+
+/// Summary of one readback
+/// Shared with JavaScript through WASM memory (web/stats.js), so the layout must stay extern
+pub const Stats = extern struct {
+    sample: u32 = 0, // Completed readbacks so far; 0 until the first one
+    particle_count: u32 = 0,
+    species_count: u32 = 0,
+    cluster_count: u32 = 0,
+    mean_speed: f32 = 0,
+    mean_kinetic_energy: f32 = 0, // ½v² per particle (unit mass)
+    _padding: [2]u32 = .{ 0, 0 },
+    species_counts: [system.MAX_SPECIES]u32 = [_]u32{0} ** system.MAX_SPECIES,
+};
+
+/// Latest statistics (getStatsPtr() in main.zig)
+pub var current = Stats{};
+
+/// Readback in flight: staging buffers and the CPU copies they are read into
+const Readback = struct {
+    id: u32, // Request ids are id * 2 (particles) and id * 2 + 1 (bins)
+    particle_staging: buffer.Buffer,
+    bin_staging: buffer.Buffer,
+    particles: []particle.Particle,
+    bin_offsets: []u32,
+    remaining: u32, // Buffers still being mapped
+    failed: bool,
+
+    // Snapshot of the simulation the buffers came from
+    species_count: u32,
+    grid_x: u32,
+    grid_y: u32,
+    looping_borders: bool,
+};
+
+const allocator = std.heap.wasm_allocator;
+
+var pending: ?Readback = null;
+var next_id: u32 = 1;
+
+/// Start reading back the simulation's particles and bins; ignored while a readback is in flight
+pub fn request(
+    particle_buffer: buffer.Buffer,
+    particle_count: u32,
+    bin_offset_buffer: buffer.Buffer,
+    species_count: u32,
+    sim_width: f32,
+    sim_height: f32,
+    bin_size: f32,
+    looping_borders: bool,
+) void {
+    if (pending != null or particle_count == 0) return;
+
+    const grid = spatial.calculateGridSize(sim_width, sim_height, bin_size);
+    const particles = allocator.alloc(particle.Particle, particle_count) catch {
+        log("ERROR: Out of memory for the stats readback");
+        return;
+    };
+    const bin_offsets = allocator.alloc(u32, grid.bin_count + 1) catch {
+        allocator.free(particles);
+        log("ERROR: Out of memory for the stats readback");
+        return;
+    };
+
+    const particle_bytes = std.mem.sliceAsBytes(particles);
+    const bin_bytes = std.mem.sliceAsBytes(bin_offsets);
+    const readback = Readback{
+        .id = next_id,
+        .particle_staging = buffer.createReadbackBuffer(particle_bytes.len),
+        .bin_staging = buffer.createReadbackBuffer(bin_bytes.len),
+        .particles = particles,
+        .bin_offsets = bin_offsets,
+        .remaining = 2,
+        .failed = false,
+        .species_count = @min(species_count, system.MAX_SPECIES),
+        .grid_x = grid.grid_x,
+        .grid_y = grid.grid_y,
+        .looping_borders = looping_borders,
+    };
+    next_id +%= 1;
+    pending = readback;
+
+    particle_buffer.copyTo(0, readback.particle_staging, 0, particle_bytes.len);
+    bin_offset_buffer.copyTo(0, readback.bin_staging, 0, bin_bytes.len);
+    readback.particle_staging.mapRead(0, particle_bytes, readback.id * 2);
+    readback.bin_staging.mapRead(0, bin_bytes, readback.id * 2 + 1);
+}
+
+/// A buffer of the pending readback was mapped (len 0 if it failed)
+/// Returns true if the request was one of ours
+pub fn onMapped(request_id: u32, len: usize) bool {
+    const readback = if (pending) |*r| r else return false;
+    if (request_id / 2 != readback.id) return false;
+
+    if (len == 0) readback.failed = true;
+    readback.remaining -= 1;
+    if (readback.remaining > 0) return true;
+
+    if (!readback.failed) {
+        summarize(readback);
+    }
+    readback.particle_staging.destroy();
+    readback.bin_staging.destroy();
+    free(readback);
+    return true;
+}
+
+/// Forget the pending readback without touching its buffers (they died with the device)
+pub fn reset() void {
+    if (pending) |*readback| {
+        free(readback);
+    }
+}
+
+fn free(readback: *Readback) void {
+    allocator.free(readback.particles);
+    allocator.free(readback.bin_offsets);
+    pending = null;
+}
+
+fn summarize(readback: *const Readback) void {
+    var stats = Stats{
+        .sample = current.sample +% 1,
+        .particle_count = @intCast(readback.particles.len),
+        .species_count = readback.species_count,
+    };
+
+    var speed_sum: f64 = 0;
+    var energy_sum: f64 = 0;
+    for (readback.particles) |p| {
+        const v2 = p.vx * p.vx + p.vy * p.vy;
+        speed_sum += @sqrt(v2);
+        energy_sum += 0.5 * v2;
+
+        const species: u32 = @intFromFloat(@max(p.species, 0));
+        if (species < readback.species_count) {
+            stats.species_counts[species] += 1;
+        }
+    }
+    const count: f64 = @floatFromInt(readback.particles.len);
+    stats.mean_speed = @floatCast(speed_sum / count);
+    stats.mean_kinetic_energy = @floatCast(energy_sum / count);
+    stats.cluster_count = countClusters(readback);
+
+    current = stats;
+}
+
+/// Connected groups of dense bins (wrapping around when the borders loop)
+fn countClusters(readback: *const Readback) u32 {
+    const grid_x = readback.grid_x;
+    const grid_y = readback.grid_y;
+    const bin_count = grid_x * grid_y;
+    const offsets = readback.bin_offsets;
+
+    const total: f32 = @floatFromInt(offsets[bin_count]);
+    const threshold: u32 = @max(2, @as(u32, @intFromFloat(@ceil(CLUSTER_DENSITY * total / @as(f32, @floatFromInt(bin_count))))));
+
+    // Flood fill over the grid; `stack` holds bins to visit, `seen` the bins already queued
+    const seen = allocator.alloc(bool, bin_count) catch return 0;
+    defer allocator.free(seen);
+    const stack = allocator.alloc(u32, bin_count) catch return 0;
+    defer allocator.free(stack);
+    @memset(seen, false);
+
+    var clusters: u32 = 0;
+    for (0..bin_count) |start| {
+        if (seen[start] or offsets[start + 1] - offsets[start] < threshold) continue;
+
+        clusters += 1;
+        seen[start] = true;
+        stack[0] = @intCast(start);
+        var top: usize = 1;
+        while (top > 0) {
+            top -= 1;
+            const bin = stack[top];
+            const bx: i32 = @intCast(bin % grid_x);
+            const by: i32 = @intCast(bin / grid_x);
+
+            var dy: i32 = -1;
+            while (dy <= 1) : (dy += 1) {
+                var dx: i32 = -1;
+                while (dx <= 1) : (dx += 1) {
+                    const neighbor = neighborBin(bx + dx, by + dy, grid_x, grid_y, readback.looping_borders) orelse continue;
+                    if (seen[neighbor] or offsets[neighbor + 1] - offsets[neighbor] < threshold) continue;
+                    seen[neighbor] = true;
+                    stack[top] = neighbor;
+                    top += 1;
+                }
+            }
+        }
+    }
+    return clusters;
+}
+
+fn neighborBin(x: i32, y: i32, grid_x: u32, grid_y: u32, looping: bool) ?u32 {
+    const w: i32 = @intCast(grid_x);
+    const h: i32 = @intCast(grid_y);
+    if (!looping and (x < 0 or y < 0 or x >= w or y >= h)) return null;
+    const wx: u32 = @intCast(@mod(x, w));
+    const wy: u32 = @intCast(@mod(y, h));
+    return wy * grid_x + wx;
+}
+
+fn log(comptime msg: []const u8) void {
+    js_console_log(msg.ptr, msg.len);
+}
+
+extern fn js_console_log(ptr: [*]const u8, len: usize) void;
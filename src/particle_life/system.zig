@@ -5,6 +5,54 @@
 const std = @import("std");
 const particle = @import("particle.zig");
 
+/// Maximum number of species (matches the species count slider)
+/// see build.zig for stack size IMPORTANT
+pub const MAX_SPECIES = 16;
+
+/// CPU-side copy of a system's species colors and force matrix
+/// Forces are row-major with a stride of the active species count (forces[i * n + j])
+/// Shared with JavaScript through WASM memory, so the layout must stay extern
+pub const SystemData = extern struct {
+    species: [MAX_SPECIES]particle.Species,
+    forces: [MAX_SPECIES * MAX_SPECIES]particle.Force,
+};
+
+/// How species colors are picked (shared with web/palette.js)
+pub const Palette = enum(u32) {
+    random = 0, // Random gamma-corrected RGB (like the reference)
+    hues = 1, // Evenly spaced hues
+    okabe_ito = 2, // Okabe-Ito colorblind-safe set
+    viridis = 3, // Samples of the viridis colormap
+};
+
+/// Okabe-Ito colors (sRGB), with light gray in place of black, which would vanish on the background
+const okabe_ito = [_][3]u8{
+    .{ 230, 159, 0 }, // Orange
+    .{ 86, 180, 233 }, // Sky blue
+    .{ 0, 158, 115 }, // Bluish green
+    .{ 240, 228, 66 }, // Yellow
+    .{ 0, 114, 178 }, // Blue
+    .{ 213, 94, 0 }, // Vermillion
+    .{ 204, 121, 167 }, // Reddish purple
+    .{ 187, 187, 187 }, // Light gray
+};
+
+/// Viridis colormap (sRGB) at evenly spaced stops
+const viridis = [_][3]u8{
+    .{ 68, 1, 84 },
+    .{ 71, 44, 122 },
+    .{ 59, 81, 139 },
+    .{ 44, 113, 142 },
+    .{ 33, 144, 141 },
+    .{ 39, 173, 129 },
+    .{ 92, 200, 99 },
+    .{ 170, 220, 50 },
+    .{ 253, 231, 37 },
+};
+
+/// Viridis samples start this far in, past the purples too dark to see on the background
+const viridis_start = 0.15;
+
 /// Simple pseudo-random number generator for reproducible systems
 /// Based on splitmix32 algorithm
 pub const Rng = struct {
@@ -29,7 +77,7 @@ pub const Rng = struct {
     }
 };
 
-/// Generate HSV color wheel for species
+/// HSV (hue in degrees) to RGB, all 0-1
 fn hsvToRgb(h: f32, s: f32, v: f32) [3]f32 {
     const c = v * s;
     const hh = h / 60.0;
@@ -59,19 +107,69 @@ fn hsvToRgb(h: f32, s: f32, v: f32) [3]f32 {
     };
 }
 
-/// Generate species colors distributed around color wheel
-/// Matches reference implementation with gamma correction
-pub fn generateSpeciesColors(species: []particle.Species, rng: *Rng) void {
-    for (species) |*s| {
-        // Random RGB with gamma correction (like reference)
-        const r = std.math.pow(f32, 0.25 + rng.next() * 0.75, 2.2);
-        const g = std.math.pow(f32, 0.25 + rng.next() * 0.75, 2.2);
-        const b = std.math.pow(f32, 0.25 + rng.next() * 0.75, 2.2);
+/// Generate species colors from a palette
+/// Random colors match the reference implementation with gamma correction; every palette draws the
+/// same random numbers, so the force matrix generated afterwards doesn't depend on the palette
+pub fn generateSpeciesColors(species: []particle.Species, rng: *Rng, palette: Palette) void {
+    const n: f32 = @floatFromInt(species.len);
+    for (species, 0..) |*s, index| {
+        const i: f32 = @floatFromInt(index);
 
-        s.* = particle.Species.init(r, g, b, 1.0);
+        // Random RGB with gamma correction (like reference)
+        const random = [3]f32{
+            std.math.pow(f32, 0.25 + rng.next() * 0.75, 2.2),
+            std.math.pow(f32, 0.25 + rng.next() * 0.75, 2.2),
+            std.math.pow(f32, 0.25 + rng.next() * 0.75, 2.2),
+        };
+
+        const rgb = switch (palette) {
+            .random => random,
+            .hues => linearize(hsvToRgb(360.0 * i / n, 0.75, 1.0)),
+            .okabe_ito => okabeIto(index),
+            .viridis => viridisAt(if (species.len > 1) viridis_start + (1.0 - viridis_start) * i / (n - 1.0) else 1.0),
+        };
+        s.* = particle.Species.init(rgb[0], rgb[1], rgb[2], 1.0);
     }
 }
 
+/// Okabe-Ito color for a species; past the eight colors they repeat darker
+fn okabeIto(index: usize) [3]f32 {
+    const color = srgbColor(okabe_ito[index % okabe_ito.len]);
+    const value: f32 = if (index < okabe_ito.len) 1.0 else 0.6;
+    return linearize(.{ color[0] * value, color[1] * value, color[2] * value });
+}
+
+/// Viridis at t (0-1), interpolated between the stops
+fn viridisAt(t: f32) [3]f32 {
+    const position = std.math.clamp(t, 0.0, 1.0) * @as(f32, @floatFromInt(viridis.len - 1));
+    const stop: usize = @min(@as(usize, @intFromFloat(position)), viridis.len - 2);
+    const f = position - @as(f32, @floatFromInt(stop));
+    const a = srgbColor(viridis[stop]);
+    const b = srgbColor(viridis[stop + 1]);
+    return linearize(.{
+        a[0] + (b[0] - a[0]) * f,
+        a[1] + (b[1] - a[1]) * f,
+        a[2] + (b[2] - a[2]) * f,
+    });
+}
+
+fn srgbColor(color: [3]u8) [3]f32 {
+    return .{
+        @as(f32, @floatFromInt(color[0])) / 255.0,
+        @as(f32, @floatFromInt(color[1])) / 255.0,
+        @as(f32, @floatFromInt(color[2])) / 255.0,
+    };
+}
+
+/// Species colors are linear, with a 2.2 gamma (like cssColor in web/matrix.js)
+fn linearize(rgb: [3]f32) [3]f32 {
+    return .{
+        std.math.pow(f32, rgb[0], 2.2),
+        std.math.pow(f32, rgb[1], 2.2),
+        std.math.pow(f32, rgb[2], 2.2),
+    };
+}
+
 /// Generate random inter-species forces
 /// Creates interesting emergent behaviors (matching reference implementation)
 pub fn generateForceMatrix(forces: []particle.Force, species_count: u32, rng: *Rng, symmetric: bool) void {
@@ -135,3 +233,15 @@ pub fn generateForceMatrix(forces: []particle.Force, species_count: u32, rng: *R
     }
 }
 
+
+/// Species colors and force matrix a simulation generates from `seed`, without building it
+/// Draws in the same order as Simulation.generateSystem, which must stay in step
+pub fn generate(seed: u32, species_count: u32, palette: Palette, symmetric: bool) SystemData {
+    const n = @min(species_count, MAX_SPECIES);
+    var data = std.mem.zeroes(SystemData);
+    var rng = Rng.init(seed);
+    _ = rng.next(); // The simulation's GPU init seed
+    generateSpeciesColors(data.species[0..n], &rng, palette);
+    generateForceMatrix(data.forces[0 .. @as(usize, n) * @as(usize, n)], n, &rng, symmetric);
+    return data;
+}
@@ -44,6 +44,16 @@ pub const Buffer = struct {
         self.write(offset, bytes);
     }
 
+    /// Copy part of this buffer into another (this one needs copy_src, the other copy_dst)
+    pub fn copyTo(self: Buffer, offset: u64, dst: Buffer, dst_offset: u64, size: u64) void {
+        device.copyBuffer(self.handle, offset, dst.handle, dst_offset, size);
+    }
+
+    /// Read a readback buffer into `dest` asynchronously (see device.mapReadBuffer)
+    pub fn mapRead(self: Buffer, offset: u64, dest: []u8, request_id: u32) void {
+        device.mapReadBuffer(self.handle, offset, dest, request_id);
+    }
+
     /// Destroy the buffer and free GPU resources
     pub fn destroy(self: Buffer) void {
         device.destroyBuffer(self.handle);
@@ -22,15 +22,25 @@ pub const CommandEncoder = struct {
         return .{ .handle = .{ .id = handle_id } };
     }
 
-    pub fn beginComputePass(self: CommandEncoder) ComputePass {
+    /// Label names the pass for debugging and GPU timing (see GPU_PASSES in web/profiler.js)
+    pub fn beginComputePass(self: CommandEncoder, label: []const u8) ComputePass {
         if (!self.isValid()) {
             return .{ .handle = handles.ComputePassEncoderHandle.invalid() };
         }
 
-        const handle_id = js_webgpu_begin_compute_pass(self.handle.id);
+        const handle_id = js_webgpu_begin_compute_pass(self.handle.id, label.ptr, label.len);
         return .{ .handle = .{ .id = handle_id } };
     }
 
+    /// Record a buffer copy between passes (src needs copy_src usage, dst copy_dst)
+    pub fn copyBuffer(self: CommandEncoder, src: handles.BufferHandle, src_offset: u64, dst: handles.BufferHandle, dst_offset: u64, size: u64) void {
+        if (!self.isValid()) {
+            return;
+        }
+
+        js_webgpu_copy_buffer_to_buffer_in_encoder(self.handle.id, src.id, src_offset, dst.id, dst_offset, size);
+    }
+
     pub fn finish(self: CommandEncoder) CommandBuffer {
         if (!self.isValid()) {
             return .{ .handle = 0 };
@@ -113,7 +123,7 @@ pub fn dispatchCompute(
     workgroup_count_z: u32,
 ) void {
     const encoder = CommandEncoder.create();
-    const pass = encoder.beginComputePass();
+    const pass = encoder.beginComputePass("dispatch");
 
     pass.setPipeline(compute_pipeline);
     pass.setBindGroup(0, bind_group);
@@ -127,10 +137,11 @@ pub fn dispatchCompute(
 // === FFI Declarations ===
 
 extern fn js_webgpu_create_command_encoder(device: u32) u32;
-extern fn js_webgpu_begin_compute_pass(encoder: u32) u32;
+extern fn js_webgpu_begin_compute_pass(encoder: u32, label_ptr: [*]const u8, label_len: usize) u32;
 extern fn js_webgpu_compute_pass_set_pipeline(pass: u32, pipeline: u32) void;
 extern fn js_webgpu_compute_pass_set_bind_group(pass: u32, index: u32, bind_group: u32) void;
 extern fn js_webgpu_compute_pass_dispatch(pass: u32, x: u32, y: u32, z: u32) void;
 extern fn js_webgpu_compute_pass_end(pass: u32) void;
+extern fn js_webgpu_copy_buffer_to_buffer_in_encoder(encoder: u32, src: u32, src_offset: u64, dst: u32, dst_offset: u64, size: u64) void;
 extern fn js_webgpu_command_encoder_finish(encoder: u32) u32;
 extern fn js_webgpu_queue_submit(device: u32, command_buffer: u32) void;
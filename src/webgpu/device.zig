@@ -47,6 +47,28 @@ extern fn js_webgpu_buffer_write(
 /// Destroy a buffer
 extern fn js_webgpu_buffer_destroy(buffer: u32) void;
 
+/// Copy between buffers in a command buffer of its own, submitted immediately
+extern fn js_webgpu_copy_buffer_to_buffer(
+    src: u32,
+    src_offset: u64,
+    dst: u32,
+    dst_offset: u64,
+    size: u64,
+) void;
+
+/// Map a MAP_READ buffer and copy its contents into WASM memory
+/// Completes asynchronously by calling the onBufferMapped(request_id, ptr, len) export
+extern fn js_webgpu_buffer_map_read(
+    buffer: u32,
+    offset: u64,
+    size: u64,
+    data_ptr: [*]u8,
+    request_id: u32,
+) void;
+
+/// Forget a handle (for objects WebGPU cannot destroy, like pipelines and bind groups)
+extern fn js_webgpu_release(handle: u32) void;
+
 /// Create a shader module from WGSL source
 extern fn js_webgpu_create_shader_module(
     device: u32,
@@ -99,6 +121,32 @@ pub fn destroyBuffer(buffer: handles.BufferHandle) void {
     js_webgpu_buffer_destroy(buffer.id);
 }
 
+/// Release a handle whose object has no destroy() (shader modules, layouts, bind groups, pipelines)
+/// JS drops its reference, so the browser can collect the object once the GPU is done with it
+pub fn releaseHandle(handle: handles.Handle) void {
+    if (handle == handles.INVALID_HANDLE) {
+        return;
+    }
+
+    js_webgpu_release(handle);
+}
+
+/// Copy `size` bytes from one buffer to another (source needs copy_src, destination copy_dst)
+pub fn copyBuffer(src: handles.BufferHandle, src_offset: u64, dst: handles.BufferHandle, dst_offset: u64, size: u64) void {
+    if (!g_device.isValid() or !src.isValid() or !dst.isValid()) {
+        return;
+    }
+
+    js_webgpu_copy_buffer_to_buffer(src.id, src_offset, dst.id, dst_offset, size);
+}
+
+/// Read a map_read buffer back into `dest` once the GPU is done with it
+/// The onBufferMapped export is called with request_id and dest when the data is there,
+/// or with a length of 0 if the buffer could not be mapped (e.g. the device was lost)
+pub fn mapReadBuffer(buffer: handles.BufferHandle, offset: u64, dest: []u8, request_id: u32) void {
+    js_webgpu_buffer_map_read(buffer.id, offset, dest.len, dest.ptr, request_id);
+}
+
 /// Create a shader module from WGSL source
 pub fn createShaderModule(source: []const u8) handles.ShaderModuleHandle {
     if (!g_device.isValid()) {
@@ -109,6 +109,10 @@ pub const BindGroupLayout = struct {
     pub fn isValid(self: BindGroupLayout) bool {
         return self.handle.isValid();
     }
+
+    pub fn release(self: BindGroupLayout) void {
+        device.releaseHandle(self.handle.id);
+    }
 };
 
 // === Bind Group ===
@@ -173,6 +177,10 @@ pub const BindGroup = struct {
     pub fn isValid(self: BindGroup) bool {
         return self.handle.isValid();
     }
+
+    pub fn release(self: BindGroup) void {
+        device.releaseHandle(self.handle.id);
+    }
 };
 
 // === Pipeline Layout ===
@@ -206,6 +214,10 @@ pub const PipelineLayout = struct {
     pub fn isValid(self: PipelineLayout) bool {
         return self.handle.isValid();
     }
+
+    pub fn release(self: PipelineLayout) void {
+        device.releaseHandle(self.handle.id);
+    }
 };
 
 // === Compute Pipeline ===
@@ -237,6 +249,10 @@ pub const ComputePipeline = struct {
     pub fn isValid(self: ComputePipeline) bool {
         return self.handle.isValid();
     }
+
+    pub fn release(self: ComputePipeline) void {
+        device.releaseHandle(self.handle.id);
+    }
 };
 
 // === FFI Declarations ===
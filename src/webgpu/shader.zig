@@ -25,6 +25,10 @@ pub const ShaderModule = struct {
     pub fn isValid(self: ShaderModule) bool {
         return self.handle.isValid();
     }
+
+    pub fn release(self: ShaderModule) void {
+        device.releaseHandle(self.handle.id);
+    }
 };
 
 /// Common shader entry point names
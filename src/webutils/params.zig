@@ -0,0 +1,92 @@
+const std = @import("std");
+
+// Parameter registry
+// Every tunable simulation parameter, exported to JS as a JSON schema. The web UI builds its
+// controls, keyboard nudges, URL fragments and system files from this table, so a new parameter
+// only needs an entry here and a case where its value is applied (setSimOption or main.setParam).
+
+pub const Kind = enum { float, int, bool };
+
+pub const Param = struct {
+    name: []const u8, // Key in URL fragments and system files
+    label: []const u8, // Shown next to the control
+    key: u32, // Key for setParam()
+    kind: Kind,
+    min: f32 = 0,
+    max: f32 = 1,
+    step: f32 = 1,
+    default: f32,
+    file_default: ?f32 = null, // Value of a system file without this parameter, if not `default` (the reference demo's default)
+    restart: bool = false, // Changing it rebuilds the simulation and respawns the particles
+    log2: bool = false, // The slider moves in powers of two
+    unit: []const u8 = "", // Appended to the value in the control label
+    nudge_keys: []const u8 = "", // Default keys that decrease/increase it by one step (remappable in the web UI)
+};
+
+/// setParam() keys; 0-5 are the original setSimOption keys
+pub const keys = struct {
+    pub const friction: u32 = 0;
+    pub const time_step: u32 = 1;
+    pub const force_strength: u32 = 2;
+    pub const looping_borders: u32 = 3;
+    pub const central_force: u32 = 4;
+    pub const symmetric_forces: u32 = 5;
+    pub const particle_count: u32 = 6;
+    pub const species_count: u32 = 7;
+    pub const width: u32 = 8;
+    pub const height: u32 = 9;
+};
+
+/// In display order
+pub const params = [_]Param{
+    .{ .name = "particleCount", .label = "Particles", .key = keys.particle_count, .kind = .int, .min = 1024, .max = 1048576, .default = 65536, .restart = true, .log2 = true, .nudge_keys = "12" },
+    .{ .name = "speciesCount", .label = "Particle types", .key = keys.species_count, .kind = .int, .min = 1, .max = 16, .default = 6, .restart = true, .nudge_keys = "34" },
+    .{ .name = "width", .label = "Width", .key = keys.width, .kind = .int, .min = 64, .max = 3200, .step = 64, .default = 1024, .restart = true },
+    .{ .name = "height", .label = "Height", .key = keys.height, .kind = .int, .min = 64, .max = 3200, .step = 64, .default = 1024, .restart = true },
+    .{ .name = "friction", .label = "Friction", .key = keys.friction, .kind = .float, .min = 0, .max = 100, .step = 1, .default = 10, .nudge_keys = "56" },
+    .{ .name = "centralForce", .label = "Central force", .key = keys.central_force, .kind = .float, .min = 0, .max = 10, .step = 0.1, .default = 0, .nudge_keys = "78" },
+    .{ .name = "forceMultiplier", .label = "Force multiplier", .key = keys.force_strength, .kind = .float, .min = 0, .max = 3, .step = 0.05, .default = 1, .unit = "×", .nudge_keys = "-=" },
+    .{ .name = "timeStep", .label = "Max step", .key = keys.time_step, .kind = .float, .min = 0.001, .max = 0.05, .step = 0.001, .default = 0.025, .unit = " s", .nudge_keys = "{}" },
+    .{ .name = "symmetricForces", .label = "Symmetric forces", .key = keys.symmetric_forces, .kind = .bool, .default = 0 },
+    .{ .name = "loopingBorders", .label = "Looping borders", .key = keys.looping_borders, .kind = .bool, .default = 1, .file_default = 0 },
+};
+
+pub fn find(key: u32) ?Param {
+    for (params) |param| {
+        if (param.key == key) return param;
+    }
+    return null;
+}
+
+/// Clamp to the parameter's range (and whole numbers for int and bool parameters)
+pub fn sanitize(param: Param, value: f32) f32 {
+    return switch (param.kind) {
+        .float => std.math.clamp(value, param.min, param.max),
+        .int => @round(std.math.clamp(value, param.min, param.max)),
+        .bool => if (value > 0.5) 1.0 else 0.0,
+    };
+}
+
+const schema_json = blk: {
+    @setEvalBranchQuota(200000);
+    var json: []const u8 = "[";
+    for (params, 0..) |p, i| {
+        json = json ++ (if (i > 0) "," else "") ++ std.fmt.comptimePrint(
+            "{{\"name\":\"{s}\",\"label\":\"{s}\",\"key\":{d},\"type\":\"{s}\",\"min\":{d},\"max\":{d},\"step\":{d}," ++
+                "\"default\":{d},\"fileDefault\":{d},\"restart\":{},\"log2\":{},\"unit\":\"{s}\",\"nudgeKeys\":\"{s}\"}}",
+            .{ p.name, p.label, p.key, @tagName(p.kind), p.min, p.max, p.step, p.default, p.file_default orelse p.default, p.restart, p.log2, p.unit, p.nudge_keys },
+        );
+    }
+    break :blk json ++ "]";
+};
+
+// FFI Exports
+
+/// Parameter schema as a JSON array of Param (camelCase field names)
+export fn getParamSchemaPtr() [*]const u8 {
+    return schema_json.ptr;
+}
+
+export fn getParamSchemaLen() usize {
+    return schema_json.len;
+}
@@ -1,4 +1,15 @@
 const std = @import("std");
+const params = @import("params.zig");
+
+/// What the left mouse button does within the brush radius (the right button always repels)
+/// Values are shared with web/brush.js
+pub const BrushTool = enum(u32) {
+    attract = 0,
+    repel = 1,
+    spawn = 2, // Add particles of brush_species
+    erase = 3,
+    convert = 4, // Turn particles into brush_species
+};
 
 // Global input state
 pub const InputState = struct {
@@ -11,6 +22,11 @@ pub const InputState = struct {
     mouse_down: bool = false,
     mouse_right_down: bool = false,
 
+    // Brush
+    brush_tool: BrushTool = .attract,
+    brush_radius: f32 = 64.0, // World units
+    brush_species: u32 = 0,
+
     // Camera control
     zoom_delta: f32 = 0,
     pan_x: f32 = 0,
@@ -18,8 +34,8 @@ pub const InputState = struct {
 
     // Simulation options
     friction: f32 = 10.0, // Matches reference default
-    time_step: f32 = 0.01,
-    force_strength: f32 = 1.0,
+    time_step: f32 = 0.025, // Longest physics step in seconds (dt cap)
+    force_strength: f32 = 1.0, // Multiplier on all species forces
     looping_borders: bool = true,
     central_force: f32 = 0.0,
     symmetric_forces: bool = false,
@@ -59,23 +75,41 @@ export fn setMouseRightDown(is_down: bool) void {
     state.mouse_right_down = is_down;
 }
 
+/// Unknown tools are ignored
+export fn setBrushTool(tool: u32) void {
+    state.brush_tool = std.meta.intToEnum(BrushTool, tool) catch return;
+}
+
+export fn setBrushRadius(radius: f32) void {
+    if (radius > 0) {
+        state.brush_radius = radius;
+    }
+}
+
+export fn setBrushSpecies(species: u32) void {
+    state.brush_species = species;
+}
+
+// Zoom and pan accumulate until resetPerFrame(), since several
+// wheel/pointer/touch events can arrive within one frame
+
 export fn setZoom(delta: f32) void {
-    state.zoom_delta = delta;
+    state.zoom_delta += delta;
 }
 
 export fn setPan(dx: f32, dy: f32) void {
-    state.pan_x = dx;
-    state.pan_y = dy;
+    state.pan_x += dx;
+    state.pan_y += dy;
 }
 
-export fn setSimOption(key: u32, value: f32) void {
+pub export fn setSimOption(key: u32, value: f32) void {
     switch (key) {
-        0 => state.friction = value,
-        1 => state.time_step = value,
-        2 => state.force_strength = value,
-        3 => state.looping_borders = (value > 0.5),
-        4 => state.central_force = value,
-        5 => state.symmetric_forces = (value > 0.5),
+        params.keys.friction => state.friction = value,
+        params.keys.time_step => state.time_step = value,
+        params.keys.force_strength => state.force_strength = value,
+        params.keys.looping_borders => state.looping_borders = (value > 0.5),
+        params.keys.central_force => state.central_force = value,
+        params.keys.symmetric_forces => state.symmetric_forces = (value > 0.5),
         else => {},
     }
 }
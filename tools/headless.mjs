@@ -0,0 +1,230 @@
+// Headless FFI check: runs web/app.wasm in Node against the recording WebGPU fake
+// and prints the command stream of each frame
+// Fails (exit code 1) on bridge errors, on exports web/*.js calls that the module lacks, on frames
+// without the expected passes, on bind group layouts that don't match the shaders, and on handles
+// leaked across frames or restarts
+//
+// Usage: node tools/headless.mjs [frames] [--verbose] [--timestamps]
+// Needs Node 22+ (web/*.js are ES modules without a package.json)
+
+import { readFile } from 'node:fs/promises';
+import { createHandleTable, createWasmImports, missingExports } from '../web/bridge.js';
+import { createRecordingGPU, installGPUConstants } from '../web/gpumock.js';
+import { createProfiler, GPU_PASSES } from '../web/profiler.js';
+
+const args = process.argv.slice(2);
+const frameCount = Number(args.find((a) => !a.startsWith('--')) ?? 3);
+const verbose = args.includes('--verbose');
+const timestamps = args.includes('--timestamps'); // Pretend the device supports timestamp queries
+
+// Passes every frame after the first records, in order (the first also scatters the particles)
+const EXPECTED_PASSES = {
+    computePass: ['bin clear', 'bin fill', 'prefix sum', 'sort', 'forces', 'advance'],
+    renderPass: ['glow', 'circle', 'compose'],
+};
+
+// GPUShaderStage bits a pipeline's bindings must be visible to
+const VERTEX = 0x1;
+const FRAGMENT = 0x2;
+const COMPUTE = 0x4;
+
+// WGSL resource declarations: @group(g) @binding(b) var<address space, access> name: type
+const BINDING_PATTERN = /@group\((\d+)\)\s*@binding\((\d+)\)\s*var(?:<([^>]*)>)?\s+(\w+)\s*:\s*([^;]+);/g;
+
+// Failed assertions, reported at the end
+const failures = [];
+function check(condition, message) {
+    if (!condition) failures.push(message);
+}
+
+// Bridge errors (invalid handles, bad records) are what this check is for
+let errorCount = 0;
+const consoleError = console.error;
+console.error = (...msg) => {
+    errorCount++;
+    consoleError(...msg);
+};
+if (!verbose) {
+    const consoleLog = console.log;
+    console.log = (...msg) => {
+        if (!String(msg[0]).startsWith('[Zig]')) consoleLog(...msg);
+    };
+}
+
+installGPUConstants();
+const gpu = createRecordingGPU({ features: timestamps ? ['timestamp-query'] : [] });
+const state = {
+    wasm: null,
+    device: gpu.device,
+    context: gpu.context,
+    preferredFormat: gpu.format,
+    commandEncoder: null,
+    renderPassEncoder: null,
+    profiler: createProfiler(gpu.device),
+};
+const handles = createHandleTable();
+handles.create(gpu.device, 'device'); // Device handle is always 1
+
+const wasmBytes = await readFile(new URL('../web/app.wasm', import.meta.url));
+const { instance } = await WebAssembly.instantiate(wasmBytes, createWasmImports(state, handles));
+state.wasm = instance;
+
+const exports = instance.exports;
+// A module from before these exports doesn't label its passes either; there is nothing to check
+const missing = missingExports(exports);
+if (missing.length > 0) {
+    console.log(`FAIL: app.wasm lacks the exports ${missing.join(', ')}; rebuild it with zig build dev`);
+    process.exit(1);
+}
+
+exports.setDevice(1);
+exports.init(42);
+exports.onResize(gpu.context.canvas.width, gpu.context.canvas.height);
+
+for (let i = 0; i < frameCount; i++) {
+    gpu.nextFrame();
+    exports.update(1 / 60);
+    handles.nextFrame();
+}
+
+// Setup happens lazily in the first update(); report it separately from the per-frame work
+const setupOps = ['createBuffer', 'createShaderModule', 'createBindGroupLayout', 'createBindGroup', 'createComputePipeline', 'createRenderPipeline'];
+console.log('Setup:');
+for (const op of setupOps) {
+    console.log(`  ${op}: ${gpu.count(op)}`);
+}
+
+console.log('Bind group layouts:');
+for (const call of gpu.calls.filter((c) => c.op === 'createBindGroupLayout')) {
+    const entries = call.entries.map((e) => `${e.binding}:${entryType(e)}${e.buffer?.hasDynamicOffset ? '+dynamic' : ''}@${e.visibility}`);
+    console.log(`  #${call.layout} [${entries.join(', ')}]`);
+}
+
+const frameOps = ['beginComputePass', 'dispatch', 'beginRenderPass', 'draw', 'writeBuffer', 'submit', 'createBindGroup', 'resolveQuerySet'];
+console.log('Frames:');
+for (let n = 1; n <= frameCount; n++) {
+    const counts = frameOps.map((op) => `${op}=${gpu.count(op, n)}`);
+    console.log(`  ${n}: ${counts.join(' ')}`);
+}
+
+console.log(`Passes in frame ${frameCount}:`);
+for (const call of gpu.callsInFrame(frameCount).filter((c) => c.op === 'beginComputePass' || c.op === 'beginRenderPass')) {
+    const timed = call.timestampWrites ? ` (timestamps ${call.timestampWrites.join('/')})` : '';
+    console.log(`  ${call.label ?? '(unlabeled)'}${timed}`);
+}
+
+check(frameCount >= 2, 'Run at least 2 frames: the passes are checked from the second frame on');
+for (let n = 2; n <= frameCount; n++) {
+    checkPasses(n);
+}
+for (const name of GPU_PASSES) {
+    check(Object.values(EXPECTED_PASSES).some((labels) => labels.includes(name)), `Profiler times a pass "${name}" that no frame records`);
+}
+
+const report = handles.report();
+console.log(`Live handles: ${report.total} / ${report.created} created`);
+for (const [kind, count] of Object.entries(report.live).sort()) {
+    console.log(`  ${kind}: ${count}`);
+}
+
+// Transient objects (passes, encoders, command buffers) must not outlive their frame
+const frameLeaks = handles.report().leaks;
+check(frameLeaks.length === 0, `${frameLeaks.length} handle(s) leaked after ${frameCount} frames: ${describeLeaks(frameLeaks)}`);
+
+// Rebuild the simulation once; whatever the old generation left behind shows up as leaks
+exports.restart();
+gpu.nextFrame();
+exports.update(1 / 60);
+handles.nextFrame();
+const leaks = handles.report().leaks;
+const leakedKinds = {};
+for (const leak of leaks) {
+    leakedKinds[leak.kind] = (leakedKinds[leak.kind] ?? 0) + 1;
+    if (verbose) console.log(`  #${leak.id} ${leak.kind}${leak.label ? ` "${leak.label}"` : ''}`);
+}
+console.log(`Suspected leaks after restart: ${leaks.length}`);
+for (const [kind, count] of Object.entries(leakedKinds).sort()) {
+    console.log(`  ${kind}: ${count}`);
+}
+check(leaks.length === 0, `${leaks.length} handle(s) leaked across a restart: ${describeLeaks(leaks)}`);
+
+// Both simulation generations' pipelines
+for (const call of gpu.calls.filter((c) => c.op === 'createComputePipeline')) {
+    checkBindings(call.entryPoint, call, COMPUTE);
+}
+for (const call of gpu.calls.filter((c) => c.op === 'createRenderPipeline')) {
+    checkBindings(call.vertexEntryPoint, call, VERTEX | FRAGMENT);
+}
+
+check(errorCount === 0, `${errorCount} bridge error(s)`);
+if (failures.length > 0) {
+    for (const failure of failures) console.log(`FAIL: ${failure}`);
+    process.exit(1);
+}
+console.log('All checks passed');
+
+// === Checks ===
+
+// Frame n records exactly the expected passes, each doing some work
+function checkPasses(n) {
+    for (const [kind, expected] of Object.entries(EXPECTED_PASSES)) {
+        const compute = kind === 'computePass';
+        const work = compute ? 'dispatch' : 'draw';
+        const passes = gpu.callsInFrame(n, compute ? 'beginComputePass' : 'beginRenderPass');
+        const labels = passes.map((p) => p.label ?? '(unlabeled)');
+        const what = compute ? 'compute passes' : 'render passes';
+        check(labels.join() === expected.join(), `Frame ${n} records ${what} [${labels.join(', ')}], expected [${expected.join(', ')}]`);
+
+        for (const pass of passes) {
+            check(gpu.callsInFrame(n, work).some((c) => c.pass === pass.pass), `Frame ${n} pass "${pass.label}" has no ${work}`);
+        }
+    }
+}
+
+// Every resource the pipeline's shader module declares is in its bind group layouts, with the same
+// binding type and visible to the pipeline's stages
+function checkBindings(name, pipelineCall, stages) {
+    const module = gpu.calls.find((c) => c.op === 'createShaderModule' && c.module === pipelineCall.module);
+    const pipelineLayout = gpu.calls.find((c) => c.op === 'createPipelineLayout' && c.layout === pipelineCall.layout);
+    if (!module || !pipelineLayout) {
+        check(false, `Pipeline "${name}" has an unknown shader module or pipeline layout`);
+        return;
+    }
+    const groups = pipelineLayout.bindGroupLayouts.map((id) => gpu.calls.find((c) => c.op === 'createBindGroupLayout' && c.layout === id));
+
+    for (const [, group, binding, space, variable, type] of module.code.matchAll(BINDING_PATTERN)) {
+        const where = `Pipeline "${name}" @group(${group}) @binding(${binding}) ${variable}`;
+        const entry = groups[group]?.entries.find((e) => e.binding === Number(binding));
+        if (!entry) {
+            check(false, `${where} is missing from its bind group layout`);
+            continue;
+        }
+        const expected = shaderBindingType(space, type);
+        check(entryType(entry) === expected, `${where} is ${expected} in the shader but ${entryType(entry)} in the layout`);
+        check((entry.visibility & stages) !== 0, `${where} is not visible to the pipeline's stages (visibility ${entry.visibility})`);
+    }
+}
+
+// Bind group layout entry type, as named by shaderBindingType
+function entryType(entry) {
+    if (entry.buffer) return entry.buffer.type ?? 'uniform';
+    if (entry.texture) return 'texture';
+    if (entry.storageTexture) return 'storage-texture';
+    return 'sampler';
+}
+
+// Layout entry type a WGSL declaration needs: var<uniform>, var<storage[, read]>, var<storage, read_write>, or a handle type
+function shaderBindingType(space, type) {
+    if (space) {
+        const [addressSpace, access = 'read'] = space.split(',').map((s) => s.trim());
+        if (addressSpace === 'uniform') return 'uniform';
+        return access === 'read_write' ? 'storage' : 'read-only-storage';
+    }
+    if (type.startsWith('texture_storage')) return 'storage-texture';
+    if (type.startsWith('texture')) return 'texture';
+    return 'sampler';
+}
+
+function describeLeaks(leaks) {
+    return leaks.map((leak) => `#${leak.id} ${leak.kind}${leak.label ? ` "${leak.label}"` : ''}`).join(', ');
+}
@@ -0,0 +1,972 @@
+// WebGPU FFI bridge for Zig WASM
+// Translates handle-based calls from Zig into WebGPU API calls. Kept free of DOM access
+// so it can also run in Node against a recording device (see gpumock.js)
+
+// Handle management for WebGPU objects
+// Zig will reference WebGPU objects by handle ID
+// Each entry records its object kind, the frame and simulation generation it was created in,
+// and an optional debug label, so handles.report() can point at leaks
+
+// Kinds that must not outlive the frame they were created in
+const TRANSIENT_KINDS = new Set(['computePass', 'renderPass', 'commandEncoder', 'commandBuffer']);
+
+export function createHandleTable() {
+    return {
+        nextId: 1,
+        map: new Map(),
+        frame: 0,
+        generation: 0, // Bumped each time Zig rebuilds the simulation; 0 = app-level objects
+
+        create(obj, kind = 'unknown', { label = null, parent = 0 } = {}) {
+            const id = this.nextId++;
+            this.map.set(id, { obj, kind, label, parent, frame: this.frame, generation: this.generation });
+            return id;
+        },
+
+        get(id) {
+            return this.map.get(id)?.obj;
+        },
+
+        release(id) {
+            this.map.delete(id);
+        },
+
+        // Forget every object, e.g. after the device was lost; ids restart at 1 (the device)
+        reset() {
+            this.map.clear();
+            this.nextId = 1;
+            this.generation = 0;
+        },
+
+        // Release everything created from a parent object (e.g. views of a destroyed texture)
+        releaseChildren(parentId) {
+            for (const [id, entry] of this.map) {
+                if (entry.parent === parentId) this.map.delete(id);
+            }
+        },
+
+        nextFrame() {
+            this.frame++;
+        },
+
+        nextGeneration() {
+            this.generation++;
+        },
+
+        // Live counts per kind plus suspected leaks:
+        // transient objects from earlier frames, and objects left over from earlier simulation generations
+        report() {
+            const live = {};
+            const leaks = [];
+            for (const [id, entry] of this.map) {
+                live[entry.kind] = (live[entry.kind] ?? 0) + 1;
+
+                const staleTransient = TRANSIENT_KINDS.has(entry.kind) && entry.frame < this.frame;
+                const staleGeneration = entry.generation > 0 && entry.generation < this.generation;
+                if (staleTransient || staleGeneration) {
+                    leaks.push({ id, kind: entry.kind, label: entry.label, frame: entry.frame, generation: entry.generation });
+                }
+            }
+            return {
+                frame: this.frame,
+                generation: this.generation,
+                total: this.map.size,
+                created: this.nextId - 1,
+                live,
+                leaks,
+            };
+        }
+    };
+}
+
+// Functions web/*.js call on the module (export fn in src/main.zig, src/webutils/webinputs.zig and
+// src/webutils/params.zig). An app.wasm built from older sources lacks some; it has to be rebuilt
+// with `zig build dev` rather than run with features quietly missing
+export const WASM_EXPORTS = [
+    'init', 'setDevice', 'setBlueNoiseTexture', 'resetDevice', 'onResize', 'update',
+    'setPaused', 'isPaused', 'processInput', 'step', 'renderFrame',
+    'getParamSchemaPtr', 'getParamSchemaLen', 'setParam', 'setParticleCount', 'setSpeciesCount', 'setSimulationSize',
+    'beginParamBatch', 'endParamBatch', 'randomize', 'restart', 'getSeed', 'setSeed', 'centerView',
+    'getSpeciesCount', 'getSpeciesPtr', 'getForcesPtr', 'setSpeciesColor', 'setForce', 'setPalette', 'getPalette',
+    'allocParticles', 'loadParticles', 'setInitialLayout', 'getInitialLayout', 'allocLayoutImage',
+    'getParticleBufferHandle', 'getParticleCount', 'getParticleCountBufferHandle', 'getCameraPtr',
+    'setSelectedParticle', 'pickParticle', 'getSelectionBufferHandle',
+    'requestStats', 'getStatsPtr', 'onBufferMapped',
+    'setMousePosition', 'setMouseDown', 'setMouseRightDown', 'setZoom', 'setPan',
+    'setBrushTool', 'setBrushRadius', 'setBrushSpecies',
+];
+
+// WASM_EXPORTS the module lacks
+export function missingExports(exports) {
+    return WASM_EXPORTS.filter((name) => typeof exports[name] !== 'function');
+}
+
+// Throw, naming the missing exports, unless the module has all of `names`
+// For features that can't work without them (reading particles back, loading snapshots, ...)
+export function requireExports(exports, ...names) {
+    const missing = names.filter((name) => typeof exports[name] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`app.wasm has no ${missing.join(', ')} export; rebuild it with zig build dev`);
+    }
+}
+
+// Copy part of a GPU buffer (which needs COPY_SRC usage) into a staging buffer and map it
+// Resolves to an ArrayBuffer of `size` bytes once the GPU has finished the work queued before it
+export async function readBuffer(device, buffer, offset, size) {
+    const [data] = await readBuffers(device, [{ buffer, offset, size }]);
+    return data;
+}
+
+// Like readBuffer for several { buffer, offset, size } ranges, copied in one submission so they all
+// show the same moment of the simulation
+export async function readBuffers(device, ranges) {
+    const stagings = ranges.map(({ size }) => device.createBuffer({ size, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST }));
+    const encoder = device.createCommandEncoder();
+    ranges.forEach(({ buffer, offset, size }, i) => encoder.copyBufferToBuffer(buffer, offset, stagings[i], 0, size));
+    device.queue.submit([encoder.finish()]);
+
+    try {
+        return await Promise.all(stagings.map(async (staging) => {
+            await staging.mapAsync(GPUMapMode.READ);
+            return staging.getMappedRange().slice(0);
+        }));
+    } finally {
+        stagings.forEach((staging) => staging.destroy());
+    }
+}
+
+// FFI functions exposed to WASM
+// `state` provides wasm (for memory), device, context and preferredFormat, and carries the
+// shared command/render pass encoders between calls
+// NOTE: Memory is configured in build.zig (16MB initial, 512MB max)
+export function createWasmImports(state, handles) {
+    // Pass labels name the timed passes (see GPU_PASSES in profiler.js)
+    function readLabel(ptr, len) {
+        const memory = state.wasm.exports.memory;
+        return new TextDecoder().decode(new Uint8Array(memory.buffer, ptr, len));
+    }
+
+    // Pass descriptor fields for a labeled pass: debug label plus timestamp writes when profiling
+    function passDescriptor(label) {
+        const timestampWrites = label ? state.profiler?.timestampWrites(label) : undefined;
+        return {
+            ...(label && { label }),
+            ...(timestampWrites && { timestampWrites }),
+        };
+    }
+
+    // Validation errors go to the console and to state.onGpuError (the page's error overlay)
+    function reportGpuError(message) {
+        console.error(message);
+        state.onGpuError?.(message);
+    }
+
+    // Run a create call inside a validation error scope, so errors name the object that caused them
+    function withErrorScope(device, what, create) {
+        device.pushErrorScope('validation');
+        try {
+            return create();
+        } finally {
+            device.popErrorScope().then((error) => {
+                if (error) reportGpuError(`${what}: ${error.message}`);
+            }).catch(() => {
+                // Device lost while the scope was open; the lost handler reports that
+            });
+        }
+    }
+
+    // Begin a render pass targeting the HDR texture; clearValue null keeps its contents
+    function beginHdrPass(textureViewId, clearValue, label) {
+        if (!state.device) {
+            console.error('Device not initialized');
+            return 0;
+        }
+
+        const textureView = handles.get(textureViewId);
+        if (!textureView) {
+            console.error('Invalid texture view handle');
+            return 0;
+        }
+
+        // Create command encoder if not exists
+        if (!state.commandEncoder) {
+            state.commandEncoder = state.device.createCommandEncoder();
+        }
+
+        state.renderPassEncoder = state.commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: textureView,
+                ...(clearValue ? { clearValue, loadOp: 'clear' } : { loadOp: 'load' }),
+                storeOp: 'store',
+            }],
+            ...passDescriptor(label),
+        });
+
+        return handles.create(state.renderPassEncoder, 'renderPass', { label });
+    }
+
+    // Begin a compute pass on a command encoder
+    function beginComputePass(encoderId, labelPtr, labelLen) {
+        const encoder = handles.get(encoderId);
+        if (!encoder) {
+            console.error('Invalid encoder handle');
+            return 0;
+        }
+
+        const label = readLabel(labelPtr, labelLen);
+        const pass = encoder.beginComputePass(passDescriptor(label));
+        return handles.create(pass, 'computePass', { label, parent: encoderId });
+    }
+
+    return {
+        env: {
+            // === Console Logging ===
+
+            js_console_log(ptr, len) {
+                const memory = state.wasm.exports.memory;
+                const text = new TextDecoder().decode(
+                    new Uint8Array(memory.buffer, ptr, len)
+                );
+                console.log(`[Zig] ${text}`);
+            },
+
+            // === Buffer Management ===
+
+            js_webgpu_create_buffer(deviceId, size, usage, mappedAtCreation) {
+                const device = handles.get(deviceId);
+                if (!device) {
+                    console.error('Invalid device handle:', deviceId);
+                    return 0;
+                }
+
+                const buffer = device.createBuffer({
+                    size: Number(size),
+                    usage: usage,
+                    mappedAtCreation: mappedAtCreation,
+                });
+
+                return handles.create(buffer, 'buffer');
+            },
+
+            js_webgpu_buffer_write(deviceId, bufferId, offset, dataPtr, dataLen) {
+                const device = handles.get(deviceId);
+                const buffer = handles.get(bufferId);
+                if (!device || !buffer) {
+                    console.error('Invalid device or buffer handle');
+                    return;
+                }
+
+                const memory = state.wasm.exports.memory;
+                const data = new Uint8Array(memory.buffer, dataPtr, dataLen);
+
+                device.queue.writeBuffer(buffer, Number(offset), data);
+            },
+
+            js_webgpu_buffer_destroy(bufferId) {
+                const buffer = handles.get(bufferId);
+                if (buffer) {
+                    buffer.destroy();
+                    handles.release(bufferId);
+                }
+            },
+
+            js_webgpu_copy_buffer_to_buffer(srcId, srcOffset, dstId, dstOffset, size) {
+                const srcBuffer = handles.get(srcId);
+                const dstBuffer = handles.get(dstId);
+
+                if (!srcBuffer || !dstBuffer) {
+                    console.error('Invalid source or destination buffer handle');
+                    return;
+                }
+
+                // Need to use a command encoder for buffer copies
+                const encoder = state.device.createCommandEncoder();
+                encoder.copyBufferToBuffer(srcBuffer, Number(srcOffset), dstBuffer, Number(dstOffset), Number(size));
+                const commandBuffer = encoder.finish();
+                state.device.queue.submit([commandBuffer]);
+            },
+
+            js_webgpu_copy_buffer_to_buffer_in_encoder(encoderId, srcId, srcOffset, dstId, dstOffset, size) {
+                const encoder = handles.get(encoderId);
+                const srcBuffer = handles.get(srcId);
+                const dstBuffer = handles.get(dstId);
+
+                if (!encoder || !srcBuffer || !dstBuffer) {
+                    console.error('Invalid encoder, source, or destination buffer handle');
+                    return;
+                }
+
+                encoder.copyBufferToBuffer(srcBuffer, Number(srcOffset), dstBuffer, Number(dstOffset), Number(size));
+            },
+
+            // === Buffer Readback ===
+
+            // Map a MAP_READ buffer, copy it into WASM memory at dataPtr and hand it to Zig through
+            // the onBufferMapped(requestId, ptr, len) export; len is 0 if the buffer couldn't be mapped
+            // Always completes asynchronously, so Zig is never re-entered from inside this call
+            js_webgpu_buffer_map_read(bufferId, offset, size, dataPtr, requestId) {
+                const done = (len) => state.wasm?.exports.onBufferMapped(requestId, dataPtr, len);
+                const buffer = handles.get(bufferId);
+                if (!buffer) {
+                    console.error('Invalid buffer handle:', bufferId);
+                    Promise.resolve().then(() => done(0));
+                    return;
+                }
+
+                const start = Number(offset);
+                const length = Number(size);
+                buffer.mapAsync(GPUMapMode.READ, start, length).then(() => {
+                    const data = new Uint8Array(buffer.getMappedRange(start, length));
+                    // Memory may have grown while mapping; take the current buffer
+                    new Uint8Array(state.wasm.exports.memory.buffer, dataPtr, length).set(data.subarray(0, length));
+                    buffer.unmap();
+                    done(length);
+                }).catch((err) => {
+                    // Device lost, or the buffer was destroyed while mapping
+                    console.warn('Buffer readback failed:', err.message);
+                    done(0);
+                });
+            },
+
+            // Same call under the name simulation.zig imports it by
+            js_webgpu_encoder_begin_compute_pass: beginComputePass,
+
+            // === Shader Management ===
+
+            js_webgpu_create_shader_module(deviceId, sourcePtr, sourceLen) {
+                const device = handles.get(deviceId);
+                if (!device) {
+                    console.error('Invalid device handle:', deviceId);
+                    return 0;
+                }
+
+                const memory = state.wasm.exports.memory;
+                const source = new TextDecoder().decode(
+                    new Uint8Array(memory.buffer, sourcePtr, sourceLen)
+                );
+
+                try {
+                    const label = source.split('\n', 1)[0];
+                    const shaderModule = withErrorScope(device, `Shader module "${label}"`, () => device.createShaderModule({ code: source }));
+                    return handles.create(shaderModule, 'shaderModule', { label });
+                } catch (e) {
+                    console.error('Shader compilation error:', e);
+                    console.error('Shader source:', source);
+                    return 0;
+                }
+            },
+
+            // === Texture Management ===
+
+            js_webgpu_create_texture(deviceId, width, height, format, usage) {
+                const device = handles.get(deviceId);
+                if (!device) {
+                    console.error('Invalid device handle');
+                    return 0;
+                }
+
+                // Map format enum to WebGPU format string
+                const formats = [
+                    'rgba16float',     // 0
+                    'rgba32float',     // 1
+                    'bgra8unorm',      // 2
+                    'rgba8unorm',      // 3
+                    'rgba8unorm-srgb', // 4
+                    'depth24plus',     // 5
+                    'depth32float',    // 6
+                ];
+
+                const formatString = formats[format] || 'rgba8unorm';
+
+                try {
+                    const texture = device.createTexture({
+                        size: { width, height, depthOrArrayLayers: 1 },
+                        format: formatString,
+                        usage: usage,
+                        dimension: '2d',
+                    });
+
+                    return handles.create(texture, 'texture', { label: `${formatString} ${width}x${height}` });
+                } catch (e) {
+                    console.error('Failed to create texture:', e);
+                    console.error('  Width:', width, 'Height:', height);
+                    console.error('  Format:', formatString, 'Usage:', usage);
+                    return 0;
+                }
+            },
+
+            js_webgpu_create_texture_view(textureId) {
+                const texture = handles.get(textureId);
+                if (!texture) {
+                    console.error('Invalid texture handle');
+                    return 0;
+                }
+
+                try {
+                    const view = texture.createView();
+                    return handles.create(view, 'textureView', { parent: textureId });
+                } catch (e) {
+                    console.error('Failed to create texture view:', e);
+                    return 0;
+                }
+            },
+
+            js_webgpu_destroy_texture(textureId) {
+                const texture = handles.get(textureId);
+                if (texture) {
+                    // Free GPU memory now instead of waiting for garbage collection,
+                    // and drop the views that pointed into it
+                    texture.destroy();
+                    handles.releaseChildren(textureId);
+                    handles.release(textureId);
+                }
+            },
+
+            // === Rendering ===
+
+            js_webgpu_begin_render_pass(r, g, b, a) {
+                if (!state.device || !state.context) {
+                    console.error('Device or context not initialized');
+                    return 0;
+                }
+
+                // Create command encoder
+                state.commandEncoder = state.device.createCommandEncoder();
+
+                // Get current texture from canvas context
+                const textureView = state.context.getCurrentTexture().createView();
+
+                // Begin render pass with clear color
+                state.renderPassEncoder = state.commandEncoder.beginRenderPass({
+                    colorAttachments: [{
+                        view: textureView,
+                        clearValue: { r, g, b, a },
+                        loadOp: 'clear',
+                        storeOp: 'store',
+                    }],
+                });
+
+                return handles.create(state.renderPassEncoder, 'renderPass');
+            },
+
+            js_webgpu_end_render_pass(encoderId) {
+                if (state.renderPassEncoder) {
+                    state.renderPassEncoder.end();
+                    state.renderPassEncoder = null;
+                }
+                handles.release(encoderId);
+            },
+
+            js_webgpu_present() {
+                if (state.commandEncoder && state.device) {
+                    // Last submit of the frame: resolve the frame's timestamps along with it
+                    const queries = state.profiler?.resolve(state.commandEncoder);
+                    const commandBuffer = state.commandEncoder.finish();
+                    state.device.queue.submit([commandBuffer]);
+                    state.commandEncoder = null;
+                    state.profiler?.collect(queries);
+                }
+            },
+
+            // === Compute Pipeline ===
+
+            js_webgpu_create_bind_group_layout(deviceId, entriesPtr, entriesLen) {
+                const device = handles.get(deviceId);
+                if (!device) {
+                    console.error('Invalid device handle');
+                    return 0;
+                }
+
+                const memory = state.wasm.exports.memory;
+                const entries = [];
+
+                // Each entry is: binding(u32), visibility(u32), entry_type(u32), buffer_type(u32), has_min_size(u32), has_dynamic_offset(u32), min_size(u64), padding(u64)
+                const ENTRY_SIZE = 40; // 4 + 4 + 4 + 4 + 4 + 4 + 8 + 8 bytes
+                const view = new DataView(memory.buffer, entriesPtr, entriesLen * ENTRY_SIZE);
+
+                for (let i = 0; i < entriesLen; i++) {
+                    const offset = i * ENTRY_SIZE;
+                    const binding = view.getUint32(offset, true);
+                    const visibility = view.getUint32(offset + 4, true);
+                    const entryType = view.getUint32(offset + 8, true); // 0 = buffer, 1 = texture
+                    const bufferType = view.getUint32(offset + 12, true);
+                    const hasMinSize = view.getUint32(offset + 16, true);
+                    const hasDynamicOffset = view.getUint32(offset + 20, true);
+                    const minSize = Number(view.getBigUint64(offset + 24, true));
+
+                    // Debug logging for texture bindings
+                    if (entryType === 1) {
+                        console.log(`  Entry ${i}: binding=${binding}, visibility=0x${visibility.toString(16)}, type=texture`);
+                    }
+
+                    const entry = {
+                        binding: binding,
+                        visibility: visibility,
+                    };
+
+                    if (entryType === 0) {
+                        // Buffer binding
+                        entry.buffer = {
+                            type: ['uniform', 'storage', 'read-only-storage'][bufferType] || 'storage',
+                        };
+
+                        if (hasMinSize) {
+                            entry.buffer.minBindingSize = minSize;
+                        }
+
+                        if (hasDynamicOffset) {
+                            entry.buffer.hasDynamicOffset = true;
+                        }
+                    } else if (entryType === 1) {
+                        // Texture binding
+                        entry.texture = {
+                            sampleType: 'float',
+                            viewDimension: '2d',
+                            multisampled: false,
+                        };
+                    } else if (entryType === 2) {
+                        // Sampler binding (for future use)
+                        entry.sampler = {
+                            type: 'filtering',
+                        };
+                    }
+
+                    entries.push(entry);
+                }
+
+                const layout = device.createBindGroupLayout({ entries });
+                return handles.create(layout, 'bindGroupLayout');
+            },
+
+            js_webgpu_create_bind_group(deviceId, layoutId, entriesPtr, entriesLen) {
+                const device = handles.get(deviceId);
+                const layout = handles.get(layoutId);
+                if (!device || !layout) {
+                    console.error('Invalid device or layout handle');
+                    return 0;
+                }
+
+                const memory = state.wasm.exports.memory;
+                const entries = [];
+
+                // Each entry is: binding(u32), entry_type(u32), resource_handle(u32), padding(u32), offset(u64), size(u64)
+                // Total: 4 + 4 + 4 + 4 + 8 + 8 = 32 bytes
+                const ENTRY_SIZE = 32;
+                const view = new DataView(memory.buffer, entriesPtr, entriesLen * ENTRY_SIZE);
+
+                for (let i = 0; i < entriesLen; i++) {
+                    const offset = i * ENTRY_SIZE;
+                    const binding = view.getUint32(offset, true);
+                    const entryType = view.getUint32(offset + 4, true); // 0 = buffer, 1 = texture_view
+                    const resourceHandle = view.getUint32(offset + 8, true);
+                    const bufferOffset = Number(view.getBigUint64(offset + 16, true));
+                    const size = Number(view.getBigUint64(offset + 24, true));
+
+                    const resource = handles.get(resourceHandle);
+                    if (!resource) {
+                        console.error('Invalid resource handle in bind group');
+                        return 0;
+                    }
+
+                    const entry = { binding: binding };
+
+                    if (entryType === 0) {
+                        // Buffer binding
+                        entry.resource = {
+                            buffer: resource,
+                            offset: bufferOffset,
+                            size: size,
+                        };
+                    } else if (entryType === 1) {
+                        // Texture view binding
+                        entry.resource = resource; // Just the texture view directly
+                    }
+
+                    entries.push(entry);
+                }
+
+                const bindGroup = withErrorScope(device, 'Bind group', () => device.createBindGroup({
+                    layout: layout,
+                    entries: entries,
+                }));
+
+                return handles.create(bindGroup, 'bindGroup', { parent: layoutId });
+            },
+
+            js_webgpu_create_pipeline_layout(deviceId, layoutsPtr, layoutsLen) {
+                const device = handles.get(deviceId);
+                if (!device) {
+                    console.error('Invalid device handle');
+                    return 0;
+                }
+
+                const memory = state.wasm.exports.memory;
+                const layouts = [];
+
+                // Array of u32 handles
+                const view = new Uint32Array(memory.buffer, layoutsPtr, layoutsLen);
+                for (let i = 0; i < layoutsLen; i++) {
+                    const layout = handles.get(view[i]);
+                    if (!layout) {
+                        console.error('Invalid bind group layout handle');
+                        return 0;
+                    }
+                    layouts.push(layout);
+                }
+
+                const pipelineLayout = device.createPipelineLayout({
+                    bindGroupLayouts: layouts,
+                });
+
+                return handles.create(pipelineLayout, 'pipelineLayout');
+            },
+
+            js_webgpu_create_compute_pipeline(deviceId, layoutId, shaderId, entryPointPtr, entryPointLen) {
+                const device = handles.get(deviceId);
+                const layout = handles.get(layoutId);
+                const shader = handles.get(shaderId);
+
+                if (!device || !layout || !shader) {
+                    console.error('Invalid device, layout, or shader handle');
+                    return 0;
+                }
+
+                const memory = state.wasm.exports.memory;
+                const entryPoint = new TextDecoder().decode(
+                    new Uint8Array(memory.buffer, entryPointPtr, entryPointLen)
+                );
+
+                try {
+                    const pipeline = withErrorScope(device, `Compute pipeline "${entryPoint}"`, () => device.createComputePipeline({
+                        layout: layout,
+                        compute: {
+                            module: shader,
+                            entryPoint: entryPoint,
+                        }
+                    }));
+
+                    return handles.create(pipeline, 'computePipeline', { label: entryPoint });
+                } catch (e) {
+                    console.error('Compute pipeline creation error:', e);
+                    return 0;
+                }
+            },
+
+            js_webgpu_create_command_encoder(deviceId) {
+                const device = handles.get(deviceId);
+                if (!device) {
+                    console.error('Invalid device handle');
+                    return 0;
+                }
+
+                const encoder = device.createCommandEncoder();
+                return handles.create(encoder, 'commandEncoder');
+            },
+
+            js_webgpu_begin_compute_pass: beginComputePass,
+
+            js_webgpu_compute_pass_set_pipeline(passId, pipelineId) {
+                const pass = handles.get(passId);
+                const pipeline = handles.get(pipelineId);
+
+                if (!pass || !pipeline) {
+                    console.error('Invalid pass or pipeline handle');
+                    return;
+                }
+
+                pass.setPipeline(pipeline);
+            },
+
+            js_webgpu_compute_pass_set_bind_group(passId, index, bindGroupId) {
+                const pass = handles.get(passId);
+                const bindGroup = handles.get(bindGroupId);
+
+                if (!pass || !bindGroup) {
+                    console.error('Invalid pass or bind group handle');
+                    return;
+                }
+
+                pass.setBindGroup(index, bindGroup);
+            },
+
+            js_webgpu_compute_pass_set_bind_group_with_offset(passId, index, bindGroupId, dynamicOffset) {
+                const pass = handles.get(passId);
+                const bindGroup = handles.get(bindGroupId);
+
+                if (!pass || !bindGroup) {
+                    console.error('Invalid pass or bind group handle');
+                    return;
+                }
+
+                pass.setBindGroup(index, bindGroup, [dynamicOffset]);
+            },
+
+            js_webgpu_compute_pass_dispatch(passId, x, y, z) {
+                const pass = handles.get(passId);
+                if (!pass) {
+                    console.error('Invalid pass handle');
+                    return;
+                }
+
+                pass.dispatchWorkgroups(x, y, z);
+            },
+
+            js_webgpu_compute_pass_end(passId) {
+                const pass = handles.get(passId);
+                if (!pass) {
+                    console.error('Invalid pass handle');
+                    return;
+                }
+
+                pass.end();
+                handles.release(passId);
+            },
+
+            js_webgpu_command_encoder_finish(encoderId) {
+                const encoder = handles.get(encoderId);
+                if (!encoder) {
+                    console.error('Invalid encoder handle');
+                    return 0;
+                }
+
+                const commandBuffer = encoder.finish();
+                handles.release(encoderId);
+                return handles.create(commandBuffer, 'commandBuffer');
+            },
+
+            js_webgpu_queue_submit(deviceId, commandBufferId) {
+                const device = handles.get(deviceId);
+                const commandBuffer = handles.get(commandBufferId);
+
+                if (!device || !commandBuffer) {
+                    console.error('Invalid device or command buffer handle');
+                    return;
+                }
+
+                device.queue.submit([commandBuffer]);
+                handles.release(commandBufferId);
+            },
+
+            // === Render Pipeline ===
+
+            js_webgpu_create_render_pipeline(deviceId, layoutId, shaderId, vertexEntryPtr, vertexEntryLen, fragmentEntryPtr, fragmentEntryLen) {
+                const device = handles.get(deviceId);
+                const layout = handles.get(layoutId);
+                const shader = handles.get(shaderId);
+
+                if (!device || !layout || !shader) {
+                    console.error('Invalid device, layout, or shader handle');
+                    return 0;
+                }
+
+                const memory = state.wasm.exports.memory;
+                const vertexEntry = new TextDecoder().decode(
+                    new Uint8Array(memory.buffer, vertexEntryPtr, vertexEntryLen)
+                );
+                const fragmentEntry = new TextDecoder().decode(
+                    new Uint8Array(memory.buffer, fragmentEntryPtr, fragmentEntryLen)
+                );
+
+                try {
+                    const pipeline = withErrorScope(device, `Render pipeline "${vertexEntry}"`, () => device.createRenderPipeline({
+                        layout: layout,
+                        vertex: {
+                            module: shader,
+                            entryPoint: vertexEntry,
+                        },
+                        primitive: {
+                            topology: 'triangle-list',
+                        },
+                        fragment: {
+                            module: shader,
+                            entryPoint: fragmentEntry,
+                            targets: [{
+                                format: state.preferredFormat,
+                                blend: {
+                                    color: {
+                                        srcFactor: 'src-alpha',
+                                        dstFactor: 'one-minus-src-alpha',
+                                    },
+                                    alpha: {
+                                        srcFactor: 'one',
+                                        dstFactor: 'one-minus-src-alpha',
+                                    },
+                                },
+                            }],
+                        },
+                    }));
+
+                    return handles.create(pipeline, 'renderPipeline', { label: vertexEntry });
+                } catch (e) {
+                    console.error('Render pipeline creation error:', e);
+                    return 0;
+                }
+            },
+
+            js_webgpu_create_render_pipeline_hdr(deviceId, layoutId, shaderId, vertexEntryPtr, vertexEntryLen, fragmentEntryPtr, fragmentEntryLen, targetFormat, enableBlending) {
+                const device = handles.get(deviceId);
+                const layout = handles.get(layoutId);
+                const shader = handles.get(shaderId);
+
+                if (!device || !layout || !shader) {
+                    console.error('Invalid device, layout, or shader handle');
+                    return 0;
+                }
+
+                const memory = state.wasm.exports.memory;
+                const vertexEntry = new TextDecoder().decode(
+                    new Uint8Array(memory.buffer, vertexEntryPtr, vertexEntryLen)
+                );
+                const fragmentEntry = new TextDecoder().decode(
+                    new Uint8Array(memory.buffer, fragmentEntryPtr, fragmentEntryLen)
+                );
+
+                // Map format enum to string
+                const formats = [
+                    'rgba16float',     // 0 - HDR format
+                    'rgba32float',     // 1
+                    'bgra8unorm',      // 2
+                    'rgba8unorm',      // 3
+                    'rgba8unorm-srgb', // 4
+                ];
+                const formatString = formats[targetFormat] || 'bgra8unorm';
+
+                try {
+                    const pipelineDesc = {
+                        layout: layout,
+                        vertex: {
+                            module: shader,
+                            entryPoint: vertexEntry,
+                        },
+                        primitive: {
+                            topology: 'triangle-list',
+                        },
+                        fragment: {
+                            module: shader,
+                            entryPoint: fragmentEntry,
+                            targets: [{
+                                format: formatString,
+                            }],
+                        },
+                    };
+
+                    // Add additive blending if requested (for HDR accumulation)
+                    if (enableBlending) {
+                        pipelineDesc.fragment.targets[0].blend = {
+                            color: {
+                                srcFactor: 'src-alpha',
+                                dstFactor: 'one',  // Additive!
+                                operation: 'add',
+                            },
+                            alpha: {
+                                srcFactor: 'one',
+                                dstFactor: 'one',
+                                operation: 'add',
+                            },
+                        };
+                    }
+
+                    const pipeline = withErrorScope(device, `Render pipeline "${vertexEntry}"`, () => device.createRenderPipeline(pipelineDesc));
+                    return handles.create(pipeline, 'renderPipeline', { label: vertexEntry });
+                } catch (e) {
+                    console.error('Failed to create HDR render pipeline:', e);
+                    console.error('  Format:', formatString, 'Blending:', enableBlending);
+                    return 0;
+                }
+            },
+
+            js_webgpu_begin_render_pass_for_particles(r, g, b, a, labelPtr, labelLen) {
+                if (!state.device || !state.context) {
+                    console.error('Device or context not initialized');
+                    return 0;
+                }
+
+                // Create command encoder if not exists
+                if (!state.commandEncoder) {
+                    state.commandEncoder = state.device.createCommandEncoder();
+                }
+
+                // Get current texture from canvas context
+                const textureView = state.context.getCurrentTexture().createView();
+
+                // Begin render pass with clear color
+                const label = readLabel(labelPtr, labelLen);
+                state.renderPassEncoder = state.commandEncoder.beginRenderPass({
+                    colorAttachments: [{
+                        view: textureView,
+                        clearValue: { r, g, b, a },
+                        loadOp: 'clear',
+                        storeOp: 'store',
+                    }],
+                    ...passDescriptor(label),
+                });
+
+                return handles.create(state.renderPassEncoder, 'renderPass', { label });
+            },
+
+            js_webgpu_begin_render_pass_hdr(textureViewId, r, g, b, a, labelPtr, labelLen) {
+                return beginHdrPass(textureViewId, { r, g, b, a }, readLabel(labelPtr, labelLen));
+            },
+
+            // Continue drawing into the HDR texture without clearing it (e.g. circles over the glow pass)
+            js_webgpu_begin_render_pass_hdr_load(textureViewId, labelPtr, labelLen) {
+                return beginHdrPass(textureViewId, null, readLabel(labelPtr, labelLen));
+            },
+
+            js_webgpu_render_pass_set_pipeline(passId, pipelineId) {
+                const pass = handles.get(passId);
+                const pipeline = handles.get(pipelineId);
+
+                if (!pass || !pipeline) {
+                    console.error('Invalid pass or pipeline handle');
+                    return;
+                }
+
+                pass.setPipeline(pipeline);
+            },
+
+            js_webgpu_render_pass_set_bind_group(passId, index, bindGroupId) {
+                const pass = handles.get(passId);
+                const bindGroup = handles.get(bindGroupId);
+
+                if (!pass || !bindGroup) {
+                    console.error('Invalid pass or bind group handle');
+                    return;
+                }
+
+                pass.setBindGroup(index, bindGroup);
+            },
+
+            js_webgpu_render_pass_draw(passId, vertexCount, instanceCount, firstVertex, firstInstance) {
+                const pass = handles.get(passId);
+                if (!pass) {
+                    console.error('Invalid pass handle');
+                    return;
+                }
+
+                pass.draw(vertexCount, instanceCount, firstVertex, firstInstance);
+            },
+
+            js_webgpu_render_pass_end(passId) {
+                if (state.renderPassEncoder) {
+                    state.renderPassEncoder.end();
+                    state.renderPassEncoder = null;
+                }
+                handles.release(passId);
+            },
+
+            // === Handle Bookkeeping ===
+
+            // Pipelines, layouts, bind groups and shader modules have no destroy(); dropping the
+            // handle lets the browser collect them
+            js_webgpu_release(handleId) {
+                handles.release(handleId);
+            },
+
+            // Called by Zig before it rebuilds the simulation; older per-simulation objects count as leaks
+            js_handles_next_generation() {
+                handles.nextGeneration();
+            },
+        }
+    };
+}
@@ -0,0 +1,89 @@
+// Paint brush palette for Zig Particle Life
+// The left mouse button (or one finger) applies the selected tool within the brush radius: attract,
+// repel, spawn particles of the chosen species, erase particles, or convert them to that species.
+// The right button (or a long press) always repels. Spawning and erasing change the particle count
+// on the GPU, without respawning the system (see src/particle_life/brush.zig).
+
+import { readSpecies } from './system.js';
+import { cssColor } from './matrix.js';
+
+// webinputs.BrushTool in src/webutils/webinputs.zig, in value order
+// `species`: the tool uses the species picked in the palette
+export const BRUSH_TOOLS = [
+    { id: 'attract', label: 'Attract' },
+    { id: 'repel', label: 'Repel' },
+    { id: 'spawn', label: 'Spawn', species: true },
+    { id: 'erase', label: 'Erase' },
+    { id: 'convert', label: 'Convert', species: true },
+];
+
+export class BrushPalette {
+    constructor(exports) {
+        this.exports = exports;
+        this.tool = 0;
+        this.species = 0;
+        this.buttons = this.createToolButtons(document.getElementById('brushTools'));
+        this.speciesRow = document.getElementById('brushSpecies');
+        this.radiusText = document.getElementById('brushRadiusText');
+
+        document.getElementById('brushRadiusSlider')?.addEventListener('input', (e) => this.setRadius(Number(e.target.value)));
+        this.setTool(0);
+    }
+
+    createToolButtons(container) {
+        if (!container) return [];
+        return BRUSH_TOOLS.map((tool, index) => {
+            const button = document.createElement('div');
+            button.className = 'button';
+            button.innerText = tool.label;
+            button.addEventListener('click', () => this.setTool(index));
+            container.appendChild(button);
+            return button;
+        });
+    }
+
+    setTool(index) {
+        this.tool = index;
+        this.exports.setBrushTool(this.tool);
+        this.buttons.forEach((button, i) => button.classList.toggle('active', i === this.tool));
+        this.refresh();
+    }
+
+    nextTool() {
+        this.setTool((this.tool + 1) % BRUSH_TOOLS.length);
+    }
+
+    // Radius in world units
+    setRadius(radius) {
+        this.exports.setBrushRadius(radius);
+        if (this.radiusText) this.radiusText.innerText = `Brush radius: ${radius}`;
+    }
+
+    setSpecies(index) {
+        this.species = index;
+        this.exports.setBrushSpecies(index);
+        this.refresh();
+    }
+
+    // Species swatches in the current colors, shown for the tools that use a species
+    // Called when the system changes, since the species count and colors may have
+    refresh() {
+        if (!this.speciesRow) return;
+        const species = BRUSH_TOOLS[this.tool].species ? readSpecies(this.exports) ?? [] : [];
+        if (species.length && this.species >= species.length) {
+            this.species = 0;
+            this.exports.setBrushSpecies(0);
+        }
+
+        this.speciesRow.replaceChildren(...species.map((s, i) => {
+            const swatch = document.createElement('div');
+            swatch.className = 'brushSwatch';
+            swatch.classList.toggle('selected', i === this.species);
+            swatch.style.backgroundColor = cssColor(s.color);
+            swatch.title = `Species ${i + 1}`;
+            swatch.addEventListener('click', () => this.setSpecies(i));
+            return swatch;
+        }));
+        this.speciesRow.style.display = species.length ? '' : 'none';
+    }
+}
@@ -0,0 +1,114 @@
+// Device capability checks for Zig Particle Life
+// Picks the limits to request from the adapter, derives how many particles the device can handle,
+// and explains what to do when WebGPU is unavailable
+
+// Bytes per particle.Particle (x, y, vx, vy, species as f32)
+const PARTICLE_SIZE = 20;
+
+// Workgroup size of the per-particle compute shaders
+const WORKGROUP_SIZE = 64;
+
+// Particle buffers have room for this many times the particle count, for the spawn brush
+// (Simulation.capacity in src/particle_life/simulation.zig)
+const CAPACITY_FACTOR = 2;
+
+// Limits the simulation benefits from; we ask for whatever the adapter offers
+const WANTED_LIMITS = ['maxStorageBufferBindingSize', 'maxBufferSize', 'maxComputeWorkgroupsPerDimension'];
+
+const POWER_PREFERENCES = ['low-power', 'high-performance'];
+
+// requiredLimits for requestDevice(): the adapter's best values for the limits we care about
+export function requiredLimits(adapter) {
+    const limits = {};
+    for (const name of WANTED_LIMITS) {
+        if (adapter.limits[name] !== undefined) limits[name] = adapter.limits[name];
+    }
+    return limits;
+}
+
+// Largest particle count exponent (the slider works in powers of two) the device can store and dispatch
+export function maxParticleExponent(limits) {
+    const bufferSize = Math.min(limits.maxStorageBufferBindingSize, limits.maxBufferSize);
+    const byStorage = Math.floor(bufferSize / PARTICLE_SIZE);
+    const byDispatch = limits.maxComputeWorkgroupsPerDimension * WORKGROUP_SIZE;
+    return Math.floor(Math.log2(Math.min(byStorage, byDispatch) / CAPACITY_FACTOR));
+}
+
+// Keep the particle count parameter within what the device can store and dispatch
+export function clampParticleCount(params, limits) {
+    const param = params.find((p) => p.name === 'particleCount');
+    if (!param) return;
+
+    const maxCount = Math.pow(2, maxParticleExponent(limits));
+    if (maxCount < param.max) {
+        console.warn(`Device limits allow at most ${maxCount} particles`);
+        param.max = maxCount;
+        param.default = Math.min(param.default, maxCount);
+    }
+}
+
+// powerPreference from the page query (?powerPreference=low-power|high-performance), if valid
+export function powerPreferenceFromQuery(search) {
+    const value = new URLSearchParams(search).get('powerPreference');
+    return POWER_PREFERENCES.includes(value) ? value : undefined;
+}
+
+// Browser-specific suggestions for getting WebGPU to work
+function browserHints() {
+    const ua = navigator.userAgent;
+    const hints = [];
+
+    if (!window.isSecureContext) {
+        hints.push('WebGPU only works on secure pages. Open this page over https:// or from localhost.');
+    }
+
+    if (/Firefox\//.test(ua)) {
+        hints.push('Firefox ships WebGPU on Windows from version 141. On other platforms, try Firefox Nightly with dom.webgpu.enabled set in about:config.');
+    } else if (/Edg\//.test(ua) || /Chrome\//.test(ua)) {
+        hints.push('Chrome and Edge support WebGPU from version 113 on Windows, macOS and ChromeOS. Make sure the browser is up to date.');
+        if (/Linux/.test(ua) && !/Android/.test(ua)) {
+            hints.push('On Linux, enable chrome://flags/#enable-unsafe-webgpu and chrome://flags/#enable-vulkan, then restart the browser.');
+        }
+        if (/Android/.test(ua)) {
+            hints.push('On Android, WebGPU needs Chrome 121 or newer on Android 12+ with a supported GPU.');
+        }
+    } else if (/Safari\//.test(ua)) {
+        hints.push('Safari supports WebGPU from Safari 26 (macOS 26, iOS 26). On older versions, enable WebGPU under Develop > Feature Flags.');
+    } else {
+        hints.push('Try a recent version of Chrome, Edge, Firefox or Safari.');
+    }
+
+    hints.push('Check chrome://gpu (or your browser\'s equivalent) for a blocklisted GPU or disabled hardware acceleration.');
+    return hints;
+}
+
+// Replace the page with a full-screen explanation
+// `reason` is 'unsupported' (no navigator.gpu) or 'noAdapter' (no usable GPU found)
+export function showUnsupportedPage(reason) {
+    const page = document.getElementById('unsupportedPage');
+    if (!page) return;
+
+    const title = document.getElementById('unsupportedTitle');
+    const message = document.getElementById('unsupportedMessage');
+    const list = document.getElementById('unsupportedHints');
+
+    if (reason === 'noAdapter') {
+        title.textContent = 'No usable GPU found';
+        message.textContent = 'Your browser supports WebGPU, but it could not find a GPU adapter to run the simulation on.';
+    } else {
+        title.textContent = 'WebGPU is not available';
+        message.textContent = 'This simulation runs entirely on the GPU through WebGPU, which this browser does not provide.';
+    }
+
+    const hints = browserHints();
+    if (reason === 'noAdapter') {
+        hints.unshift('Try ?powerPreference=low-power or ?powerPreference=high-performance to pick a different GPU.');
+    }
+    list.replaceChildren(...hints.map((hint) => {
+        const item = document.createElement('li');
+        item.textContent = hint;
+        return item;
+    }));
+
+    page.style.display = 'flex';
+}
@@ -0,0 +1,122 @@
+// Touch gestures for Zig Particle Life
+// One finger applies the brush tool (like a left click), a long press turns it into repel (like a right click),
+// two fingers pinch-zoom around their midpoint and pan the view
+
+// Must match zoom_speed in Simulation.handleInput (zoom_factor = 1 + delta * zoom_speed)
+const ZOOM_SPEED = 0.001;
+
+const LONG_PRESS_MS = 500;
+const LONG_PRESS_SLOP = 10; // CSS pixels a finger may drift and still count as a long press
+
+export class TouchGestures {
+    // pixelRatio() returns canvas pixels per CSS pixel
+    constructor(canvas, exports, pixelRatio = () => window.devicePixelRatio || 1) {
+        this.canvas = canvas;
+        this.exports = exports;
+        this.pixelRatio = pixelRatio;
+
+        this.mode = 'none'; // 'none' | 'attract' | 'repel' | 'gesture'
+        this.pressStart = null; // {x, y} of the single-finger press, for long-press detection
+        this.longPressTimer = null;
+        this.pinch = null; // {x, y, distance} of the last two-finger sample (CSS pixels)
+
+        canvas.addEventListener('touchstart', (e) => this.onTouchChange(e), { passive: false });
+        canvas.addEventListener('touchend', (e) => this.onTouchChange(e), { passive: false });
+        canvas.addEventListener('touchcancel', (e) => this.onTouchChange(e), { passive: false });
+        canvas.addEventListener('touchmove', (e) => this.onTouchMove(e), { passive: false });
+    }
+
+    // Canvas-space position in canvas pixels, as the mouse handlers report it
+    toCanvas(x, y) {
+        const rect = this.canvas.getBoundingClientRect();
+        const ratio = this.pixelRatio();
+        return [(x - rect.left) * ratio, (y - rect.top) * ratio];
+    }
+
+    setPointer(x, y) {
+        if (this.exports.setMousePosition) this.exports.setMousePosition(...this.toCanvas(x, y));
+    }
+
+    setMode(mode) {
+        if (this.exports.setMouseDown) this.exports.setMouseDown(mode === 'attract');
+        if (this.exports.setMouseRightDown) this.exports.setMouseRightDown(mode === 'repel');
+        this.mode = mode;
+    }
+
+    cancelLongPress() {
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+        this.pressStart = null;
+    }
+
+    // Any change in the set of fingers (including cancel) restarts recognition from scratch,
+    // so lifting or losing a finger can never leave attract/repel stuck on
+    onTouchChange(e) {
+        e.preventDefault();
+        this.cancelLongPress();
+        this.pinch = null;
+
+        const touches = e.touches;
+        if (touches.length === 1) {
+            // A second finger lifting leaves the gesture, not a new press
+            if (this.mode === 'gesture') return;
+
+            const touch = touches[0];
+            this.setPointer(touch.clientX, touch.clientY);
+            this.setMode('attract');
+
+            this.pressStart = { x: touch.clientX, y: touch.clientY };
+            this.longPressTimer = setTimeout(() => {
+                this.longPressTimer = null;
+                if (this.mode === 'attract') this.setMode('repel');
+            }, LONG_PRESS_MS);
+        } else if (touches.length >= 2) {
+            this.setMode('gesture');
+            this.pinch = this.sample(touches);
+        } else {
+            this.setMode('none');
+        }
+    }
+
+    onTouchMove(e) {
+        e.preventDefault();
+        const touches = e.touches;
+
+        if (touches.length === 1 && (this.mode === 'attract' || this.mode === 'repel')) {
+            const touch = touches[0];
+            if (this.pressStart) {
+                const drift = Math.hypot(touch.clientX - this.pressStart.x, touch.clientY - this.pressStart.y);
+                if (drift > LONG_PRESS_SLOP) this.cancelLongPress();
+            }
+            this.setPointer(touch.clientX, touch.clientY);
+        } else if (touches.length >= 2 && this.pinch) {
+            const current = this.sample(touches);
+            const ratio = this.pixelRatio();
+
+            // Zoom around the midpoint: spreading the fingers shrinks the visible extent
+            this.setPointer(current.x, current.y);
+            if (this.exports.setZoom && current.distance > 0) {
+                const factor = this.pinch.distance / current.distance;
+                this.exports.setZoom((factor - 1.0) / ZOOM_SPEED);
+            }
+
+            // Pan by the midpoint movement (canvas pixels, so the view follows the fingers)
+            if (this.exports.setPan) {
+                this.exports.setPan((current.x - this.pinch.x) * ratio, (current.y - this.pinch.y) * ratio);
+            }
+
+            this.pinch = current;
+        }
+    }
+
+    // Midpoint and distance of the first two fingers
+    sample(touches) {
+        const a = touches[0];
+        const b = touches[1];
+        return {
+            x: (a.clientX + b.clientX) / 2,
+            y: (a.clientY + b.clientY) / 2,
+            distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY),
+        };
+    }
+}
@@ -0,0 +1,248 @@
+// Headless recording WebGPU fake
+// Implements the subset of GPUDevice / GPUCanvasContext used by bridge.js and logs every call,
+// so app.wasm can be driven outside a browser and its command stream inspected
+
+// WebGPU usage/mode constants (from the spec) for environments without navigator.gpu
+export function installGPUConstants(target = globalThis) {
+    target.GPUBufferUsage ??= {
+        MAP_READ: 0x0001, MAP_WRITE: 0x0002, COPY_SRC: 0x0004, COPY_DST: 0x0008, INDEX: 0x0010,
+        VERTEX: 0x0020, UNIFORM: 0x0040, STORAGE: 0x0080, INDIRECT: 0x0100, QUERY_RESOLVE: 0x0200,
+    };
+    target.GPUMapMode ??= { READ: 0x0001, WRITE: 0x0002 };
+}
+
+export function createRecordingGPU({ width = 800, height = 600, format = 'bgra8unorm', features = [] } = {}) {
+    const calls = [];
+    let frame = 0;
+    let nextObjectId = 1;
+
+    // Every fake object gets a kind and an id so recorded calls can refer to it
+    function object(kind, props = {}) {
+        return { kind, id: nextObjectId++, ...props };
+    }
+
+    function record(op, args = {}) {
+        const call = { op, frame, ...args };
+        calls.push(call);
+        return call;
+    }
+
+    function createTexture(descriptor) {
+        const texture = object('texture', {
+            descriptor,
+            createView() {
+                const view = object('textureView', { texture });
+                record('createView', { texture: texture.id, view: view.id });
+                return view;
+            },
+            destroy() {
+                record('destroyTexture', { texture: texture.id });
+            },
+        });
+        return texture;
+    }
+
+    function createPass(kind, encoder, descriptor) {
+        const pass = object(kind, {
+            setPipeline(pipeline) {
+                record('setPipeline', { pass: pass.id, pipeline: pipeline.id });
+            },
+            setBindGroup(index, bindGroup, dynamicOffsets = []) {
+                record('setBindGroup', { pass: pass.id, index, bindGroup: bindGroup.id, dynamicOffsets: [...dynamicOffsets] });
+            },
+            dispatchWorkgroups(x, y = 1, z = 1) {
+                record('dispatch', { pass: pass.id, x, y, z });
+            },
+            draw(vertexCount, instanceCount = 1, firstVertex = 0, firstInstance = 0) {
+                record('draw', { pass: pass.id, vertexCount, instanceCount, firstVertex, firstInstance });
+            },
+            end() {
+                record(kind === 'computePass' ? 'endComputePass' : 'endRenderPass', { pass: pass.id });
+            },
+        });
+        record(kind === 'computePass' ? 'beginComputePass' : 'beginRenderPass', {
+            encoder: encoder.id,
+            pass: pass.id,
+            label: descriptor.label ?? null,
+            timestampWrites: descriptor.timestampWrites
+                ? [descriptor.timestampWrites.beginningOfPassWriteIndex, descriptor.timestampWrites.endOfPassWriteIndex]
+                : null,
+            descriptor,
+        });
+        return pass;
+    }
+
+    const queue = {
+        writeBuffer(buffer, offset, data) {
+            record('writeBuffer', { buffer: buffer.id, offset, data: new Uint8Array(data.buffer, data.byteOffset, data.byteLength).slice() });
+        },
+        submit(commandBuffers) {
+            record('submit', { commandBuffers: commandBuffers.map((c) => c.id) });
+        },
+        copyExternalImageToTexture(source, destination, size) {
+            record('copyExternalImageToTexture', { texture: destination.texture.id, size });
+        },
+        onSubmittedWorkDone() {
+            return Promise.resolve();
+        },
+    };
+
+    const device = object('device', {
+        queue,
+        features: new Set(features),
+        limits: {},
+        lost: new Promise(() => {}), // Never lost
+
+        createBuffer(descriptor) {
+            const buffer = object('buffer', {
+                size: descriptor.size,
+                usage: descriptor.usage,
+                destroy() {
+                    record('destroyBuffer', { buffer: buffer.id });
+                },
+                // Mapped contents are always zeros
+                mapAsync(mode) {
+                    record('mapAsync', { buffer: buffer.id, mode });
+                    return Promise.resolve();
+                },
+                getMappedRange() {
+                    return new ArrayBuffer(descriptor.size);
+                },
+                unmap() {},
+            });
+            record('createBuffer', { buffer: buffer.id, descriptor });
+            return buffer;
+        },
+
+        createQuerySet(descriptor) {
+            const querySet = object('querySet', { type: descriptor.type, count: descriptor.count });
+            record('createQuerySet', { querySet: querySet.id, type: descriptor.type, count: descriptor.count });
+            return querySet;
+        },
+
+        createTexture(descriptor) {
+            const texture = createTexture(descriptor);
+            record('createTexture', { texture: texture.id, descriptor });
+            return texture;
+        },
+
+        createShaderModule(descriptor) {
+            const module = object('shaderModule', { code: descriptor.code });
+            record('createShaderModule', { module: module.id, length: descriptor.code.length, code: descriptor.code });
+            return module;
+        },
+
+        createBindGroupLayout(descriptor) {
+            const layout = object('bindGroupLayout', { entries: descriptor.entries });
+            record('createBindGroupLayout', { layout: layout.id, entries: descriptor.entries });
+            return layout;
+        },
+
+        createBindGroup(descriptor) {
+            const bindGroup = object('bindGroup', { layout: descriptor.layout });
+            record('createBindGroup', {
+                bindGroup: bindGroup.id,
+                layout: descriptor.layout.id,
+                entries: descriptor.entries.map((e) => ({
+                    binding: e.binding,
+                    resource: e.resource.buffer
+                        ? { buffer: e.resource.buffer.id, offset: e.resource.offset, size: e.resource.size }
+                        : { view: e.resource.id },
+                })),
+            });
+            return bindGroup;
+        },
+
+        createPipelineLayout(descriptor) {
+            const layout = object('pipelineLayout', { bindGroupLayouts: descriptor.bindGroupLayouts });
+            record('createPipelineLayout', { layout: layout.id, bindGroupLayouts: descriptor.bindGroupLayouts.map((l) => l.id) });
+            return layout;
+        },
+
+        createComputePipeline(descriptor) {
+            const pipeline = object('computePipeline', { entryPoint: descriptor.compute.entryPoint });
+            record('createComputePipeline', { pipeline: pipeline.id, layout: descriptor.layout.id, module: descriptor.compute.module.id, entryPoint: descriptor.compute.entryPoint });
+            return pipeline;
+        },
+
+        createRenderPipeline(descriptor) {
+            const pipeline = object('renderPipeline', { entryPoint: descriptor.vertex.entryPoint });
+            record('createRenderPipeline', {
+                pipeline: pipeline.id,
+                layout: descriptor.layout.id,
+                module: descriptor.vertex.module.id,
+                vertexEntryPoint: descriptor.vertex.entryPoint,
+                fragmentEntryPoint: descriptor.fragment.entryPoint,
+                format: descriptor.fragment.targets[0].format,
+                blend: descriptor.fragment.targets[0].blend ?? null,
+            });
+            return pipeline;
+        },
+
+        createCommandEncoder() {
+            const encoder = object('commandEncoder', {
+                beginComputePass(descriptor = {}) {
+                    return createPass('computePass', encoder, descriptor);
+                },
+                beginRenderPass(descriptor) {
+                    return createPass('renderPass', encoder, descriptor);
+                },
+                copyBufferToBuffer(src, srcOffset, dst, dstOffset, size) {
+                    record('copyBufferToBuffer', { encoder: encoder.id, src: src.id, srcOffset, dst: dst.id, dstOffset, size });
+                },
+                resolveQuerySet(querySet, firstQuery, queryCount, destination, destinationOffset) {
+                    record('resolveQuerySet', { encoder: encoder.id, querySet: querySet.id, firstQuery, queryCount, destination: destination.id, destinationOffset });
+                },
+                finish() {
+                    const commandBuffer = object('commandBuffer');
+                    record('finish', { encoder: encoder.id, commandBuffer: commandBuffer.id });
+                    return commandBuffer;
+                },
+            });
+            record('createCommandEncoder', { encoder: encoder.id });
+            return encoder;
+        },
+
+        pushErrorScope() {},
+        popErrorScope() {
+            return Promise.resolve(null);
+        },
+        addEventListener() {},
+        destroy() {},
+    });
+
+    const context = {
+        canvas: { width, height },
+        configure(configuration) {
+            record('configure', { format: configuration.format, alphaMode: configuration.alphaMode });
+        },
+        getCurrentTexture() {
+            return createTexture({ size: [width, height], format });
+        },
+    };
+
+    return {
+        device,
+        context,
+        format,
+        calls,
+
+        // Mark the start of a new frame; later calls are tagged with its number
+        nextFrame() {
+            return ++frame;
+        },
+
+        // Calls (optionally of one op) recorded during a frame
+        callsInFrame(n, op = null) {
+            return calls.filter((c) => c.frame === n && (op === null || c.op === op));
+        },
+
+        count(op, n = null) {
+            return calls.filter((c) => c.op === op && (n === null || c.frame === n)).length;
+        },
+
+        clear() {
+            calls.length = 0;
+        },
+    };
+}
@@ -0,0 +1,336 @@
+// Simulation host for Zig Particle Life
+// Owns the WebGPU device, the WASM module and the frame loop. Runs on the main thread (main.js)
+// or inside a worker on an OffscreenCanvas (worker.js); everything that touches the page goes
+// through the hooks, so the same code works in both places:
+//
+// {
+//     status(text), unsupported(reason), gpuError(message), fps(fps),
+//     debugVisible(), debug(text),      // Debug panel (only formatted while visible)
+//     frameDt(dt),                      // dt to simulate this frame, or null to skip it (fixed-step recording)
+//     scheduler(), isPaused(),          // FixedStepScheduler and pause state
+//     afterFrame(simulated),            // Right after present, while the frame is readable
+//     reload(),                         // The device was lost before the module was loaded
+// }
+
+import { createHandleTable, createWasmImports, missingExports } from './bridge.js';
+import { createProfiler } from './profiler.js';
+import { requiredLimits } from './capabilities.js';
+import { inspectAt } from './inspect.js';
+import { readParticles, uploadParticles } from './snapshot.js';
+import { uploadLayoutImage } from './layouts.js';
+
+// Device loss recovery: attempts before giving up, and the delay between them (grows per attempt)
+const RECOVERY_ATTEMPTS = 3;
+const RECOVERY_DELAY_MS = 1000;
+
+// Dedicated workers may lack requestAnimationFrame; a timer at the usual refresh rate stands in
+const requestFrame = typeof requestAnimationFrame === 'function'
+    ? (callback) => requestAnimationFrame(callback)
+    : (callback) => setTimeout(() => callback(performance.now()), 1000 / 60);
+
+// Helper: Load image from URL
+async function loadImage(url) {
+    const response = await fetch(url);
+    const blob = await response.blob();
+    return await createImageBitmap(blob, { colorSpaceConversion: 'none' });
+}
+
+export function createSimulationHost(canvas, hooks) {
+    const state = {
+        wasm: null,
+        canvas,
+        context: null,
+        device: null,
+        adapter: null,
+        preferredFormat: null,
+        lastFrameTime: 0,
+        frameCount: 0,
+        commandEncoder: null,
+        renderPassEncoder: null,
+        powerPreference: undefined,
+        profiler: null, // GPU pass timing (timestamp queries when supported) and CPU frame timing
+        blueNoiseHandles: null, // [texture, view] handles once the blue noise texture is loaded
+        recovering: false, // Device lost; frames are skipped until a new device is ready
+        onGpuError: hooks.gpuError, // Called by the bridge with validation error messages
+    };
+
+    // Handle management for WebGPU objects
+    // Zig will reference WebGPU objects by handle ID
+    const handles = createHandleTable();
+
+    // FFI functions exposed to WASM
+    const wasmImports = createWasmImports(state, handles);
+
+    async function initWebGPU(powerPreference = state.powerPreference) {
+        state.powerPreference = powerPreference;
+        state.context = canvas.getContext('webgpu');
+
+        if (!navigator.gpu) {
+            hooks.status('WebGPU not supported');
+            hooks.unsupported('unsupported');
+            throw new Error('WebGPU not supported');
+        }
+
+        state.adapter = await navigator.gpu.requestAdapter({ powerPreference });
+        if (!state.adapter) {
+            hooks.status('Failed to get WebGPU adapter');
+            hooks.unsupported('noAdapter');
+            throw new Error('Failed to get WebGPU adapter');
+        }
+
+        // Timestamp queries are optional; without them the debug panel shows CPU timing only
+        const timestampQuery = state.adapter.features.has('timestamp-query');
+        state.device = await state.adapter.requestDevice({
+            requiredFeatures: timestampQuery ? ['timestamp-query'] : [],
+            requiredLimits: requiredLimits(state.adapter),
+        });
+        state.profiler = createProfiler(state.device);
+        watchDevice(state.device);
+        state.preferredFormat = navigator.gpu.getPreferredCanvasFormat();
+
+        // Configure canvas
+        state.context.configure({
+            device: state.device,
+            format: state.preferredFormat,
+            alphaMode: 'opaque',
+        });
+
+        // Store device handle (always ID 1)
+        handles.create(state.device, 'device');
+
+        console.log('WebGPU initialized successfully');
+        console.log('Adapter:', state.adapter);
+        console.log('Device:', state.device);
+        console.log('Format:', state.preferredFormat);
+
+        // Load blue noise texture for dithering
+        try {
+            const blueNoiseImage = await loadImage('blue-noise.png');
+            const blueNoiseTexture = state.device.createTexture({
+                format: 'rgba8unorm',
+                size: [blueNoiseImage.width, blueNoiseImage.height],
+                usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT,
+            });
+
+            state.device.queue.copyExternalImageToTexture(
+                { source: blueNoiseImage },
+                { texture: blueNoiseTexture },
+                { width: blueNoiseImage.width, height: blueNoiseImage.height }
+            );
+
+            state.blueNoiseTexture = blueNoiseTexture;
+            state.blueNoiseTextureView = blueNoiseTexture.createView();
+
+            // Store handles for blue noise (will be used by compose pipeline)
+            const blueNoiseTextureHandle = handles.create(blueNoiseTexture, 'texture', { label: 'blue noise' });
+            const blueNoiseViewHandle = handles.create(state.blueNoiseTextureView, 'textureView', { parent: blueNoiseTextureHandle });
+
+            console.log('✓ Blue noise texture loaded:', blueNoiseImage.width, 'x', blueNoiseImage.height);
+            console.log('  Texture handle:', blueNoiseTextureHandle);
+            console.log('  View handle:', blueNoiseViewHandle);
+
+            // Pass to Zig if WASM is already loaded (otherwise loadWasm does)
+            state.blueNoiseHandles = [blueNoiseTextureHandle, blueNoiseViewHandle];
+            passBlueNoise();
+        } catch (error) {
+            console.warn('Failed to load blue noise texture:', error);
+            console.warn('  Compositing will work but without dithering');
+        }
+    }
+
+    function passBlueNoise() {
+        if (state.blueNoiseHandles && state.wasm && state.wasm.exports.setBlueNoiseTexture) {
+            state.wasm.exports.setBlueNoiseTexture(...state.blueNoiseHandles);
+        }
+    }
+
+    // Report device loss and validation errors that escaped the bridge's error scopes
+    function watchDevice(device) {
+        device.addEventListener('uncapturederror', (e) => hooks.gpuError(e.error.message));
+        device.lost.then((info) => {
+            // A device we already replaced, or one destroyed on purpose, needs no recovery
+            if (device !== state.device || info.reason === 'destroyed') return;
+            recoverDevice(info);
+        });
+    }
+
+    // Get a new adapter and device after a loss and rebuild the simulation on it
+    // Zig keeps the seed, parameters, species and camera across resetDevice()
+    async function recoverDevice(info) {
+        state.recovering = true;
+        console.warn('WebGPU device lost:', info.reason, info.message);
+        hooks.status(`GPU device lost${info.message ? ` (${info.message})` : ''}, recovering...`);
+
+        const exports = state.wasm?.exports;
+        if (!exports) {
+            hooks.reload();
+            return;
+        }
+
+        exports.resetDevice();
+        state.commandEncoder = null;
+        state.renderPassEncoder = null;
+
+        for (let attempt = 1; attempt <= RECOVERY_ATTEMPTS; attempt++) {
+            try {
+                handles.reset();
+                state.blueNoiseHandles = null;
+                await initWebGPU();
+
+                exports.setDevice(1); // Device handle is always 1
+                passBlueNoise();
+                exports.onResize(canvas.width, canvas.height);
+
+                state.recovering = false;
+                hooks.status('Running (recovered from device loss)');
+                return;
+            } catch (error) {
+                console.error(`Device recovery attempt ${attempt} failed:`, error);
+                hooks.status(`GPU device lost, recovery attempt ${attempt} failed: ${error.message}`);
+                await new Promise((resolve) => setTimeout(resolve, RECOVERY_DELAY_MS * attempt));
+            }
+        }
+
+        hooks.status('GPU device lost and could not be recovered. Reload the page to try again.');
+    }
+
+    // Load the WASM module and hand it the device; returns its exports
+    async function loadWasm() {
+        hooks.status('Loading WASM...');
+
+        // Add cache busting timestamp to URL
+        const response = await fetch(`app.wasm?t=${Date.now()}`);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch app.wasm: ${response.status}`);
+        }
+
+        const wasmBytes = await response.arrayBuffer();
+        const wasmModule = await WebAssembly.instantiate(wasmBytes, wasmImports);
+
+        state.wasm = wasmModule.instance;
+
+        // A module older than the sources runs, but not every feature works; say which
+        const missing = missingExports(state.wasm.exports);
+        if (missing.length > 0) {
+            const message = `app.wasm is out of date (no ${missing.join(', ')}); rebuild it with zig build dev`;
+            console.error(message);
+            hooks.gpuError(message);
+        }
+
+        // Pass device handle to Zig
+        if (state.wasm.exports.setDevice) {
+            state.wasm.exports.setDevice(1); // Device handle is always 1
+        }
+        passBlueNoise();
+        return state.wasm.exports;
+    }
+
+    // Canvas size in device pixels
+    function resize(width, height) {
+        canvas.width = width;
+        canvas.height = height;
+
+        console.log(`Canvas resized to ${width}x${height}`);
+
+        // Notify WASM of resize
+        if (state.wasm && state.wasm.exports.onResize) {
+            state.wasm.exports.onResize(width, height);
+        }
+    }
+
+    // Animation loop
+    function animationLoop(timestamp) {
+        const dt = timestamp - state.lastFrameTime;
+        state.lastFrameTime = timestamp;
+        state.frameCount++;
+
+        if (state.recovering) {
+            requestFrame(animationLoop);
+            return;
+        }
+
+        // Update FPS counter every 60 frames
+        if (state.frameCount % 60 === 0) {
+            hooks.fps(Math.round(1000 / dt));
+        }
+
+        // Debug panel refreshes more often so the rolling timings stay readable
+        if (state.frameCount % 15 === 0 && hooks.debugVisible()) {
+            hooks.debug(state.profiler.format() + '\n\n' + formatHandleReport(handles.report()));
+        }
+
+        // Call WASM update
+        // A fixed-step recording decides the dt itself and may skip frames while one is being captured
+        const frameDt = hooks.frameDt(dt / 1000); // Convert to seconds
+        if (state.wasm && frameDt !== null) {
+            const updateStart = performance.now();
+            const simulated = runFrame(state.wasm.exports, frameDt, hooks.isPaused());
+            state.profiler?.recordCpuFrame(performance.now() - updateStart, dt);
+
+            // Capture while the presented frame is still readable
+            hooks.afterFrame(simulated);
+        }
+
+        handles.nextFrame();
+        requestFrame(animationLoop);
+    }
+
+    // Input once per frame, then the fixed physics steps owed for dt, then one render
+    // Returns true if the simulation advanced
+    function runFrame(exports, dt, paused) {
+        exports.processInput();
+        const steps = hooks.scheduler().run(dt, paused, (stepDt) => exports.step(stepDt));
+        exports.renderFrame();
+        return steps > 0;
+    }
+
+    function start() {
+        requestFrame(animationLoop);
+    }
+
+    // Inspect and highlight the particle at a canvas pixel or world position (see inspect.js)
+    function inspect(x, y, options) {
+        if (!state.wasm || state.recovering) return Promise.resolve(null);
+        return inspectAt(state.wasm.exports, state.device, handles, canvas, x, y, options);
+    }
+
+    // Every particle (Float32Array of particle.Particle values), or null; for snapshots
+    async function snapshotParticles() {
+        if (!state.wasm || state.recovering) return null;
+        const bytes = await readParticles(state.wasm.exports, state.device, handles);
+        return bytes && new Float32Array(bytes);
+    }
+
+    // Rebuild the simulation with the given particles; false if there is no room for them
+    function loadParticles(particles) {
+        return Boolean(state.wasm) && uploadParticles(state.wasm.exports, particles);
+    }
+
+    // Species image for the image layout (see layouts.js); false if it is too large
+    function setLayoutImage(image) {
+        return Boolean(state.wasm) && uploadLayoutImage(state.wasm.exports, image);
+    }
+
+    return { state, handles, initWebGPU, loadWasm, resize, start, inspect, snapshotParticles, loadParticles, setLayoutImage };
+}
+
+// Debug panel text for handles.report()
+function formatHandleReport(report) {
+    const lines = [
+        `Frame ${report.frame}, simulation generation ${report.generation}`,
+        `Handles: ${report.total} live / ${report.created} created`,
+    ];
+    for (const [kind, count] of Object.entries(report.live).sort()) {
+        lines.push(`  ${kind}: ${count}`);
+    }
+
+    lines.push(`Suspected leaks: ${report.leaks.length}`);
+    for (const leak of report.leaks.slice(0, 8)) {
+        const label = leak.label ? ` "${leak.label}"` : '';
+        lines.push(`  #${leak.id} ${leak.kind}${label} (frame ${leak.frame}, gen ${leak.generation})`);
+    }
+    if (report.leaks.length > 8) {
+        lines.push(`  ...and ${report.leaks.length - 8} more`);
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,100 @@
+// Particle inspector for Zig Particle Life
+// The GPU picks the particle under the cursor and keeps track of it while sorting and erasing move
+// it (see particle.Selection in particle.zig); this reads it back with the particle buffer and
+// counts the species around it. Runs wherever the simulation does (host.js), so the result is a
+// plain object that can be posted from the worker.
+
+import { requireExports } from './bridge.js';
+import { readParticlesWith } from './snapshot.js';
+import { FORCE_FLOATS } from './system.js';
+
+// particle.Particle: x, y, vx, vy, species
+const PARTICLE_FLOATS = 5;
+
+// Clicks further than this from every particle select nothing (in canvas pixels)
+const PICK_RADIUS_PX = 24;
+
+// particle.CameraParams: center_x, center_y, extent_x, extent_y, pixels_per_unit
+const CAMERA_FLOATS = 5;
+
+// particle.Selection: i32 source, particle, then picking scratch
+const SELECTION_BYTES = 8;
+
+// World position under a canvas pixel (the same mapping as handleInput in simulation.zig)
+export function canvasToWorld(camera, x, y, width, height) {
+    const [centerX, centerY, extentX, extentY] = camera;
+    return {
+        x: centerX + (x / width * 2 - 1) * extentX,
+        y: centerY + (1 - y / height * 2) * extentY,
+    };
+}
+
+// Shortest offset from a to b, across the borders when they loop
+function offset(a, b, size) {
+    const d = b - a;
+    return size ? d - size * Math.round(d / size) : d;
+}
+
+// Largest radius at which the given species feels any other (0 if it feels nothing)
+function interactionRadius(forces, speciesCount, species) {
+    let radius = 0;
+    for (let j = 0; j < speciesCount; j++) {
+        radius = Math.max(radius, forces[(species * speciesCount + j) * FORCE_FLOATS + 1]);
+    }
+    return radius;
+}
+
+// The particle at `index`, and a histogram of the species within its interaction radius (itself
+// excluded); null if there is no such particle
+// wrap: {width, height} of the world when the borders loop, else null
+export function inspectParticle(particles, index, forces, speciesCount, wrap = null) {
+    const count = particles.length / PARTICLE_FLOATS;
+    if (index < 0 || index >= count) return null;
+
+    const [x, y, vx, vy, speciesValue] = particles.subarray(index * PARTICLE_FLOATS, (index + 1) * PARTICLE_FLOATS);
+    const species = Math.trunc(speciesValue);
+    const radius = interactionRadius(forces, speciesCount, species);
+
+    const neighbors = new Array(speciesCount).fill(0);
+    for (let i = 0; i < count; i++) {
+        if (i === index) continue;
+        const dx = offset(x, particles[i * PARTICLE_FLOATS], wrap?.width);
+        const dy = offset(y, particles[i * PARTICLE_FLOATS + 1], wrap?.height);
+        if (dx * dx + dy * dy < radius * radius) {
+            const s = Math.trunc(particles[i * PARTICLE_FLOATS + 4]);
+            if (s >= 0 && s < speciesCount) neighbors[s]++;
+        }
+    }
+
+    return { index, species, x, y, vx, vy, speed: Math.hypot(vx, vy), radius, neighbors };
+}
+
+// Select and highlight the particle at canvas pixel (x, y), or with `follow` set, keep the current
+// selection; then read the particles back and inspect the selected one
+// wrap: see inspectParticle()
+// Resolves to the inspectParticle() result, or null; rejects if the module lacks the inspector exports
+export async function inspectAt(exports, device, handles, canvas, x, y, { follow = false, wrap = null } = {}) {
+    requireExports(exports, 'getParticleBufferHandle', 'getCameraPtr', 'pickParticle', 'getSelectionBufferHandle');
+
+    const bufferHandle = exports.getParticleBufferHandle();
+    const selectionBuffer = handles.get(exports.getSelectionBufferHandle());
+    const cameraPtr = exports.getCameraPtr();
+    if (!bufferHandle || !selectionBuffer || !cameraPtr) return null;
+
+    const speciesCount = exports.getSpeciesCount();
+    const forces = new Float32Array(exports.memory.buffer, exports.getForcesPtr(), speciesCount * speciesCount * FORCE_FLOATS).slice();
+    if (!follow) {
+        const camera = new Float32Array(exports.memory.buffer, cameraPtr, CAMERA_FLOATS);
+        const position = canvasToWorld(camera, x, y, canvas.width, canvas.height);
+        exports.pickParticle(position.x, position.y, PICK_RADIUS_PX / camera[4]);
+    }
+
+    // Only the live particles: erased ones linger past the live count for a few frames
+    const data = await readParticlesWith(exports, device, handles, [{ buffer: selectionBuffer, offset: 0, size: SELECTION_BYTES }]);
+    // The simulation was rebuilt while reading; those particles are gone
+    if (!data || exports.getParticleBufferHandle() !== bufferHandle) return null;
+
+    const [particles, selection] = data;
+    const index = new Int32Array(selection)[1];
+    return inspectParticle(new Float32Array(particles), index, forces, speciesCount, wrap);
+}
@@ -0,0 +1,146 @@
+// Particle inspector panel for Zig Particle Life
+// In inspect mode, clicking the canvas picks the particle under the cursor (see inspect.js) and
+// shows its species, position, speed and the species around it. The picked particle is
+// highlighted and followed until another is picked or the system changes.
+
+import { readSpecies } from './system.js';
+import { cssColor } from './matrix.js';
+
+// How often the picked particle is read back again while selected
+const FOLLOW_INTERVAL_MS = 250;
+
+export class ParticleInspector {
+    // inspect(x, y, options) is host.inspect or RemoteSimulation.inspect
+    // wrap() gives the world size when the borders loop, else null
+    constructor(exports, inspect, wrap) {
+        this.exports = exports;
+        this.inspect = inspect;
+        this.wrap = wrap;
+        this.details = document.getElementById('inspectorDetails');
+        this.button = document.getElementById('inspectButton');
+
+        this.active = false; // Clicks on the canvas pick particles instead of attracting them
+        this.selected = null; // Last inspect result
+        this.pending = false; // A readback is in flight
+        this.queuedPick = null; // [x, y] of a click made while one was
+        this.generation = 0; // Bumped by clear(), so readbacks started before it are dropped
+        this.followTimer = null;
+        this.render();
+    }
+
+    get available() {
+        return Boolean(this.inspect);
+    }
+
+    // Turn inspect mode on or off; returns whether it is now on
+    toggle() {
+        this.active = !this.active && this.available;
+        this.button?.classList.toggle('active', this.active);
+        if (!this.active) this.clear();
+        return this.active;
+    }
+
+    // Pick the particle at a canvas pixel
+    pick(x, y) {
+        if (this.pending) {
+            this.queuedPick = [x, y];
+            return;
+        }
+        this.lookup(x, y, false);
+    }
+
+    // Pick at (x, y), or with `follow` set read the selected particle again
+    lookup(x, y, follow) {
+        this.pending = true;
+        const generation = this.generation;
+        this.inspect(x, y, { follow, wrap: this.wrap() })
+            .then((result) => {
+                // Cleared while reading: the highlight that readback set is stale
+                if (generation !== this.generation) {
+                    this.exports.setSelectedParticle(-1);
+                    return;
+                }
+                this.selected = result;
+                this.render();
+                this.follow();
+            })
+            .catch((err) => console.error('Inspecting particles failed:', err))
+            .finally(() => {
+                this.pending = false;
+                const queued = this.queuedPick;
+                this.queuedPick = null;
+                if (queued) this.pick(...queued);
+            });
+    }
+
+    // The GPU keeps track of the selected particle; read it back now and then to update the panel
+    follow() {
+        clearTimeout(this.followTimer);
+        this.followTimer = null;
+        if (!this.selected) return;
+        this.followTimer = setTimeout(() => {
+            if (!this.pending) this.lookup(0, 0, true);
+        }, FOLLOW_INTERVAL_MS);
+    }
+
+    // Forget the selection and remove the highlight (e.g. the particles were respawned)
+    clear() {
+        this.generation++;
+        this.queuedPick = null;
+        clearTimeout(this.followTimer);
+        this.followTimer = null;
+        this.selected = null;
+        this.exports.setSelectedParticle(-1);
+        this.render();
+    }
+
+    render() {
+        if (!this.details) return;
+
+        if (!this.available) {
+            this.details.innerText = 'Inspecting needs the simulation';
+            return;
+        }
+        if (!this.selected) {
+            this.details.innerText = this.active ? 'No particle selected' : 'Inspect mode is off';
+            return;
+        }
+
+        const species = readSpecies(this.exports);
+        const colorOf = (index) => (species?.[index] ? cssColor(species[index].color) : '#888');
+        const { species: index, x, y, speed, radius, neighbors } = this.selected;
+
+        const title = document.createElement('div');
+        title.className = 'inspectorTitle';
+        title.append(swatch(colorOf(index)), `Species ${index + 1}`);
+
+        const stats = document.createElement('div');
+        stats.innerText = `Position: ${x.toFixed(1)}, ${y.toFixed(1)}\nSpeed: ${speed.toFixed(2)}\nWithin ${radius.toFixed(1)}:`;
+
+        // One bar per species, scaled to the most common one
+        const histogram = document.createElement('div');
+        histogram.className = 'inspectorHistogram';
+        const most = Math.max(1, ...neighbors);
+        neighbors.forEach((count, i) => {
+            const row = document.createElement('div');
+            row.className = 'inspectorBarRow';
+            const bar = document.createElement('div');
+            bar.className = 'inspectorBar';
+            bar.style.width = `${(100 * count) / most}%`;
+            bar.style.backgroundColor = colorOf(i);
+            const label = document.createElement('span');
+            label.innerText = String(count);
+            row.append(swatch(colorOf(i)), bar, label);
+            histogram.appendChild(row);
+        });
+
+        this.details.replaceChildren(title, stats, histogram);
+    }
+}
+
+function swatch(color) {
+    const element = document.createElement('span');
+    element.className = 'inspectorSwatch';
+    element.style.backgroundColor = color;
+    return element;
+}
@@ -0,0 +1,193 @@
+// Keyboard shortcuts for Zig Particle Life
+// Actions are bound to key combinations: the key as the browser reports it, with Ctrl, Alt and Meta
+// spelled out ("c", "Space", "Ctrl+s", "Shift+ArrowUp"). Shift only shows for named keys, since it
+// already changes printable ones ("R", "{"). Bindings can be changed in the help overlay ([?]) and
+// are kept in localStorage; only the actions that differ from their defaults are stored.
+
+const STORAGE_KEY = 'zig-particle-life-keymap';
+
+// Bindings an action may have at most (the help overlay shows one button per binding)
+export const MAX_BINDINGS = 2;
+
+// Key names as shown to the user
+const KEY_LABELS = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'Esc' };
+
+// The combination for a keydown event, or null for a lone modifier
+export function comboFromEvent(e) {
+    if (['Control', 'Alt', 'Meta', 'Shift'].includes(e.key)) return null;
+
+    const key = e.key === ' ' ? 'Space' : e.key;
+    const modifiers = [];
+    if (e.ctrlKey) modifiers.push('Ctrl');
+    if (e.altKey) modifiers.push('Alt');
+    if (e.metaKey) modifiers.push('Meta');
+    if (e.shiftKey && key.length > 1) modifiers.push('Shift');
+    return [...modifiers, key].join('+');
+}
+
+// Letters show in upper case, like on the keyboard; Shift is spelled out for upper-case letters
+function formatKey(key) {
+    if (KEY_LABELS[key]) return KEY_LABELS[key];
+    if (/^[a-z]$/.test(key)) return key.toUpperCase();
+    if (/^[A-Z]$/.test(key)) return `Shift+${key}`;
+    return key;
+}
+
+export function formatCombo(combo) {
+    // '+' itself is a key, so only split on a '+' that follows a modifier
+    return combo.split(/(?<=Ctrl|Alt|Meta|Shift)\+/).map(formatKey).join('+');
+}
+
+// Keys typed into a text field are text, not shortcuts
+export function isTextField(element) {
+    if (!element) return false;
+    if (element.isContentEditable || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+    return element.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button', 'color', 'file'].includes(element.type);
+}
+
+export class Keymap {
+    // actions: [{id, label, keys (default combos), run()}] in the order the help overlay lists them
+    constructor(actions) {
+        this.actions = actions;
+        this.bindings = new Map(actions.map((action) => [action.id, [...action.keys]]));
+        this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '{}');
+            for (const [id, keys] of Object.entries(stored)) {
+                if (this.bindings.has(id) && Array.isArray(keys) && keys.every((key) => typeof key === 'string')) {
+                    this.bindings.set(id, keys.slice(0, MAX_BINDINGS));
+                }
+            }
+        } catch (err) {
+            console.warn('Ignoring stored keymap:', err);
+        }
+    }
+
+    save() {
+        const changed = {};
+        for (const action of this.actions) {
+            const keys = this.bindings.get(action.id);
+            if (keys.join('\n') !== action.keys.join('\n')) changed[action.id] = keys;
+        }
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(changed));
+        } catch (err) {
+            console.warn('Could not save keymap:', err);
+        }
+    }
+
+    keysFor(id) {
+        return this.bindings.get(id) ?? [];
+    }
+
+    // The action bound to a combination, if any
+    find(combo) {
+        return this.actions.find((action) => this.keysFor(action.id).includes(combo)) ?? null;
+    }
+
+    // Set binding `index` of an action (null removes it); the combination is taken from any other action
+    bind(id, index, combo) {
+        if (combo) {
+            for (const [otherId, keys] of this.bindings) {
+                if (otherId !== id) this.bindings.set(otherId, keys.filter((key) => key !== combo));
+            }
+        }
+        const keys = [...this.keysFor(id)];
+        if (combo) keys[index] = combo;
+        else keys.splice(index, 1);
+        this.bindings.set(id, [...new Set(keys.filter(Boolean))].slice(0, MAX_BINDINGS));
+        this.save();
+    }
+
+    reset() {
+        for (const action of this.actions) {
+            this.bindings.set(action.id, [...action.keys]);
+        }
+        this.save();
+    }
+}
+
+// === Help Overlay ===
+
+// Lists every action with its bindings; click a binding, then press the new key
+export class ShortcutHelp {
+    // onChange() is called after bindings change
+    constructor(keymap, onChange) {
+        this.keymap = keymap;
+        this.onChange = onChange;
+        this.list = document.getElementById('shortcutList');
+        this.capture = null; // {id, index} of the binding waiting for a key
+
+        document.getElementById('resetShortcutsButton')?.addEventListener('click', () => {
+            this.capture = null;
+            this.keymap.reset();
+            this.changed();
+        });
+        // Capture phase, so the key being assigned doesn't also run its current action
+        window.addEventListener('keydown', (e) => this.onKeyDown(e), true);
+
+        this.render();
+    }
+
+    render() {
+        if (!this.list) return;
+        this.list.replaceChildren(...this.keymap.actions.map((action) => this.createRow(action)));
+    }
+
+    createRow(action) {
+        const row = document.createElement('div');
+        row.className = 'shortcutRow';
+
+        const label = document.createElement('span');
+        label.className = 'shortcutLabel';
+        label.innerText = action.label;
+        row.appendChild(label);
+
+        // One button per binding, plus an empty one to add another
+        const keys = this.keymap.keysFor(action.id);
+        for (let i = 0; i < Math.min(keys.length + 1, MAX_BINDINGS); i++) {
+            const button = document.createElement('span');
+            button.className = 'shortcutKey';
+            const capturing = this.capture?.id === action.id && this.capture.index === i;
+            button.classList.toggle('capturing', capturing);
+            if (capturing) {
+                button.innerText = 'Press a key…';
+            } else {
+                button.innerText = keys[i] ? formatCombo(keys[i]) : '+';
+            }
+            button.title = keys[i] ? 'Click, then press the new key (Backspace removes it, Esc cancels)' : 'Click, then press a key to add it';
+            button.addEventListener('click', () => {
+                this.capture = { id: action.id, index: i };
+                this.render();
+            });
+            row.appendChild(button);
+        }
+        return row;
+    }
+
+    onKeyDown(e) {
+        if (!this.capture) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const combo = comboFromEvent(e);
+        if (!combo) return; // A modifier on its own; wait for the key it modifies
+
+        const { id, index } = this.capture;
+        this.capture = null;
+        if (combo === 'Escape') {
+            this.render();
+            return;
+        }
+        this.keymap.bind(id, index, combo === 'Backspace' || combo === 'Delete' ? null : combo);
+        this.changed();
+    }
+
+    changed() {
+        this.render();
+        this.onChange?.();
+    }
+}
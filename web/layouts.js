@@ -0,0 +1,125 @@
+// Initial particle layouts for Zig Particle Life
+// Where Restart places the particles: scattered uniformly, in a disk or ring, one spiral arm, band or
+// Gaussian cluster per species, or on the pixels of an image, each pixel giving the species of the
+// closest color. The layout is part of the system description: `layout` holds the id and, for the
+// image layout, `layoutImage` the species image: { width, height, species } with one base64 byte per
+// pixel (row-major from the top-left, EMPTY_PIXEL where no particles go).
+
+import { requireExports } from './bridge.js';
+
+// particle.InitialLayout in src/particle_life/particle.zig, in value order
+export const INITIAL_LAYOUTS = [
+    { id: 'uniform', label: 'Uniform' },
+    { id: 'disk', label: 'Disk' },
+    { id: 'ring', label: 'Ring' },
+    { id: 'spiral', label: 'Spirals' },
+    { id: 'bands', label: 'Bands' },
+    { id: 'clusters', label: 'Clusters' },
+    { id: 'image', label: 'From image…' },
+];
+
+export const DEFAULT_LAYOUT = 'uniform';
+
+// Species value of pixels without particles (LayoutImage.EMPTY_PIXEL in simulation.zig)
+export const EMPTY_PIXEL = 255;
+
+// Loaded images are scaled down to this many pixels on their longer side, which keeps them small
+// enough for saved systems while still giving a few particles per pixel
+const IMAGE_SIZE = 128;
+
+// Pixels this transparent, or this dark (like the background), get no particles
+const MIN_ALPHA = 128;
+const MIN_BRIGHTNESS = 24;
+
+export function layoutIndex(id) {
+    return Math.max(0, INITIAL_LAYOUTS.findIndex((layout) => layout.id === id));
+}
+
+// === Simulation Side (host.js, runs in the worker in worker mode) ===
+
+// Copy a species image into WASM for the image layout; false if it is too large
+export function uploadLayoutImage(exports, image) {
+    requireExports(exports, 'allocLayoutImage');
+    const ptr = exports.allocLayoutImage(image.width, image.height);
+    if (!ptr) return false;
+    new Uint8Array(exports.memory.buffer, ptr, image.width * image.height).set(image.species);
+    return true;
+}
+
+// === Images ===
+
+// Species image from an image file; every visible pixel becomes the species with the closest color
+// `colors`: [r, g, b, a] per species, linear 0 to 1 (see readSpecies)
+export async function imageToSpecies(file, colors) {
+    if (!colors.length) throw new Error('The simulation is not running');
+    const bitmap = await createImageBitmap(file).catch(() => {
+        throw new Error('Not an image the browser can read');
+    });
+
+    const scale = Math.min(1, IMAGE_SIZE / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+    const species = new Uint8Array(width * height).fill(EMPTY_PIXEL);
+    for (let i = 0; i < species.length; i++) {
+        const [r, g, b, a] = pixels.subarray(i * 4, i * 4 + 4);
+        if (a < MIN_ALPHA || Math.max(r, g, b) < MIN_BRIGHTNESS) continue;
+        species[i] = closestColor(colors, linear(r), linear(g), linear(b));
+    }
+
+    if (!species.some((s) => s !== EMPTY_PIXEL)) throw new Error('The image has no visible pixels');
+    return { width, height, species };
+}
+
+// Image pixels are sRGB; species colors are linear with a 2.2 gamma (see hexToColor in palette.js)
+function linear(c) {
+    return Math.pow(c / 255, 2.2);
+}
+
+function closestColor(colors, r, g, b) {
+    let best = 0;
+    let bestDistance = Infinity;
+    colors.forEach(([cr, cg, cb], i) => {
+        const distance = (cr - r) ** 2 + (cg - g) ** 2 + (cb - b) ** 2;
+        if (distance < bestDistance) {
+            best = i;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+// === System Files ===
+
+export function encodeLayoutImage(image) {
+    let binary = '';
+    for (const byte of image.species) binary += String.fromCharCode(byte);
+    return { width: image.width, height: image.height, species: btoa(binary) };
+}
+
+// Inverse of encodeLayoutImage; throws on malformed input
+export function decodeLayoutImage(data) {
+    if (typeof data !== 'object' || data === null) throw new Error('Image layout without an image');
+    const width = Number(data.width);
+    const height = Number(data.height);
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1 || width > IMAGE_SIZE || height > IMAGE_SIZE) {
+        throw new Error('Invalid layout image size');
+    }
+
+    let binary;
+    try {
+        binary = atob(String(data.species));
+    } catch {
+        throw new Error('Invalid layout image data');
+    }
+    if (binary.length !== width * height) throw new Error('Layout image data does not match its size');
+    const species = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+    return { width, height, species };
+}
@@ -0,0 +1,190 @@
+// Force Matrix Editor for Zig Particle Life
+// Shows the N×N force matrix as a colored grid and edits entries live through setForce
+// Row i, column j is the force species i feels from species j (forces[i * n + j])
+
+import { MAX_FORCE_RADIUS, MAX_FORCE_STRENGTH, readSpecies } from './system.js';
+
+// Drag sensitivity: horizontal drag edits strength, vertical drag edits radius
+const STRENGTH_PER_PIXEL = 1.0;
+const RADIUS_PER_PIXEL = 0.25;
+const FINE_FACTOR = 0.1; // Shift held
+
+// Species colors are linear; convert for CSS display
+export function cssColor(color) {
+    const channel = (c) => Math.round(255 * Math.pow(Math.min(Math.max(c, 0), 1), 1.0 / 2.2));
+    return `rgb(${channel(color[0])}, ${channel(color[1])}, ${channel(color[2])})`;
+}
+
+export class ForceMatrixEditor {
+    // pickColor(index, color) edits a species color when its swatch is clicked (see palette.js)
+    constructor(exports, { pickColor = null } = {}) {
+        this.exports = exports;
+        this.pickColor = pickColor;
+        this.grid = document.getElementById('forceMatrixGrid');
+        this.strengthSlider = document.getElementById('forceStrengthSlider');
+        this.strengthText = document.getElementById('forceStrengthText');
+        this.radiusSlider = document.getElementById('forceRadiusSlider');
+        this.radiusText = document.getElementById('forceRadiusText');
+
+        this.species = null;
+        this.cells = [];
+        this.selected = null; // [i, j]
+        this.drag = null;
+
+        this.strengthSlider?.addEventListener('input', (e) => {
+            this.editSelected({ strength: parseFloat(e.target.value) });
+        });
+        this.radiusSlider?.addEventListener('input', (e) => {
+            this.editSelected({ radius: parseFloat(e.target.value) });
+        });
+    }
+
+    // Re-read the matrix from WASM and rebuild the grid (after restart, randomize, load...)
+    refresh() {
+        if (!this.grid) return;
+
+        this.species = readSpecies(this.exports);
+        this.grid.replaceChildren();
+        this.cells = [];
+
+        if (!this.species) {
+            this.grid.innerText = 'Waiting for simulation...';
+            return;
+        }
+
+        const n = this.species.length;
+        const cellSize = Math.min(32, Math.floor(256 / (n + 1)));
+        this.grid.style.gridTemplateColumns = `repeat(${n + 1}, ${cellSize}px)`;
+        this.grid.style.gridAutoRows = `${cellSize}px`;
+
+        // Header row: species acting on the row species
+        this.grid.appendChild(document.createElement('div'));
+        for (let j = 0; j < n; j++) {
+            this.grid.appendChild(this.createHeader(j));
+        }
+
+        for (let i = 0; i < n; i++) {
+            this.grid.appendChild(this.createHeader(i));
+            const row = [];
+            for (let j = 0; j < n; j++) {
+                const cell = this.createCell(i, j);
+                this.grid.appendChild(cell);
+                row.push(cell);
+            }
+            this.cells.push(row);
+        }
+
+        if (this.selected && (this.selected[0] >= n || this.selected[1] >= n)) {
+            this.selected = null;
+        }
+        this.updateSelection();
+    }
+
+    createHeader(index) {
+        const header = document.createElement('div');
+        header.className = 'forceMatrixHeader';
+        header.style.backgroundColor = cssColor(this.species[index].color);
+        header.title = `Species ${index}`;
+        if (this.pickColor) {
+            header.title += ': click to change its color';
+            header.addEventListener('click', () => this.pickColor(index, this.species[index].color));
+        }
+        return header;
+    }
+
+    createCell(i, j) {
+        const cell = document.createElement('div');
+        cell.className = 'forceMatrixCell';
+        cell.appendChild(document.createElement('div')); // Radius indicator
+
+        cell.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            cell.setPointerCapture(e.pointerId);
+            this.select(i, j);
+            const force = this.species[i].forces[j];
+            this.drag = { x: e.clientX, y: e.clientY, strength: force.strength, radius: force.radius };
+        });
+        cell.addEventListener('pointermove', (e) => {
+            if (!this.drag || !cell.hasPointerCapture(e.pointerId)) return;
+            const scale = e.shiftKey ? FINE_FACTOR : 1.0;
+            this.editSelected({
+                strength: this.drag.strength + (e.clientX - this.drag.x) * STRENGTH_PER_PIXEL * scale,
+                radius: this.drag.radius - (e.clientY - this.drag.y) * RADIUS_PER_PIXEL * scale,
+            });
+        });
+        const endDrag = () => {
+            this.drag = null;
+        };
+        cell.addEventListener('pointerup', endDrag);
+        cell.addEventListener('pointercancel', endDrag);
+
+        this.updateCell(i, j, cell);
+        return cell;
+    }
+
+    updateCell(i, j, cell = this.cells[i][j]) {
+        const force = this.species[i].forces[j];
+        const intensity = Math.min(Math.abs(force.strength) / MAX_FORCE_STRENGTH, 1.0);
+        cell.style.backgroundColor = force.strength >= 0
+            ? `rgba(40, 200, 80, ${intensity})`
+            : `rgba(220, 40, 40, ${intensity})`;
+
+        const indicator = cell.firstChild;
+        const size = 100 * Math.min(force.radius / MAX_FORCE_RADIUS, 1.0);
+        indicator.style.width = `${size}%`;
+        indicator.style.height = `${size}%`;
+
+        cell.title = `${i} ← ${j}: strength ${force.strength.toFixed(1)}, radius ${force.radius.toFixed(1)}`;
+    }
+
+    select(i, j) {
+        this.selected = [i, j];
+        this.updateSelection();
+    }
+
+    updateSelection() {
+        for (const row of this.cells) {
+            for (const cell of row) cell.classList.remove('selected');
+        }
+
+        const enabled = this.selected !== null;
+        if (this.strengthSlider) this.strengthSlider.disabled = !enabled;
+        if (this.radiusSlider) this.radiusSlider.disabled = !enabled;
+
+        if (!enabled) {
+            if (this.strengthText) this.strengthText.innerText = 'Strength: select a cell';
+            if (this.radiusText) this.radiusText.innerText = 'Radius: select a cell';
+            return;
+        }
+
+        const [i, j] = this.selected;
+        this.cells[i][j].classList.add('selected');
+
+        const force = this.species[i].forces[j];
+        if (this.strengthSlider) this.strengthSlider.value = String(force.strength);
+        if (this.radiusSlider) this.radiusSlider.value = String(force.radius);
+        if (this.strengthText) this.strengthText.innerText = `Strength ${i} ← ${j}: ${force.strength.toFixed(1)}`;
+        if (this.radiusText) this.radiusText.innerText = `Radius ${i} ← ${j}: ${force.radius.toFixed(1)}`;
+    }
+
+    // Apply a change to the selected entry (mirrored when symmetric forces are on)
+    editSelected(change) {
+        if (!this.selected || !this.species) return;
+
+        const [i, j] = this.selected;
+        const force = { ...this.species[i].forces[j], ...change };
+        force.strength = Math.min(Math.max(force.strength, -MAX_FORCE_STRENGTH), MAX_FORCE_STRENGTH);
+        force.radius = Math.min(Math.max(force.radius, 0.0), MAX_FORCE_RADIUS);
+        force.collisionRadius = Math.min(force.collisionRadius, force.radius);
+
+        const symmetric = document.getElementById('symmetricForces')?.checked ?? false;
+        const targets = symmetric && i !== j ? [[i, j], [j, i]] : [[i, j]];
+
+        for (const [a, b] of targets) {
+            this.species[a].forces[b] = { ...force };
+            this.exports.setForce(a, b, force.strength, force.radius, force.collisionStrength, force.collisionRadius);
+            this.updateCell(a, b);
+        }
+        this.updateSelection();
+    }
+}
@@ -0,0 +1,67 @@
+// Species palettes for Zig Particle Life
+// Picks the species colors: random (like the reference), evenly spaced hues, or the colorblind-safe
+// Okabe-Ito and viridis sets, generated in WASM (system.generateSpeciesColors). Single species are
+// recolored by clicking their swatch in the force matrix. Either way the colors change live.
+
+// system.Palette in src/particle_life/system.zig, in value order
+export const PALETTES = [
+    { id: 'random', label: 'Random colors' },
+    { id: 'hues', label: 'Evenly spaced hues' },
+    { id: 'okabeIto', label: 'Okabe-Ito (colorblind-safe)' },
+    { id: 'viridis', label: 'Viridis (colorblind-safe)' },
+];
+
+// Species colors are linear with a 2.2 gamma (see cssColor); color inputs take sRGB hex
+export function colorToHex(color) {
+    const channel = (c) => Math.round(255 * Math.pow(Math.min(Math.max(c, 0), 1), 1.0 / 2.2));
+    return `#${color.slice(0, 3).map((c) => channel(c).toString(16).padStart(2, '0')).join('')}`;
+}
+
+export function hexToColor(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [16, 8, 0].map((shift) => Math.pow(((value >> shift) & 0xFF) / 255, 2.2));
+}
+
+export class PaletteEditor {
+    // onChange runs after any color changed, to redraw whatever shows species colors
+    constructor(exports, onChange) {
+        this.exports = exports;
+        this.onChange = onChange;
+        this.mode = 0;
+        this.select = document.getElementById('paletteSelect');
+        this.colorInput = document.getElementById('speciesColorInput');
+        this.editing = null; // Species index the color input edits
+
+        if (this.select) {
+            PALETTES.forEach((palette, index) => this.select.add(new Option(palette.label, String(index))));
+            this.select.addEventListener('change', () => this.setMode(Number(this.select.value)));
+        }
+        this.colorInput?.addEventListener('input', () => {
+            if (this.editing === null) return;
+            const [r, g, b] = hexToColor(this.colorInput.value);
+            this.exports.setSpeciesColor(this.editing, r, g, b, 1.0);
+            this.onChange();
+        });
+    }
+
+    // Recolor every species and use the palette for new systems
+    setMode(mode) {
+        if (!PALETTES[mode]) return;
+        this.mode = mode;
+        if (this.select) this.select.value = String(mode);
+        this.exports.setPalette(mode);
+        this.onChange();
+    }
+
+    // Open the color picker for one species; `color` is its current color
+    pickColor(index, color) {
+        if (!this.colorInput) return;
+        this.editing = index;
+        this.colorInput.value = colorToHex(color);
+        if (this.colorInput.showPicker) {
+            this.colorInput.showPicker();
+        } else {
+            this.colorInput.click();
+        }
+    }
+}
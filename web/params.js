@@ -0,0 +1,69 @@
+// Parameter schema for Zig Particle Life
+// WASM describes its tunable parameters (src/webutils/params.zig): name, setParam key, type, range,
+// default and whether changing it rebuilds the simulation. The tools panel, keyboard nudges,
+// URL fragments and system files are generated from that description.
+
+import { requireExports } from './bridge.js';
+
+// The schema of the loaded module, with every optional field filled in
+export function readParamSchema(exports) {
+    requireExports(exports, 'getParamSchemaPtr', 'getParamSchemaLen', 'setParam');
+    const bytes = new Uint8Array(exports.memory.buffer, exports.getParamSchemaPtr(), exports.getParamSchemaLen());
+    const schema = JSON.parse(new TextDecoder().decode(bytes));
+    return schema.map((param) => ({ restart: false, log2: false, unit: '', nudgeKeys: '', ...param }));
+}
+
+// Apply a parameter value in WASM
+export function setParam(exports, param, value) {
+    exports.setParam(param.key, value);
+}
+
+// Validate a value for a parameter: booleans from true/false, numbers clamped to the range
+// and int parameters snapped to their step; throws if the value is not a number, or for log2
+// parameters not a power of two (their slider can't show anything else)
+export function normalizeParam(param, value) {
+    if (param.type === 'bool') {
+        return value === true || value === 'true' || Number(value) > 0.5;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new Error(`Invalid ${param.label.toLowerCase()}`);
+    }
+    const clamped = Math.min(param.max, Math.max(param.min, number));
+    if (param.log2 && !Number.isInteger(Math.log2(clamped))) {
+        throw new Error(`Invalid ${param.label.toLowerCase()}: ${number} is not a power of two`);
+    }
+    return param.type === 'int' ? param.min + Math.round((clamped - param.min) / param.step) * param.step : clamped;
+}
+
+export function defaultParam(param) {
+    return param.type === 'bool' ? param.default > 0.5 : param.default;
+}
+
+// Value of a parameter a system file leaves out: files from the reference demo bounce off the borders,
+// while the controls start with looping borders (fileDefault in params.zig)
+export function fileDefaultParam(param) {
+    return normalizeParam(param, param.fileDefault ?? param.default);
+}
+
+// Value shown in the control label
+export function formatParam(param, value) {
+    if (param.type === 'bool') return `${param.label}: ${value ? 'on' : 'off'}`;
+    const decimals = param.type === 'float' && param.step < 1 ? Math.ceil(-Math.log10(param.step)) : 0;
+    return `${param.label}: ${value.toFixed(decimals)}${param.unit}`;
+}
+
+// Slider positions: log2 parameters move in powers of two, the rest directly in their own units
+export function paramToSlider(param, value) {
+    return param.log2 ? Math.round(Math.log2(value)) : value;
+}
+
+export function sliderToParam(param, position) {
+    return param.log2 ? Math.round(Math.pow(2, position)) : position;
+}
+
+export function sliderRange(param) {
+    return param.log2
+        ? { min: Math.ceil(Math.log2(param.min)), max: Math.floor(Math.log2(param.max)), step: 1 }
+        : { min: param.min, max: param.max, step: param.step };
+}
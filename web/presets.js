@@ -0,0 +1,341 @@
+// Preset gallery for Zig Particle Life
+// A library of named systems (seed, parameters and optionally an explicit force matrix), each with a
+// thumbnail captured from the canvas. The library lives in localStorage and is exchanged as one JSON file.
+
+import { validateSystem } from './system.js';
+import { download } from './recorder.js';
+
+const STORAGE_KEY = 'zig-particle-life-presets';
+
+// Version written into exported library files
+const LIBRARY_FILE_VERSION = 1;
+
+// Thumbnail size in pixels (16:9, twice the size shown in the panel for high-DPI screens)
+const THUMBNAIL_WIDTH = 128;
+const THUMBNAIL_HEIGHT = 72;
+
+// Presets without a thumbnail get one this long after they are applied, once the system has formed
+const THUMBNAIL_DELAY_MS = 3000;
+
+// === Built-in Presets ===
+
+// Evenly spaced saturated hues, gamma-corrected like the generated species colors
+function hueColors(n) {
+    return Array.from({ length: n }, (_, i) => {
+        const h = (i / n) * 6;
+        const x = 1 - Math.abs((h % 2) - 1);
+        const rgb = [[1, x, 0], [x, 1, 0], [0, 1, x], [0, x, 1], [x, 0, 1], [1, 0, x]][Math.floor(h)];
+        return [...rgb.map((c) => Math.pow(0.25 + 0.75 * c, 2.2)), 1.0];
+    });
+}
+
+// Species for a hand-written matrix: strength(i, j) is the force species i feels from species j
+// Collision strength and radius follow the proportions of generateForceMatrix in system.zig
+function matrixSpecies(n, radius, strength) {
+    return hueColors(n).map((color, i) => ({
+        color,
+        forces: Array.from({ length: n }, (_, j) => {
+            const s = strength(i, j);
+            return { strength: s, radius, collisionStrength: 10 * Math.max(Math.abs(s), 20), collisionRadius: radius / 4 };
+        }),
+        spawnWeight: 1.0,
+    }));
+}
+
+const BUILTIN_PRESETS = [
+    {
+        name: 'Primordial soup',
+        system: { seed: 1, particleCount: 65536, speciesCount: 6, width: 1024, height: 1024, friction: 10, centralForce: 0, symmetricForces: false, loopingBorders: true },
+    },
+    {
+        name: 'Sparse galaxy',
+        system: { seed: 7, particleCount: 16384, speciesCount: 8, width: 2048, height: 2048, friction: 5, centralForce: 0.5, symmetricForces: false, loopingBorders: false },
+    },
+    {
+        name: 'Dense swarm',
+        system: { seed: 42, particleCount: 262144, speciesCount: 4, width: 1024, height: 1024, friction: 20, centralForce: 0, symmetricForces: false, loopingBorders: true },
+    },
+    {
+        // Each species follows the next one around the hue circle and shies away from the previous one
+        name: 'Chains',
+        system: {
+            seed: 3, particleCount: 65536, speciesCount: 6, width: 1536, height: 1536, friction: 10, centralForce: 0, symmetricForces: false, loopingBorders: true,
+            species: matrixSpecies(6, 24, (i, j) => {
+                if (i === j) return 30;
+                if (j === (i + 1) % 6) return 60;
+                if (i === (j + 1) % 6) return -40;
+                return -15;
+            }),
+        },
+    },
+    {
+        // Like attracts like, everything else repels: species sort themselves into cells
+        name: 'Cells',
+        system: {
+            seed: 5, particleCount: 65536, speciesCount: 5, width: 1024, height: 1024, friction: 15, centralForce: 0, symmetricForces: true, loopingBorders: true,
+            species: matrixSpecies(5, 20, (i, j) => (i === j ? 50 : -30)),
+        },
+    },
+    {
+        // Rock, paper, scissors: every species chases one and flees from the other
+        name: 'Pursuit',
+        system: {
+            seed: 9, particleCount: 131072, speciesCount: 3, width: 2048, height: 2048, friction: 5, centralForce: 0, symmetricForces: false, loopingBorders: true,
+            species: matrixSpecies(3, 32, (i, j) => {
+                if (i === j) return 10;
+                return j === (i + 1) % 3 ? 70 : -70;
+            }),
+        },
+    },
+];
+
+function newId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Validate one preset from storage or an imported file; throws on malformed input
+function validatePreset(data, index, schema) {
+    if (typeof data !== 'object' || data === null) {
+        throw new Error(`Preset ${index} is not an object`);
+    }
+    let system;
+    try {
+        system = validateSystem(data.system, schema, { requireSpecies: false });
+    } catch (err) {
+        throw new Error(`Preset ${index}: ${err.message}`);
+    }
+    return {
+        id: typeof data.id === 'string' ? data.id : newId(),
+        name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : `Preset ${index + 1}`,
+        system,
+        thumbnail: typeof data.thumbnail === 'string' && data.thumbnail.startsWith('data:image/') ? data.thumbnail : null,
+    };
+}
+
+// === Library ===
+
+export class PresetLibrary {
+    constructor(schema) {
+        this.schema = schema;
+        this.presets = this.load() ?? BUILTIN_PRESETS.map((preset, i) => validatePreset(preset, i, schema));
+    }
+
+    // Stored presets, or null on a first visit (or if storage is unavailable)
+    load() {
+        try {
+            const text = localStorage.getItem(STORAGE_KEY);
+            if (!text) return null;
+            return JSON.parse(text).map((preset, i) => validatePreset(preset, i, this.schema));
+        } catch (err) {
+            console.warn('Ignoring stored presets:', err);
+            return null;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.presets));
+        } catch (err) {
+            // Usually the quota; thumbnails are the bulk of the library
+            console.warn('Could not save presets:', err);
+        }
+    }
+
+    get(id) {
+        return this.presets.find((preset) => preset.id === id) ?? null;
+    }
+
+    add(name, system, thumbnail = null) {
+        const preset = validatePreset({ name, system, thumbnail }, this.presets.length, this.schema);
+        this.presets.push(preset);
+        this.save();
+        return preset;
+    }
+
+    rename(id, name) {
+        const preset = this.get(id);
+        if (preset && name.trim()) {
+            preset.name = name.trim();
+            this.save();
+        }
+    }
+
+    remove(id) {
+        this.presets = this.presets.filter((preset) => preset.id !== id);
+        this.save();
+    }
+
+    setThumbnail(id, thumbnail) {
+        const preset = this.get(id);
+        if (preset) {
+            preset.thumbnail = thumbnail;
+            this.save();
+        }
+    }
+
+    serialize() {
+        const presets = this.presets.map(({ name, system, thumbnail }) => ({ name, system, thumbnail }));
+        return JSON.stringify({ version: LIBRARY_FILE_VERSION, presets }, null, 2);
+    }
+
+    // Append the presets of an exported library file; throws on malformed input
+    // Returns the number of presets added
+    import(text) {
+        const data = JSON.parse(text);
+        if (!Array.isArray(data?.presets)) {
+            throw new Error('Preset file has no presets');
+        }
+        if (data.version !== undefined && data.version > LIBRARY_FILE_VERSION) {
+            throw new Error(`Unsupported preset file version ${data.version}`);
+        }
+
+        // Validate everything before adding anything; imported presets always get fresh ids
+        const imported = data.presets.map((preset, i) => validatePreset({ ...preset, id: undefined }, i, this.schema));
+        this.presets.push(...imported);
+        this.save();
+        return imported.length;
+    }
+}
+
+// === Gallery Panel ===
+
+export class PresetGallery {
+    // apply(system) loads a system, describe() returns the running one,
+    // captureThumbnail(width, height) resolves to a data URL of the next frame
+    constructor(library, { apply, describe, captureThumbnail }) {
+        this.library = library;
+        this.apply = apply;
+        this.describe = describe;
+        this.captureThumbnail = captureThumbnail;
+        this.list = document.getElementById('presetList');
+        this.applied = null; // Id of the preset applied last
+        this.thumbnailTimer = null;
+
+        const importInput = document.getElementById('importPresetsInput');
+        document.getElementById('addPresetButton')?.addEventListener('click', () => this.addCurrent());
+        document.getElementById('exportPresetsButton')?.addEventListener('click', () => this.exportLibrary());
+        document.getElementById('importPresetsButton')?.addEventListener('click', () => importInput?.click());
+        importInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importLibrary(file);
+            e.target.value = ''; // Allow importing the same file again
+        });
+
+        this.render();
+    }
+
+    render() {
+        if (!this.list) return;
+
+        if (this.library.presets.length === 0) {
+            this.list.innerText = 'No presets yet';
+            return;
+        }
+        this.list.replaceChildren(...this.library.presets.map((preset) => this.createItem(preset)));
+    }
+
+    createItem(preset) {
+        const item = document.createElement('div');
+        item.className = 'presetItem';
+        item.classList.toggle('selected', preset.id === this.applied);
+        item.title = `Apply ${preset.name}`;
+        item.addEventListener('click', () => this.applyPreset(preset.id));
+
+        const thumbnail = document.createElement(preset.thumbnail ? 'img' : 'div');
+        thumbnail.className = 'presetThumbnail';
+        if (preset.thumbnail) thumbnail.src = preset.thumbnail;
+
+        const name = document.createElement('span');
+        name.className = 'presetName';
+        name.innerText = preset.name;
+
+        const action = (symbol, title, handler) => {
+            const button = document.createElement('span');
+            button.className = 'presetAction';
+            button.innerHTML = symbol;
+            button.title = title;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                handler();
+            });
+            return button;
+        };
+
+        item.append(
+            thumbnail,
+            name,
+            action('&#9998;', 'Rename', () => this.renamePreset(preset.id)),
+            action('&#10005;', 'Delete', () => this.deletePreset(preset.id)),
+        );
+        return item;
+    }
+
+    applyPreset(id) {
+        const preset = this.library.get(id);
+        if (!preset) return;
+
+        this.apply(preset.system);
+        this.applied = id;
+        this.render();
+
+        clearTimeout(this.thumbnailTimer);
+        if (!preset.thumbnail) {
+            this.thumbnailTimer = setTimeout(() => {
+                if (this.applied === id) this.updateThumbnail(id);
+            }, THUMBNAIL_DELAY_MS);
+        }
+    }
+
+    // A preset whose frame can't be captured just stays without a thumbnail
+    async updateThumbnail(id) {
+        try {
+            this.library.setThumbnail(id, await this.captureThumbnail(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT));
+            this.render();
+        } catch (err) {
+            console.warn('No preset thumbnail:', err.message);
+        }
+    }
+
+    addCurrent() {
+        const name = prompt('Preset name', `Preset ${this.library.presets.length + 1}`);
+        if (name === null) return;
+
+        const preset = this.library.add(name, this.describe());
+        this.applied = preset.id;
+        this.render();
+        this.updateThumbnail(preset.id);
+    }
+
+    renamePreset(id) {
+        const preset = this.library.get(id);
+        const name = preset && prompt('Rename preset', preset.name);
+        if (name) {
+            this.library.rename(id, name);
+            this.render();
+        }
+    }
+
+    deletePreset(id) {
+        const preset = this.library.get(id);
+        if (preset && confirm(`Delete preset "${preset.name}"?`)) {
+            this.library.remove(id);
+            if (this.applied === id) this.applied = null;
+            this.render();
+        }
+    }
+
+    exportLibrary() {
+        const blob = new Blob([this.library.serialize()], { type: 'application/json' });
+        download(blob, 'particle-life-presets.json');
+    }
+
+    async importLibrary(file) {
+        try {
+            this.library.import(await file.text());
+            this.render();
+        } catch (err) {
+            console.error(`Error importing presets: ${err.message}`);
+            alert(`Could not import ${file.name}: ${err.message}`);
+        }
+    }
+}
@@ -0,0 +1,171 @@
+// GPU pass profiling for Zig Particle Life
+// Uses timestamp queries (like QueryHelper in the reference demo) when the device has 'timestamp-query',
+// and keeps rolling averages of CPU frame timing either way
+
+// Timed passes, in frame order; Zig labels its passes with these names
+export const GPU_PASSES = ['bin clear', 'bin fill', 'prefix sum', 'sort', 'forces', 'advance', 'glow', 'circle', 'compose'];
+
+// Frames averaged in the rolling breakdown
+const WINDOW = 60;
+
+// Query sets in flight before new frames go untimed (the reference demo keeps a similar free list)
+const MAX_PENDING = 3;
+
+// Pass instances one query set can time: a frame runs the compute passes once per step and substep,
+// so each instance gets its own pair of queries (4096 queries is the most a query set may hold)
+const MAX_TIMED_PASSES = 2048;
+
+class RollingAverage {
+    constructor() {
+        this.samples = [];
+    }
+
+    add(value) {
+        this.samples.push(value);
+        if (this.samples.length > WINDOW) this.samples.shift();
+    }
+
+    get value() {
+        if (this.samples.length === 0) return null;
+        return this.samples.reduce((sum, v) => sum + v, 0) / this.samples.length;
+    }
+}
+
+function formatMs(ms) {
+    return ms === null ? '   --- ms' : `${ms.toFixed(2).padStart(6)} ms`;
+}
+
+export function createProfiler(device) {
+    const gpuSupported = device.features.has('timestamp-query');
+    const queryCount = MAX_TIMED_PASSES * 2;
+
+    const freeQueries = [];
+    let current = null; // Query set collecting the frame being recorded
+    let pending = 0; // Query sets waiting for readback
+
+    const gpuTimes = new Map(GPU_PASSES.map((name) => [name, new RollingAverage()]));
+    const cpuUpdate = new RollingAverage();
+    const cpuFrame = new RollingAverage();
+
+    function createQueries() {
+        return {
+            querySet: device.createQuerySet({ type: 'timestamp', count: queryCount }),
+            resolveBuffer: device.createBuffer({
+                size: 8 * queryCount,
+                usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC,
+            }),
+            readBuffer: device.createBuffer({
+                size: 8 * queryCount,
+                usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+            }),
+            written: [], // GPU_PASSES index of each timed pass instance, in query order
+            overflowed: false, // Some passes went untimed, so the frame's sums would be short
+        };
+    }
+
+    function acquire() {
+        if (current) return current;
+        if (freeQueries.length > 0) {
+            current = freeQueries.pop();
+        } else if (pending < MAX_PENDING) {
+            current = createQueries();
+        }
+        return current;
+    }
+
+    return {
+        gpuSupported,
+
+        // timestampWrites for a pass descriptor, or undefined for untimed passes
+        timestampWrites(label) {
+            if (!gpuSupported) return undefined;
+
+            const index = GPU_PASSES.indexOf(label);
+            const queries = index >= 0 ? acquire() : null;
+            if (!queries) return undefined;
+            if (queries.written.length === MAX_TIMED_PASSES) {
+                queries.overflowed = true;
+                return undefined;
+            }
+
+            const slot = queries.written.length;
+            queries.written.push(index);
+            return {
+                querySet: queries.querySet,
+                beginningOfPassWriteIndex: slot * 2,
+                endOfPassWriteIndex: slot * 2 + 1,
+            };
+        },
+
+        // Resolve this frame's timestamps into the encoder that is about to be submitted last
+        // Returns the queries to hand to collect() after the submit
+        resolve(encoder) {
+            const queries = current;
+            current = null;
+            if (!queries) return null;
+
+            const used = queries.written.length * 2;
+            encoder.resolveQuerySet(queries.querySet, 0, used, queries.resolveBuffer, 0);
+            encoder.copyBufferToBuffer(queries.resolveBuffer, 0, queries.readBuffer, 0, 8 * used);
+            pending++;
+            return queries;
+        },
+
+        // Read resolved timestamps back once the GPU is done with them, and add up each label's
+        // instances into one sample per frame
+        collect(queries) {
+            if (!queries) return;
+
+            const used = queries.written.length * 2;
+            queries.readBuffer.mapAsync(GPUMapMode.READ, 0, 8 * used).then(() => {
+                const times = new BigInt64Array(queries.readBuffer.getMappedRange(0, 8 * used));
+                const sums = new Map();
+                queries.written.forEach((index, slot) => {
+                    const ns = Number(times[slot * 2 + 1] - times[slot * 2]);
+                    // Timestamps may be quantized or reset; a nonsense instance spoils its label's sum
+                    const sum = sums.has(index) ? sums.get(index) : 0;
+                    sums.set(index, ns >= 0 && sum !== null ? sum + ns : null);
+                });
+                if (!queries.overflowed) {
+                    for (const [index, ns] of sums) {
+                        if (ns !== null) gpuTimes.get(GPU_PASSES[index]).add(ns / 1e6);
+                    }
+                }
+                queries.readBuffer.unmap();
+                queries.written = [];
+                queries.overflowed = false;
+                freeQueries.push(queries);
+            }).catch(() => {
+                // Device lost or destroyed; the buffers are gone with it
+            }).finally(() => {
+                pending--;
+            });
+        },
+
+        recordCpuFrame(updateMs, frameMs) {
+            cpuUpdate.add(updateMs);
+            cpuFrame.add(frameMs);
+        },
+
+        // Text for the debug panel
+        format() {
+            const lines = [];
+            if (gpuSupported) {
+                // Compute passes run once per step and substep; their times are summed per frame
+                lines.push(`GPU passes (all steps of a frame, avg of ${WINDOW} frames):`);
+                let total = 0;
+                for (const name of GPU_PASSES) {
+                    const ms = gpuTimes.get(name).value;
+                    total += ms ?? 0;
+                    lines.push(`  ${name.padEnd(11)}${formatMs(ms)}`);
+                }
+                lines.push(`  ${'total'.padEnd(11)}${formatMs(total)}`);
+            } else {
+                lines.push('GPU timing unavailable (no timestamp-query)');
+            }
+            lines.push(`CPU update()${formatMs(cpuUpdate.value)}`);
+            lines.push(`CPU frame   ${formatMs(cpuFrame.value)}`);
+            return lines.join('\n');
+        },
+    };
+}
@@ -0,0 +1,198 @@
+// Canvas recording for Zig Particle Life
+// Records the canvas to WebM with MediaRecorder, and saves PNG screenshots and preset thumbnails
+//
+// Real-time mode lets captureStream sample the canvas at the chosen frame rate.
+// Deterministic mode puts the scheduler in lockstep: every captured frame requests the same whole
+// number of fixed steps (closest to 1/fps of simulated time) and hands the frame to the stream
+// explicitly, so what the clip shows does not depend on timers or on how fast the machine renders.
+// The recorder stays paused except for 1/fps of wall time around each frame, which only sets how
+// long each frame lasts in the video.
+
+// Preferred containers/codecs, best first
+const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Firefox and Safari start the download after click() returns; revoking the URL at once can cancel it
+const REVOKE_DELAY_MS = 10000;
+
+export function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
+
+export function timestampName(prefix, extension) {
+    const time = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    return `${prefix}-${time}.${extension}`;
+}
+
+// Draw `source` into a width × height 2D context, scaled to cover it and center-cropped
+export function drawCropped(context, source, width, height) {
+    const { width: sourceWidth, height: sourceHeight } = source;
+    const scale = Math.max(width / sourceWidth, height / sourceHeight);
+    const cropWidth = width / scale;
+    const cropHeight = height / scale;
+    context.drawImage(source,
+        (sourceWidth - cropWidth) / 2, (sourceHeight - cropHeight) / 2, cropWidth, cropHeight,
+        0, 0, width, height);
+}
+
+export class CanvasRecorder {
+    // `scheduler` (a FixedStepScheduler) runs the fixed steps of deterministic recordings
+    constructor(canvas, scheduler) {
+        this.canvas = canvas;
+        this.scheduler = scheduler;
+        this.mediaRecorder = null;
+        this.track = null;
+        this.chunks = [];
+        this.recording = null; // Blob of the last finished recording
+        this.fps = 60;
+        this.deterministic = false;
+        this.frameInFlight = false; // Deterministic mode: recorder running for the current frame
+        this.frames = 0;
+        this.startTime = 0;
+        this.screenshotRequested = false;
+        this.thumbnailRequests = []; // {width, height, resolve} waiting for the next frame
+        this.onChange = null; // Called when recording starts, stops or finishes encoding
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    // Whether start() can record video (RemoteRecorder can only take screenshots)
+    get canRecord() {
+        return CanvasRecorder.isSupported();
+    }
+
+    get isRecording() {
+        return this.mediaRecorder !== null && this.mediaRecorder.state !== 'inactive';
+    }
+
+    // Elapsed recording time in seconds (video time in deterministic mode)
+    get elapsed() {
+        return this.deterministic ? this.frames / this.fps : (performance.now() - this.startTime) / 1000;
+    }
+
+    start({ fps = this.fps, deterministic = this.deterministic } = {}) {
+        if (this.isRecording) return;
+        if (!CanvasRecorder.isSupported()) {
+            throw new Error('Recording needs MediaRecorder and canvas.captureStream()');
+        }
+        if (deterministic && !this.scheduler) {
+            throw new Error('Deterministic recording needs the fixed-step scheduler');
+        }
+
+        this.fps = fps;
+        this.deterministic = deterministic;
+
+        // A zero frame rate means frames are only captured on requestFrame()
+        const stream = this.canvas.captureStream(deterministic ? 0 : fps);
+        this.track = stream.getVideoTracks()[0];
+
+        const mimeType = MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) ?? '';
+        this.mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+        this.chunks = [];
+        this.mediaRecorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size > 0) this.chunks.push(e.data);
+        });
+        this.mediaRecorder.addEventListener('stop', () => {
+            this.recording = new Blob(this.chunks, { type: this.mediaRecorder.mimeType || 'video/webm' });
+            this.chunks = [];
+            this.track.stop();
+            if (this.scheduler) this.scheduler.lockstep = false;
+            this.mediaRecorder = null;
+            this.track = null;
+            this.onChange?.();
+        });
+
+        this.mediaRecorder.start(1000); // Flush a chunk every second so long clips don't pile up in one buffer
+        if (deterministic) {
+            this.mediaRecorder.pause();
+            this.scheduler.lockstep = true;
+        }
+        this.startTime = performance.now();
+        this.frameInFlight = false;
+        this.frames = 0;
+        this.onChange?.();
+    }
+
+    stop() {
+        if (!this.isRecording) return;
+        this.mediaRecorder.stop(); // The 'stop' event finishes the blob
+        this.onChange?.();
+    }
+
+    toggle(options) {
+        if (this.isRecording) {
+            this.stop();
+        } else {
+            this.start(options);
+        }
+    }
+
+    downloadRecording() {
+        if (this.recording) {
+            download(this.recording, timestampName('particle-life', 'webm'));
+        }
+    }
+
+    // Save the next rendered frame as PNG (the WebGPU canvas is only readable right after present)
+    requestScreenshot() {
+        this.screenshotRequested = true;
+    }
+
+    // JPEG data URL of the next rendered frame, center-cropped and scaled to width × height
+    requestThumbnail(width, height) {
+        return new Promise((resolve) => this.thumbnailRequests.push({ width, height, resolve }));
+    }
+
+    // Fixed steps per captured frame in deterministic mode
+    get stepsPerFrame() {
+        return Math.max(1, Math.round(1 / (this.fps * this.scheduler.stepDt)));
+    }
+
+    // dt to simulate this animation frame, or null to skip it while a captured frame is showing
+    // In deterministic mode every frame requests the same number of fixed steps (none while paused)
+    frameDt(dt, paused) {
+        if (!this.isRecording || !this.deterministic) return dt;
+        if (this.frameInFlight) return null;
+        if (!paused) this.scheduler.requestSteps(this.stepsPerFrame);
+        return 0;
+    }
+
+    // Call right after the frame was rendered and presented
+    afterFrame(simulated) {
+        if (simulated && this.isRecording && this.deterministic) {
+            this.frameInFlight = true;
+            this.frames++;
+            this.mediaRecorder.resume();
+            this.track.requestFrame();
+            setTimeout(() => {
+                if (this.isRecording) this.mediaRecorder.pause();
+                this.frameInFlight = false;
+            }, 1000 / this.fps);
+        }
+
+        if (this.screenshotRequested) {
+            this.screenshotRequested = false;
+            this.canvas.toBlob((blob) => {
+                if (blob) download(blob, timestampName('particle-life', 'png'));
+            }, 'image/png');
+        }
+
+        for (const { width, height, resolve } of this.thumbnailRequests.splice(0)) {
+            resolve(this.thumbnail(width, height));
+        }
+    }
+
+    thumbnail(width, height) {
+        const thumbnail = document.createElement('canvas');
+        thumbnail.width = width;
+        thumbnail.height = height;
+        drawCropped(thumbnail.getContext('2d'), this.canvas, width, height);
+        return thumbnail.toDataURL('image/jpeg', 0.8);
+    }
+}
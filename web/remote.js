@@ -0,0 +1,349 @@
+// Page side of the simulation worker for Zig Particle Life
+// Stands in for the WASM exports, the scheduler and the recorder the UI normally uses, forwarding
+// everything to worker.js. Calls are posted and return nothing; the getters the UI needs
+// (seed, pause state, species, forces and population stats) read a mirror the worker refreshes
+// after every change.
+
+import { requireExports } from './bridge.js';
+import { SPEED_RANGE } from './scheduler.js';
+import { download, timestampName } from './recorder.js';
+import { FORCE_FLOATS, SPECIES_FLOATS } from './system.js';
+import { STATS_BYTES } from './stats.js';
+
+// How long the worker gets to report whether it can render
+const PROBE_TIMEOUT_MS = 5000;
+
+// Mirror layout: population stats, species colors, then forces, after a few unused bytes so no
+// pointer is 0 (readSpecies takes a 0 pointer to mean the simulation isn't initialized)
+const MIRROR_OFFSET = 16;
+const SPECIES_OFFSET = MIRROR_OFFSET + STATS_BYTES;
+
+// ?worker=1 moves the simulation into a worker; it stays on the main thread by default, where
+// video recording works
+export function workerFromQuery(search) {
+    return new URLSearchParams(search).get('worker') === '1';
+}
+
+// Start the worker and check it can render with WebGPU; resolves to the worker, or null to
+// stay on the main thread. Checked before the canvas is transferred, as that can't be undone.
+export async function startWorker(canvas, powerPreference) {
+    if (typeof Worker === 'undefined' || !canvas.transferControlToOffscreen) return null;
+
+    let worker;
+    try {
+        worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+        console.warn('Could not start the simulation worker:', err);
+        return null;
+    }
+
+    const reason = await new Promise((resolve) => {
+        const timer = setTimeout(() => resolve('the worker did not answer'), PROBE_TIMEOUT_MS);
+        worker.onmessage = (e) => {
+            clearTimeout(timer);
+            resolve(e.data.reason);
+        };
+        worker.onerror = (e) => {
+            clearTimeout(timer);
+            resolve(e.message || 'the worker failed to load');
+        };
+        worker.postMessage({ type: 'probe', powerPreference });
+    });
+
+    worker.onmessage = null;
+    worker.onerror = null;
+    if (reason) {
+        console.warn(`Running on the main thread: ${reason}`);
+        worker.terminate();
+        return null;
+    }
+    return worker;
+}
+
+export class RemoteSimulation {
+    // hooks: status(text), fps(fps), debug(text), gpuError(message), unsupported(reason),
+    // reload(), systemChanged() (species and forces were replaced), colorsChanged() (only colors were, e.g. by setPalette)
+    constructor(worker, hooks) {
+        this.worker = worker;
+        this.hooks = hooks;
+        this.exports = null;
+        this.scheduler = new RemoteScheduler((message) => this.post(message));
+        this.recorder = new RemoteRecorder((kind, width, height) => this.capture(kind, width, height));
+        this.mirror = {
+            version: 0,
+            seed: 0,
+            paused: false,
+            speciesCount: 0,
+            speciesPtr: 0,
+            forcesPtr: 0,
+            statsPtr: MIRROR_OFFSET,
+            buffer: new ArrayBuffer(SPECIES_OFFSET),
+        };
+        this.requests = new Map(); // id -> {resolve, reject} for captures and inspections
+        this.nextRequestId = 1;
+        this.ready = null; // Resolves init() with the parameter schema and device limits
+
+        worker.addEventListener('message', (e) => this.onMessage(e.data));
+        worker.addEventListener('error', (e) => hooks.status(`Worker error: ${e.message}`));
+    }
+
+    post(message, transfer = []) {
+        this.worker.postMessage(message, transfer);
+    }
+
+    // Transfer the canvas and load WASM in the worker
+    // Resolves to {params, maxTextureSize}: the parameter schema and the largest drawing buffer side
+    init(canvas, powerPreference) {
+        const offscreen = canvas.transferControlToOffscreen();
+        return new Promise((resolve, reject) => {
+            this.ready = { resolve, reject };
+            this.post({ type: 'init', canvas: offscreen, powerPreference }, [offscreen]);
+        });
+    }
+
+    // Drawing buffer size in pixels
+    resize(width, height) {
+        this.post({ type: 'resize', width, height });
+    }
+
+    start() {
+        this.post({ type: 'start' });
+    }
+
+    capture(kind, width, height) {
+        return this.request({ type: 'capture', kind, width, height });
+    }
+
+    // Inspect and highlight a particle (see inspect.js); resolves to the result or null
+    inspect(x, y, options) {
+        return this.request({ type: 'inspect', x, y, options });
+    }
+
+    // Every particle (Float32Array of particle.Particle values), or null (see snapshot.js)
+    snapshotParticles() {
+        return this.request({ type: 'snapshot' });
+    }
+
+    // Rebuild the simulation with the given particles; false before the worker is ready
+    loadParticles(particles) {
+        if (!this.exports) return false;
+        requireExports(this.exports, 'allocParticles', 'loadParticles');
+        this.post({ type: 'loadParticles', particles });
+        return true;
+    }
+
+    // Species image for the image layout (see layouts.js); false before the worker is ready
+    setLayoutImage(image) {
+        if (!this.exports) return false;
+        requireExports(this.exports, 'allocLayoutImage');
+        this.post({ type: 'layoutImage', image });
+        return true;
+    }
+
+    // Post a message the worker answers with the same id
+    request(message) {
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.requests.set(id, { resolve, reject });
+            this.post({ ...message, id });
+        });
+    }
+
+    // Settle the request a 'captured', 'inspected' or 'snapshotted' message answers
+    answer(id, error, value) {
+        const request = this.requests.get(id);
+        this.requests.delete(id);
+        if (error) request?.reject(new Error(error));
+        else request?.resolve(value);
+    }
+
+    onMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                this.exports = this.createExports(message.exports);
+                this.ready?.resolve({ params: message.params, maxTextureSize: message.maxTextureSize });
+                break;
+            case 'state':
+                this.updateMirror(message);
+                break;
+            case 'stats':
+                new Uint8Array(this.mirror.buffer, this.mirror.statsPtr, STATS_BYTES).set(message.bytes);
+                break;
+            case 'captured':
+                this.answer(message.id, message.blob ? null : message.error ?? 'Capture failed', message.blob);
+                break;
+            case 'inspected':
+                this.answer(message.id, message.error, message.result);
+                break;
+            case 'snapshotted':
+                this.answer(message.id, message.error, message.particles);
+                break;
+            case 'status':
+                this.hooks.status(message.text);
+                break;
+            case 'fps':
+                this.hooks.fps(message.fps);
+                break;
+            case 'debug':
+                this.hooks.debug(message.text);
+                break;
+            case 'gpuError':
+                this.hooks.gpuError(message.message);
+                break;
+            case 'unsupported':
+                this.hooks.unsupported(message.reason);
+                break;
+            case 'reload':
+                this.hooks.reload();
+                break;
+            case 'error':
+                // Errors before 'ready' fail init(); later ones are only reported
+                if (!this.exports) this.ready?.reject(new Error(message.message));
+                else this.hooks.status(`Error: ${message.message}`);
+                break;
+        }
+    }
+
+    // Proxies for the module's exports: calls are posted, getters read the mirror
+    createExports(names) {
+        const exports = {};
+        for (const name of names) {
+            exports[name] = (...args) => this.post({ type: 'call', name, args });
+        }
+
+        const mirror = this.mirror;
+        const forward = (name, local) => {
+            const remote = exports[name];
+            exports[name] = (...args) => {
+                local(...args);
+                remote(...args);
+            };
+        };
+        const floats = (ptr, index, count) => new Float32Array(mirror.buffer, ptr + index * count * 4, count);
+
+        // Changes the UI reads straight back are applied to the mirror too
+        forward('setPaused', (paused) => { mirror.paused = Boolean(paused); });
+        forward('setSeed', (seed) => { mirror.seed = seed >>> 0; });
+        forward('setSpeciesColor', (i, ...color) => {
+            if (mirror.speciesPtr && i < mirror.speciesCount) floats(mirror.speciesPtr, i, SPECIES_FLOATS).set(color);
+        });
+        forward('setForce', (i, j, ...force) => {
+            const n = mirror.speciesCount;
+            if (mirror.forcesPtr && i < n && j < n) floats(mirror.forcesPtr, i * n + j, FORCE_FLOATS).set(force);
+        });
+
+        exports.getSeed = () => mirror.seed;
+        exports.isPaused = () => mirror.paused;
+        exports.getSpeciesCount = () => mirror.speciesCount;
+        exports.getSpeciesPtr = () => mirror.speciesPtr;
+        exports.getForcesPtr = () => mirror.forcesPtr;
+        exports.getStatsPtr = () => mirror.statsPtr;
+        Object.defineProperty(exports, 'memory', { get: () => ({ buffer: mirror.buffer }) });
+        return exports;
+    }
+
+    updateMirror({ version, seed, paused, colors, forces }) {
+        const mirror = this.mirror;
+        const changed = version !== mirror.version;
+        mirror.version = version;
+        mirror.seed = seed;
+        mirror.paused = paused;
+
+        const oldColors = mirror.speciesPtr ? new Float32Array(mirror.buffer, mirror.speciesPtr, mirror.speciesCount * SPECIES_FLOATS) : null;
+        const colorsChanged = !changed && colors && oldColors && (colors.length !== oldColors.length || colors.some((c, i) => c !== oldColors[i]));
+
+        if (colors && forces) {
+            const stats = new Uint8Array(mirror.buffer, mirror.statsPtr, STATS_BYTES);
+            mirror.buffer = new ArrayBuffer(SPECIES_OFFSET + colors.byteLength + forces.byteLength);
+            new Uint8Array(mirror.buffer, mirror.statsPtr, STATS_BYTES).set(stats);
+            mirror.speciesPtr = SPECIES_OFFSET;
+            mirror.forcesPtr = SPECIES_OFFSET + colors.byteLength;
+            mirror.speciesCount = colors.length / SPECIES_FLOATS;
+            new Float32Array(mirror.buffer, mirror.speciesPtr, colors.length).set(colors);
+            new Float32Array(mirror.buffer, mirror.forcesPtr, forces.length).set(forces);
+        } else {
+            mirror.speciesPtr = 0;
+            mirror.forcesPtr = 0;
+            mirror.speciesCount = 0;
+        }
+
+        if (changed) this.hooks.systemChanged();
+        else if (colorsChanged) this.hooks.colorsChanged?.();
+    }
+}
+
+// FixedStepScheduler interface; the worker runs the real one
+class RemoteScheduler {
+    constructor(post) {
+        this.post = post;
+        this.speed = 1;
+        this.stepSubsteps = 1;
+    }
+
+    get substeps() {
+        return this.stepSubsteps;
+    }
+
+    set substeps(substeps) {
+        this.stepSubsteps = substeps;
+        this.sync();
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.min(SPEED_RANGE[1], Math.max(SPEED_RANGE[0], speed));
+        this.sync();
+    }
+
+    requestSteps(count = 1) {
+        this.post({ type: 'steps', count });
+    }
+
+    sync() {
+        this.post({ type: 'scheduler', speed: this.speed, substeps: this.stepSubsteps });
+    }
+}
+
+// CanvasRecorder interface for a canvas rendered by the worker
+// Screenshots and thumbnails are taken by the worker; video needs the main thread (without ?worker=1)
+class RemoteRecorder {
+    constructor(capture) {
+        this.capture = capture;
+        this.recording = null;
+        this.fps = 60;
+        this.deterministic = false;
+        this.isRecording = false;
+        this.elapsed = 0;
+        this.onChange = null;
+    }
+
+    get canRecord() {
+        return false;
+    }
+
+    start() {
+        throw new Error('Recording video needs the simulation on the main thread; open the page without ?worker=1');
+    }
+
+    stop() {}
+
+    toggle(options) {
+        this.start(options);
+    }
+
+    downloadRecording() {}
+
+    requestScreenshot() {
+        this.capture('screenshot')
+            .then((blob) => download(blob, timestampName('particle-life', 'png')))
+            .catch((err) => console.error('Screenshot failed:', err));
+    }
+
+    requestThumbnail(width, height) {
+        return this.capture('thumbnail', width, height).then((blob) => new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        }));
+    }
+}
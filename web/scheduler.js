@@ -0,0 +1,56 @@
+// Fixed-timestep scheduler for Zig Particle Life
+// Accumulates real (speed-scaled) frame time and spends it in fixed physics steps,
+// so the simulation runs at the same rate on any refresh rate and catches up after slow frames
+
+export const SPEED_RANGE = [0.25, 8];
+
+// Requested steps run at most this many per frame, so stepping far ahead stays watchable
+const MAX_REQUESTED_STEPS_PER_FRAME = 8;
+
+export class FixedStepScheduler {
+    constructor({ stepDt = 1 / 60, substeps = 1, maxCatchUp = 0.05 } = {}) {
+        this.stepDt = stepDt; // Simulated seconds per step
+        this.substeps = substeps; // Physics calls per step, each advancing stepDt / substeps
+        this.maxCatchUp = maxCatchUp; // Real seconds a frame may make up for; time beyond it is dropped
+        this.speed = 1;
+        this.accumulator = 0;
+        this.pendingSteps = 0; // Steps requested while paused
+        this.lockstep = false; // Only requested steps run, as if paused (deterministic recording, see recorder.js)
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.min(SPEED_RANGE[1], Math.max(SPEED_RANGE[0], speed));
+    }
+
+    // Advance exactly `count` more steps over the next frames, even while paused
+    requestSteps(count = 1) {
+        this.pendingSteps += count;
+    }
+
+    // Run the steps owed for a frame of `dt` real seconds, calling stepFn(substepDt) for each substep
+    // Returns the number of steps taken
+    run(dt, paused, stepFn) {
+        let steps = 0;
+        if (paused || this.lockstep) {
+            // Paused time doesn't pile up for later
+            this.accumulator = 0;
+            steps = Math.min(this.pendingSteps, MAX_REQUESTED_STEPS_PER_FRAME);
+            this.pendingSteps -= steps;
+        } else {
+            this.pendingSteps = 0;
+            // Too far behind (slow frame, background tab): slow down instead of spiralling
+            const budget = Math.max(this.maxCatchUp * this.speed, this.stepDt);
+            this.accumulator = Math.min(this.accumulator + dt * this.speed, budget);
+            steps = Math.floor(this.accumulator / this.stepDt);
+            this.accumulator -= steps * this.stepDt;
+        }
+
+        const substepDt = this.stepDt / this.substeps;
+        for (let i = 0; i < steps; i++) {
+            for (let j = 0; j < this.substeps; j++) {
+                stepFn(substepDt);
+            }
+        }
+        return steps;
+    }
+}
@@ -0,0 +1,38 @@
+// Persisted settings for Zig Particle Life
+// Control values, panel visibility and the last system (seed included) are kept in localStorage,
+// so a refresh comes back to the same setup
+
+const STORAGE_KEY = 'zig-particle-life-settings';
+
+// Bump when the stored shape changes incompatibly; older settings are then ignored
+const VERSION = 1;
+
+// Stored settings, or null if there are none (or storage is unavailable, e.g. private browsing)
+export function loadSettings() {
+    try {
+        const text = localStorage.getItem(STORAGE_KEY);
+        if (!text) return null;
+        const settings = JSON.parse(text);
+        return settings?.version === VERSION ? settings : null;
+    } catch (err) {
+        console.warn('Ignoring stored settings:', err);
+        return null;
+    }
+}
+
+export function saveSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: VERSION, ...settings }));
+    } catch (err) {
+        // Quota exceeded or storage disabled; the next change tries again
+        console.warn('Could not save settings:', err);
+    }
+}
+
+export function clearSettings() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (err) {
+        console.warn('Could not clear settings:', err);
+    }
+}
@@ -0,0 +1,176 @@
+// Particle snapshots for Zig Particle Life
+// A snapshot is the exact simulation state: every particle (position, velocity, species) plus the
+// system it runs in (seed, parameters, species colors and forces). Loading one uploads the particles
+// as they are instead of scattering new ones, so a configuration can be resumed later or elsewhere.
+//
+// Binary file (.plsnap, little-endian):
+//     magic "PLSN", u32 version, u32 particle count, u32 species count,
+//     f32 width, f32 height, u32 seed, u32 system JSON length,
+//     system JSON (a system file, see system.js) padded to 4 bytes,
+//     particle count × particle.Particle (f32 x, y, vx, vy, species)
+// CSV file (for analysis, e.g. pandas.read_csv(path, comment='#')):
+//     "# particle-life-snapshot <version>" and "# system <JSON>" lines,
+//     then a header row "x,y,vx,vy,species" and one row per particle
+
+import { readBuffers, requireExports } from './bridge.js';
+import { serializeSystem, validateSystem } from './system.js';
+
+export const SNAPSHOT_VERSION = 1;
+
+const MAGIC = 'PLSN';
+const HEADER_BYTES = 32;
+
+// particle.Particle: x, y, vx, vy, species
+const PARTICLE_FLOATS = 5;
+const CSV_COLUMNS = ['x', 'y', 'vx', 'vy', 'species'];
+
+// === Simulation Side (host.js, runs in the worker in worker mode) ===
+
+// Copy of the live particles (particle.Particle × count), or null before the simulation exists
+// The GPU's live count is read along with them: after erasing, getParticleCount() still includes
+// stale copies of the erased particles until its readback lands
+export async function readParticles(exports, device, handles) {
+    const result = await readParticlesWith(exports, device, handles, []);
+    return result && result[0];
+}
+
+// readParticles() plus other { buffer, offset, size } ranges read in the same submission
+// Resolves to [particles, ...range data], or null before the simulation exists
+export async function readParticlesWith(exports, device, handles, ranges) {
+    requireExports(exports, 'getParticleBufferHandle', 'getParticleCountBufferHandle', 'getParticleCount');
+    const buffer = handles.get(exports.getParticleBufferHandle());
+    const countBuffer = handles.get(exports.getParticleCountBufferHandle());
+    const count = exports.getParticleCount();
+    if (!buffer || !countBuffer || !count) return null;
+
+    const [countData, data, ...rest] = await readBuffers(device, [
+        { buffer: countBuffer, offset: 0, size: 4 },
+        { buffer, offset: 0, size: count * PARTICLE_FLOATS * 4 },
+        ...ranges,
+    ]);
+    const liveCount = Math.min(count, new Uint32Array(countData)[0]);
+    return [data.slice(0, liveCount * PARTICLE_FLOATS * 4), ...rest];
+}
+
+// Rebuild the simulation with the given particles (a Float32Array of particle.Particle values)
+// Returns false if there is no room for them
+export function uploadParticles(exports, particles) {
+    requireExports(exports, 'allocParticles', 'loadParticles');
+    const count = particles.length / PARTICLE_FLOATS;
+    const ptr = exports.allocParticles(count);
+    if (!ptr) return false;
+    new Float32Array(exports.memory.buffer, ptr, particles.length).set(particles);
+    exports.loadParticles();
+    return true;
+}
+
+// === Files ===
+
+// system: a system description with species (see UI.getSystemDescription); particles: Float32Array
+export function encodeSnapshot(system, particles) {
+    const json = new TextEncoder().encode(serializeSystem(system));
+    const jsonPadded = Math.ceil(json.length / 4) * 4;
+    const bytes = new ArrayBuffer(HEADER_BYTES + jsonPadded + particles.byteLength);
+    const view = new DataView(bytes);
+
+    new Uint8Array(bytes, 0, 4).set(new TextEncoder().encode(MAGIC));
+    view.setUint32(4, SNAPSHOT_VERSION, true);
+    view.setUint32(8, particles.length / PARTICLE_FLOATS, true);
+    view.setUint32(12, system.species.length, true);
+    view.setFloat32(16, system.width, true);
+    view.setFloat32(20, system.height, true);
+    view.setUint32(24, system.seed >>> 0, true);
+    view.setUint32(28, json.length, true);
+    new Uint8Array(bytes, HEADER_BYTES, json.length).set(json);
+
+    // Particles are stored little-endian, like WASM and every GPU we run on
+    new Float32Array(bytes, HEADER_BYTES + jsonPadded).set(particles);
+    return bytes;
+}
+
+export function snapshotToCsv(system, particles) {
+    const lines = [
+        `# particle-life-snapshot ${SNAPSHOT_VERSION}`,
+        `# system ${JSON.stringify(JSON.parse(serializeSystem(system)))}`,
+        CSV_COLUMNS.join(','),
+    ];
+    for (let i = 0; i < particles.length; i += PARTICLE_FLOATS) {
+        lines.push(Array.from(particles.subarray(i, i + PARTICLE_FLOATS)).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Parse a binary or CSV snapshot; resolves to {system, particles}
+// The system is validated like a system file; throws on malformed input
+export async function parseSnapshotFile(file, schema) {
+    const bytes = await file.arrayBuffer();
+    const head = new TextDecoder().decode(new Uint8Array(bytes, 0, Math.min(4, bytes.byteLength)));
+    const { system, particles } = head === MAGIC ? decodeSnapshot(bytes) : parseSnapshotCsv(new TextDecoder().decode(bytes));
+    return checkSnapshot(validateSystem(system, schema), particles);
+}
+
+export function decodeSnapshot(bytes) {
+    if (bytes.byteLength < HEADER_BYTES) throw new Error('Snapshot file is too short');
+    const view = new DataView(bytes);
+    const version = view.getUint32(4, true);
+    if (version > SNAPSHOT_VERSION) throw new Error(`Unsupported snapshot version ${version}`);
+
+    const count = view.getUint32(8, true);
+    const jsonLength = view.getUint32(28, true);
+    const particlesOffset = HEADER_BYTES + Math.ceil(jsonLength / 4) * 4;
+    if (particlesOffset + count * PARTICLE_FLOATS * 4 > bytes.byteLength) {
+        throw new Error('Snapshot file is truncated');
+    }
+
+    const system = JSON.parse(new TextDecoder().decode(new Uint8Array(bytes, HEADER_BYTES, jsonLength)));
+    // The header is authoritative for what it duplicates
+    system.seed = view.getUint32(24, true);
+    system.width = view.getFloat32(16, true);
+    system.height = view.getFloat32(20, true);
+    const particles = new Float32Array(bytes.slice(particlesOffset, particlesOffset + count * PARTICLE_FLOATS * 4));
+    return { system, particles };
+}
+
+export function parseSnapshotCsv(text) {
+    let system = null;
+    let columns = null;
+    const values = [];
+    for (const line of text.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+        if (trimmed.startsWith('# system ')) {
+            system = JSON.parse(trimmed.slice('# system '.length));
+        } else if (trimmed.startsWith('#')) {
+            continue;
+        } else if (!columns) {
+            columns = trimmed.split(',').map((name) => name.trim());
+        } else {
+            const row = trimmed.split(',').map(Number);
+            for (const name of CSV_COLUMNS) {
+                values.push(row[columns.indexOf(name)]);
+            }
+        }
+    }
+
+    if (!system) throw new Error('CSV snapshot has no "# system" line');
+    const missing = CSV_COLUMNS.filter((name) => !columns?.includes(name));
+    if (missing.length) throw new Error(`CSV snapshot has no ${missing.join(', ')} column`);
+    return { system, particles: new Float32Array(values) };
+}
+
+// Every value finite and every species one the system has
+function checkSnapshot(system, particles) {
+    const count = particles.length / PARTICLE_FLOATS;
+    if (!count) throw new Error('Snapshot has no particles');
+
+    for (let i = 0; i < particles.length; i++) {
+        if (!Number.isFinite(particles[i])) throw new Error(`Invalid value for particle ${Math.floor(i / PARTICLE_FLOATS) + 1}`);
+    }
+    for (let i = 4; i < particles.length; i += PARTICLE_FLOATS) {
+        const species = particles[i];
+        if (species < 0 || species >= system.species.length || species !== Math.trunc(species)) {
+            throw new Error(`Invalid species for particle ${(i - 4) / PARTICLE_FLOATS + 1}`);
+        }
+    }
+    return { system, particles };
+}
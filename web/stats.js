@@ -0,0 +1,171 @@
+// Population statistics overlay for Zig Particle Life
+// While the stats panel is open, asks WASM to read the particles back (requestStats) a couple of
+// times per second and charts the results as sparklines: particles per species, mean kinetic
+// energy, mean speed and the number of clusters. A system counts as settled once energy and
+// cluster count have stopped moving for a while.
+
+import { readSpecies } from './system.js';
+import { cssColor } from './matrix.js';
+
+// stats.Stats in src/particle_life/stats.zig:
+// sample, particle_count, species_count, cluster_count (u32), mean_speed, mean_kinetic_energy (f32),
+// 2 unused words, species_counts[MAX_SPECIES] (u32)
+const MAX_SPECIES = 16;
+export const STATS_BYTES = 32 + 4 * MAX_SPECIES;
+
+// Readback interval, and how many samples the charts keep (one minute)
+const SAMPLE_INTERVAL_MS = 500;
+const HISTORY_LENGTH = 120;
+
+// Settled: over the last SETTLE_SAMPLES, energy stayed within SETTLE_TOLERANCE of its mean
+// and the cluster count moved by at most one
+const SETTLE_SAMPLES = 20;
+const SETTLE_TOLERANCE = 0.05;
+
+// Sparkline size in CSS pixels
+const CHART_WIDTH = 200;
+const CHART_HEIGHT = 32;
+
+// The latest stats, or null if the module has none yet
+export function readStats(exports) {
+    const ptr = exports.getStatsPtr();
+    if (!ptr) return null;
+
+    const words = new Uint32Array(exports.memory.buffer, ptr, STATS_BYTES / 4);
+    const floats = new Float32Array(exports.memory.buffer, ptr, STATS_BYTES / 4);
+    if (words[0] === 0) return null;
+
+    const speciesCount = Math.min(words[2], MAX_SPECIES);
+    return {
+        sample: words[0],
+        particleCount: words[1],
+        speciesCount,
+        clusterCount: words[3],
+        meanSpeed: floats[4],
+        meanKineticEnergy: floats[5],
+        speciesCounts: Array.from(words.subarray(8, 8 + speciesCount)),
+    };
+}
+
+// True if the recent samples show no trend (see SETTLE_SAMPLES)
+export function isSettled(history) {
+    if (history.length < SETTLE_SAMPLES) return false;
+    const recent = history.slice(-SETTLE_SAMPLES);
+    const energies = recent.map((stats) => stats.meanKineticEnergy);
+    const clusters = recent.map((stats) => stats.clusterCount);
+    const mean = energies.reduce((sum, e) => sum + e, 0) / energies.length;
+    const spread = Math.max(...energies) - Math.min(...energies);
+    return spread <= SETTLE_TOLERANCE * Math.max(mean, 1e-6) && Math.max(...clusters) - Math.min(...clusters) <= 1;
+}
+
+export class StatsOverlay {
+    constructor(exports) {
+        this.exports = exports;
+        this.summary = document.getElementById('statsSummary');
+        this.history = [];
+        this.lastSample = 0;
+        this.timer = null;
+        this.charts = this.createCharts(document.getElementById('statsCharts'));
+        this.render();
+    }
+
+    createCharts(container) {
+        if (!container) return {};
+        const charts = {};
+        for (const [id, label] of [['species', 'Particles per species'], ['energy', 'Mean kinetic energy'], ['speed', 'Mean speed'], ['clusters', 'Clusters']]) {
+            const title = document.createElement('div');
+            title.className = 'statsChartLabel';
+            title.innerText = label;
+            const canvas = document.createElement('canvas');
+            canvas.className = 'statsChart';
+            canvas.width = CHART_WIDTH * (window.devicePixelRatio || 1);
+            canvas.height = CHART_HEIGHT * (window.devicePixelRatio || 1);
+            canvas.style.width = `${CHART_WIDTH}px`;
+            canvas.style.height = `${CHART_HEIGHT}px`;
+            container.append(title, canvas);
+            charts[id] = { title, canvas, label };
+        }
+        return charts;
+    }
+
+    // Sample while the panel is open
+    setActive(active) {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (active) {
+            this.sample();
+            this.timer = setInterval(() => this.sample(), SAMPLE_INTERVAL_MS);
+        }
+    }
+
+    // The particles were respawned or the system replaced; earlier samples no longer apply
+    reset() {
+        this.history = [];
+        this.render();
+    }
+
+    // Take the result of the last readback, if new, and start the next
+    sample() {
+        const stats = readStats(this.exports);
+        if (stats && stats.sample !== this.lastSample) {
+            this.lastSample = stats.sample;
+            this.history.push(stats);
+            if (this.history.length > HISTORY_LENGTH) this.history.shift();
+            this.render();
+        }
+        this.exports.requestStats();
+    }
+
+    render() {
+        if (!this.summary) return;
+        const latest = this.history[this.history.length - 1];
+        if (!latest) {
+            this.summary.innerText = 'Waiting for data...';
+        } else {
+            const state = isSettled(this.history) ? 'Settled' : 'Changing';
+            this.summary.innerText = `${state}: ${latest.clusterCount} clusters, energy ${latest.meanKineticEnergy.toFixed(1)}, speed ${latest.meanSpeed.toFixed(2)}`;
+        }
+
+        const colors = (readSpecies(this.exports) ?? []).map((species) => cssColor(species.color));
+        const speciesCount = latest?.speciesCount ?? 0;
+        const series = [];
+        for (let i = 0; i < speciesCount; i++) {
+            series.push({ values: this.history.map((stats) => stats.speciesCounts[i] ?? 0), color: colors[i] ?? '#eee' });
+        }
+        this.draw('species', series, latest ? Math.max(...latest.speciesCounts) : null);
+        this.draw('energy', [{ values: this.history.map((stats) => stats.meanKineticEnergy) }], latest?.meanKineticEnergy.toFixed(1));
+        this.draw('speed', [{ values: this.history.map((stats) => stats.meanSpeed) }], latest?.meanSpeed.toFixed(2));
+        this.draw('clusters', [{ values: this.history.map((stats) => stats.clusterCount) }], latest?.clusterCount);
+    }
+
+    // Lines scaled to the chart's own range, newest sample at the right edge
+    draw(id, series, current) {
+        const chart = this.charts[id];
+        if (!chart) return;
+        chart.title.innerText = current === null || current === undefined ? chart.label : `${chart.label}: ${current}`;
+
+        const context = chart.canvas.getContext('2d');
+        const { width, height } = chart.canvas;
+        context.clearRect(0, 0, width, height);
+
+        const all = series.flatMap((line) => line.values);
+        if (all.length < 2) return;
+        const min = Math.min(...all);
+        const range = Math.max(...all) - min || 1;
+        const step = width / (HISTORY_LENGTH - 1);
+        const offset = width - step * (series[0].values.length - 1);
+
+        context.lineWidth = window.devicePixelRatio || 1;
+        for (const line of series) {
+            context.strokeStyle = line.color ?? '#eee';
+            context.beginPath();
+            line.values.forEach((value, i) => {
+                const x = offset + i * step;
+                const y = height - 1 - ((value - min) / range) * (height - 2);
+                if (i === 0) context.moveTo(x, y);
+                else context.lineTo(x, y);
+            });
+            context.stroke();
+        }
+    }
+}
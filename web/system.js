@@ -0,0 +1,264 @@
+// System description helpers for Zig Particle Life
+// A system description holds the seed, one value per parameter in the WASM schema (see params.js)
+// and the species, in the shape used by loadSystem() in the reference demo:
+// {
+//     seed, particleCount, speciesCount, width, height, friction, centralForce, ...,
+//     species: [{ color: [r, g, b, a], forces: [{ strength, radius, collisionStrength, collisionRadius }], spawnWeight }],
+//     layout, layoutImage,
+// }
+// `species` is optional; without it the system is regenerated from the seed and `speciesCount`
+// `layout` is the initial layout id and `layoutImage` its image, for the image layout (see layouts.js)
+
+import { fileDefaultParam, normalizeParam } from './params.js';
+import { DEFAULT_LAYOUT, INITIAL_LAYOUTS, decodeLayoutImage, encodeLayoutImage } from './layouts.js';
+
+// Version written into saved system files
+export const SYSTEM_FILE_VERSION = 1;
+
+// Forces reaching further than the spatial bin size (Simulation.max_force_radius) would be cut off
+export const MAX_FORCE_RADIUS = 80.0;
+
+// Largest strength the generator produces (max_force_strength in system.zig)
+export const MAX_FORCE_STRENGTH = 100.0;
+
+// Floats per particle.Species (color) and per particle.Force entry
+export const SPECIES_FLOATS = 4;
+export const FORCE_FLOATS = 4;
+
+function clamp(value, [min, max]) {
+    return Math.min(max, Math.max(min, value));
+}
+
+// === WASM Access ===
+
+// Read species colors and the force matrix of the running system
+// Returns null before the simulation is initialized
+export function readSpecies(exports) {
+    const speciesPtr = exports.getSpeciesPtr();
+    const forcesPtr = exports.getForcesPtr();
+    if (!speciesPtr || !forcesPtr) return null;
+
+    const n = exports.getSpeciesCount();
+    const colors = new Float32Array(exports.memory.buffer, speciesPtr, n * SPECIES_FLOATS);
+    const forces = new Float32Array(exports.memory.buffer, forcesPtr, n * n * FORCE_FLOATS);
+
+    const species = [];
+    for (let i = 0; i < n; i++) {
+        const row = [];
+        for (let j = 0; j < n; j++) {
+            const offset = (i * n + j) * FORCE_FLOATS;
+            row.push({
+                strength: forces[offset],
+                radius: forces[offset + 1],
+                collisionStrength: forces[offset + 2],
+                collisionRadius: forces[offset + 3],
+            });
+        }
+        species.push({
+            color: Array.from(colors.subarray(i * SPECIES_FLOATS, (i + 1) * SPECIES_FLOATS)),
+            forces: row,
+            spawnWeight: 1.0, // Particles spawn uniformly; kept for reference demo compatibility
+        });
+    }
+    return species;
+}
+
+// Write species colors and the force matrix into WASM
+// The species count must already match species.length (see setSpeciesCount)
+export function writeSpecies(exports, species) {
+    species.forEach((s, i) => {
+        exports.setSpeciesColor(i, s.color[0], s.color[1], s.color[2], s.color[3]);
+        s.forces.forEach((f, j) => {
+            exports.setForce(i, j, f.strength, f.radius, f.collisionStrength, f.collisionRadius);
+        });
+    });
+}
+
+// === System Files ===
+
+// The reference demo gives the simulation size as simulationSize: [width, height]
+export function serializeSystem(system) {
+    return JSON.stringify({ version: SYSTEM_FILE_VERSION, ...system, simulationSize: [system.width, system.height] }, null, 2);
+}
+
+// Parse and validate a system file (ours or the reference demo's)
+// Missing parameters get the schema default for files (fileDefault, see params.js); throws on malformed input
+export function parseSystem(text, schema) {
+    return validateSystem(JSON.parse(text), schema);
+}
+
+// Validate a parsed system description against the parameter schema, see parseSystem
+// With requireSpecies false, a system without species (regenerated from seed and speciesCount) is accepted
+export function validateSystem(data, schema, { requireSpecies = true } = {}) {
+    if (typeof data !== 'object' || data === null) {
+        throw new Error('System file must contain a JSON object');
+    }
+    if (data.version !== undefined && data.version > SYSTEM_FILE_VERSION) {
+        throw new Error(`Unsupported system file version ${data.version}`);
+    }
+
+    const finite = (value, what) => {
+        const number = Number(value);
+        if (!Number.isFinite(number)) throw new Error(`Invalid ${what}`);
+        return number;
+    };
+
+    const hasSpecies = Array.isArray(data.species) && data.species.length > 0;
+    if (!hasSpecies && requireSpecies) {
+        throw new Error('System file has no species');
+    }
+
+    const values = {};
+    for (const param of schema) {
+        const value = data[param.name] ?? legacyValue(data, param.name);
+        values[param.name] = value === undefined ? fileDefaultParam(param) : normalizeParam(param, value);
+    }
+
+    // The species list, when present, decides the species count
+    const n = hasSpecies ? data.species.length : values.speciesCount;
+    const speciesCount = schema.find((param) => param.name === 'speciesCount');
+    if (hasSpecies && speciesCount && n > speciesCount.max) {
+        throw new Error(`Too many species (${n}, max ${speciesCount.max})`);
+    }
+
+    const species = hasSpecies && data.species.map((s, i) => {
+        if (!Array.isArray(s.color) || s.color.length < 3) {
+            throw new Error(`Species ${i} has no color`);
+        }
+        if (!Array.isArray(s.forces) || s.forces.length !== n) {
+            throw new Error(`Species ${i} needs ${n} forces`);
+        }
+        return {
+            color: [0, 1, 2, 3].map((c) => finite(s.color[c] ?? 1.0, `color of species ${i}`)),
+            forces: s.forces.map((f, j) => {
+                const what = `force ${i}→${j}`;
+                const radius = clamp(finite(f.radius, what), [0, MAX_FORCE_RADIUS]);
+                return {
+                    strength: finite(f.strength, what),
+                    radius,
+                    collisionStrength: Math.abs(finite(f.collisionStrength, what)),
+                    collisionRadius: clamp(finite(f.collisionRadius, what), [0, radius]),
+                };
+            }),
+            spawnWeight: s.spawnWeight ?? 1.0,
+        };
+    });
+
+    // Files from before layouts (and unknown layouts) scatter uniformly
+    const layout = INITIAL_LAYOUTS.some(({ id }) => id === data.layout) ? data.layout : DEFAULT_LAYOUT;
+    const layoutImage = layout === 'image' && encodeLayoutImage(decodeLayoutImage(data.layoutImage));
+
+    return {
+        seed: data.seed !== undefined ? finite(data.seed, 'seed') >>> 0 : undefined,
+        ...values,
+        speciesCount: n,
+        ...(species && { species }),
+        layout,
+        ...(layoutImage && { layoutImage }),
+    };
+}
+
+// Parameters stored under other names by the reference demo and older files
+function legacyValue(data, name) {
+    if (!Array.isArray(data.simulationSize)) return undefined;
+    if (name === 'width') return data.simulationSize[0];
+    if (name === 'height') return data.simulationSize[1];
+    return undefined;
+}
+
+// === URL Fragments ===
+
+// Pack colors (rgb) and forces into base64url Float32 data for the URL
+function packSpecies(species) {
+    const n = species.length;
+    const data = new Float32Array(n * 3 + n * n * FORCE_FLOATS);
+    let k = 0;
+    for (const s of species) {
+        data.set(s.color.slice(0, 3), k);
+        k += 3;
+    }
+    for (const s of species) {
+        for (const f of s.forces) {
+            data.set([f.strength, f.radius, f.collisionStrength, f.collisionRadius], k);
+            k += FORCE_FLOATS;
+        }
+    }
+
+    let binary = '';
+    for (const byte of new Uint8Array(data.buffer)) binary += String.fromCharCode(byte);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function unpackSpecies(encoded, n) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    if (binary.length !== (n * 3 + n * n * FORCE_FLOATS) * 4) return null;
+
+    const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+    const data = new Float32Array(bytes.buffer);
+    if (!data.every(Number.isFinite)) return null;
+
+    const species = [];
+    for (let i = 0; i < n; i++) {
+        const forces = [];
+        for (let j = 0; j < n; j++) {
+            const k = n * 3 + (i * n + j) * FORCE_FLOATS;
+            forces.push({ strength: data[k], radius: data[k + 1], collisionStrength: data[k + 2], collisionRadius: data[k + 3] });
+        }
+        species.push({ color: [data[i * 3], data[i * 3 + 1], data[i * 3 + 2], 1.0], forces, spawnWeight: 1.0 });
+    }
+    return species;
+}
+
+// Encode a system description into a URL fragment (e.g. "#seed=1&particleCount=65536...")
+// Keys are the parameter names, which match the query parameters understood by the reference demo
+export function encodeSystemHash(system, schema) {
+    const params = new URLSearchParams({ seed: String(system.seed >>> 0) });
+    for (const param of schema) {
+        if (system[param.name] !== undefined) params.set(param.name, String(system[param.name]));
+    }
+    if (system.species) {
+        params.set('species', packSpecies(system.species));
+    }
+    // Images are too large for URLs
+    if (system.layout && system.layout !== 'image') {
+        params.set('layout', system.layout);
+    }
+    return `#${params.toString()}`;
+}
+
+// Decode a URL fragment (or query string) into a partial system description
+// Returns null if no system parameters are present; unknown or invalid values are skipped
+export function decodeSystemHash(hash, schema) {
+    const params = new URLSearchParams(hash.replace(/^[#?]/, ''));
+    const system = {};
+
+    if (params.has('seed')) {
+        const seed = Number(params.get('seed'));
+        if (Number.isFinite(seed)) system.seed = seed >>> 0;
+    }
+
+    for (const param of schema) {
+        if (!params.has(param.name)) continue;
+        try {
+            system[param.name] = normalizeParam(param, params.get(param.name));
+        } catch (err) {
+            console.warn(`Ignoring ${param.name} in URL:`, err.message);
+        }
+    }
+
+    if (params.has('species') && system.speciesCount !== undefined) {
+        try {
+            const species = unpackSpecies(params.get('species'), system.speciesCount);
+            if (species) system.species = species;
+        } catch (err) {
+            console.warn('Ignoring malformed species data in URL:', err);
+        }
+    }
+
+    const layout = params.get('layout');
+    if (layout && layout !== 'image' && INITIAL_LAYOUTS.some(({ id }) => id === layout)) {
+        system.layout = layout;
+    }
+
+    return Object.keys(system).length > 0 ? system : null;
+}
@@ -1,16 +1,86 @@
 // UI and Input Handling for Zig Particle Life
 
+import { encodeSystemHash, parseSystem, readSpecies, serializeSystem, writeSpecies } from './system.js';
+import { defaultParam, formatParam, paramToSlider, setParam, sliderRange, sliderToParam } from './params.js';
+import { ForceMatrixEditor } from './matrix.js';
+import { ParticleInspector } from './inspector.js';
+import { BrushPalette } from './brush.js';
+import { PaletteEditor } from './palette.js';
+import { StatsOverlay } from './stats.js';
+import { PresetGallery, PresetLibrary } from './presets.js';
+import { TouchGestures } from './gestures.js';
+import { CanvasRecorder, download, timestampName } from './recorder.js';
+import { encodeSnapshot, parseSnapshotFile, snapshotToCsv } from './snapshot.js';
+import { DEFAULT_LAYOUT, INITIAL_LAYOUTS, decodeLayoutImage, encodeLayoutImage, imageToSpecies, layoutIndex } from './layouts.js';
+import { FixedStepScheduler } from './scheduler.js';
+import { RENDER_SCALES } from './viewport.js';
+import { Keymap, ShortcutHelp, comboFromEvent, formatCombo, isTextField } from './keymap.js';
+import { clearSettings, saveSettings } from './settings.js';
+
+// Frame rates offered by the recording fps button
+const RECORD_FPS = [24, 30, 60];
+
+// Panels whose visibility is remembered across visits
+const PERSISTED_PANELS = ['toolsPanel', 'forceMatrixPanel', 'presetsPanel', 'statsPanel', 'debugPanel'];
+
+// Settings are written this long after the last change
+const SAVE_DELAY_MS = 500;
+
 export class UI {
-    constructor(wasmInstance, canvas) {
+    // `remote` replaces the scheduler and recorder when the simulation runs in a worker (see remote.js)
+    // `viewport` sizes the drawing buffer (see viewport.js)
+    // `simulation` (the host, or `remote`) reads particles back and loads them: inspect(), snapshotParticles(), loadParticles(),
+    // setLayoutImage()
+    constructor(wasmInstance, canvas, params, initialSystem = null, settings = null, { remote = null, viewport = null, simulation = null } = {}) {
         this.wasm = wasmInstance;
         this.canvas = canvas;
+        this.viewport = viewport;
         this.exports = wasmInstance.exports;
-        this.paused = false;
+        this.simulation = simulation;
+        this.params = params; // Parameter schema (see params.js)
+        this.palette = new PaletteEditor(this.exports, () => this.onColorsChanged());
+        this.forceMatrix = new ForceMatrixEditor(this.exports, { pickColor: (index, color) => this.palette.pickColor(index, color) });
+        this.scheduler = remote?.scheduler ?? new FixedStepScheduler();
+        this.recorder = remote?.recorder ?? new CanvasRecorder(canvas, this.scheduler);
+        this.recorder.onChange = () => this.updateRecordingControls();
+        this.recordingTimer = null;
+        this.presets = new PresetGallery(new PresetLibrary(params), {
+            apply: (system) => this.loadSystem(system),
+            describe: () => this.getSystemDescription(),
+            captureThumbnail: (width, height) => this.recorder.requestThumbnail(width, height),
+        });
+        const inspect = simulation && ((x, y, options) => simulation.inspect(x, y, options));
+        this.inspector = new ParticleInspector(this.exports, inspect, () => this.loopingWorldSize());
+        this.stats = new StatsOverlay(this.exports);
+        this.brush = new BrushPalette(this.exports);
+        this.layout = DEFAULT_LAYOUT; // Initial layout id and species image (see layouts.js)
+        this.layoutImage = null;
+        this.saveTimer = null;
+        this.defaultPanels = Object.fromEntries(PERSISTED_PANELS.map((id) => [id, this.isPanelVisible(id)]));
 
         this.setupInputListeners();
         this.setupUIControls();
         this.setupKeyboardShortcuts();
+        this.setupPersistence();
+        if (settings) {
+            this.restoreSettings(settings);
+        }
+        if (initialSystem) {
+            this.applySystemToControls(initialSystem);
+        }
         this.syncInitialControls();
+        if (initialSystem?.species) {
+            writeSpecies(this.exports, initialSystem.species);
+        }
+        if (initialSystem) {
+            this.applySystemLayout(initialSystem);
+        }
+        if (settings?.panels) {
+            for (const [id, visible] of Object.entries(settings.panels)) {
+                this.setPanelVisible(id, visible);
+            }
+            if (this.isPanelVisible('forceMatrixPanel')) this.forceMatrix.refresh();
+        }
     }
 
     setupInputListeners() {
@@ -19,9 +89,9 @@ export class UI {
         // Mouse Move
         canvas.addEventListener('mousemove', (e) => {
             const rect = canvas.getBoundingClientRect();
-            const dpr = window.devicePixelRatio || 1;
-            const x = (e.clientX - rect.left) * dpr;
-            const y = (e.clientY - rect.top) * dpr;
+            const ratio = this.pixelRatio();
+            const x = (e.clientX - rect.left) * ratio;
+            const y = (e.clientY - rect.top) * ratio;
 
             if (this.exports.setMousePosition) {
                 this.exports.setMousePosition(x, y);
@@ -31,13 +101,21 @@ export class UI {
             // Note: e.buttons is a bitmask: 1=Left, 2=Right, 4=Middle
             if ((e.buttons & 4) || (e.buttons & 2)) {
                 if (this.exports.setPan) {
-                    this.exports.setPan(e.movementX, e.movementY);
+                    this.exports.setPan(e.movementX * ratio, e.movementY * ratio);
                 }
             }
         });
 
         // Mouse Down
         canvas.addEventListener('mousedown', (e) => {
+            // In inspect mode the left button picks a particle instead of using the brush
+            if (e.button === 0 && this.inspector.active) {
+                const rect = canvas.getBoundingClientRect();
+                const ratio = this.pixelRatio();
+                this.inspector.pick((e.clientX - rect.left) * ratio, (e.clientY - rect.top) * ratio);
+                return;
+            }
+
             if (e.button === 0) { // Left
                 if (this.exports.setMouseDown) {
                     this.exports.setMouseDown(true);
@@ -69,147 +147,117 @@ export class UI {
             }
         }, { passive: false });
 
-        // Touch support (basic)
-        canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            if (e.touches.length > 0) {
-                const rect = canvas.getBoundingClientRect();
-                const dpr = window.devicePixelRatio || 1;
-                const x = (e.touches[0].clientX - rect.left) * dpr;
-                const y = (e.touches[0].clientY - rect.top) * dpr;
-                if (this.exports.setMousePosition) this.exports.setMousePosition(x, y);
-                if (this.exports.setMouseDown) this.exports.setMouseDown(true);
-            }
-        }, { passive: false });
-
-        canvas.addEventListener('touchend', (e) => {
-            e.preventDefault();
-            if (this.exports.setMouseDown) this.exports.setMouseDown(false);
-        });
+        // Touch: brush, long-press repel, pinch zoom and two-finger pan
+        this.touchGestures = new TouchGestures(canvas, this.exports, () => this.pixelRatio());
+    }
 
-        canvas.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            if (e.touches.length > 0) {
-                const rect = canvas.getBoundingClientRect();
-                const dpr = window.devicePixelRatio || 1;
-                const x = (e.touches[0].clientX - rect.left) * dpr;
-                const y = (e.touches[0].clientY - rect.top) * dpr;
-                if (this.exports.setMousePosition) this.exports.setMousePosition(x, y);
-            }
-        }, { passive: false });
+    // Canvas pixels per CSS pixel (device pixel ratio times render scale)
+    pixelRatio() {
+        return this.viewport ? this.viewport.pixelRatio : window.devicePixelRatio || 1;
     }
 
     setupUIControls() {
-        // Particle Count
-        const particleCountSlider = document.getElementById('particleCountSlider');
-        const particleCountText = document.getElementById('particleCountText');
-        if (particleCountSlider) {
-            particleCountSlider.addEventListener('input', (e) => {
-                const val = Math.round(Math.pow(2, parseFloat(e.target.value)));
-                if (particleCountText) particleCountText.innerText = `${val} particles`;
-                if (this.exports.setParticleCount) {
-                    this.exports.setParticleCount(val);
-                }
-            });
-        }
-
-        // Species Count
-        const speciesCountSlider = document.getElementById('speciesCountSlider');
-        const speciesCountText = document.getElementById('speciesCountText');
-        if (speciesCountSlider) {
-            speciesCountSlider.addEventListener('input', (e) => {
-                const val = parseInt(e.target.value);
-                if (speciesCountText) speciesCountText.innerText = `${val} particle types`;
-                if (this.exports.setSpeciesCount) {
-                    this.exports.setSpeciesCount(val);
-                }
-            });
-        }
-
-        // Simulation Width
-        const simWidthSlider = document.getElementById('simulationWidthSlider');
-        const simWidthText = document.getElementById('simulationWidthText');
-        if (simWidthSlider) {
-            simWidthSlider.addEventListener('input', (e) => {
-                const val = parseInt(e.target.value) * 64;
-                if (simWidthText) simWidthText.innerText = `Width: ${val}`;
-                this.updateSimulationSize();
-            });
-        }
-
-        // Simulation Height
-        const simHeightSlider = document.getElementById('simulationHeightSlider');
-        const simHeightText = document.getElementById('simulationHeightText');
-        if (simHeightSlider) {
-            simHeightSlider.addEventListener('input', (e) => {
-                const val = parseInt(e.target.value) * 64;
-                if (simHeightText) simHeightText.innerText = `Height: ${val}`;
-                this.updateSimulationSize();
-            });
-        }
+        // Simulation parameters, generated from the WASM schema
+        this.buildParamControls();
 
-        // Friction
-        const frictionSlider = document.getElementById('frictionSlider');
-        const frictionText = document.getElementById('frictionText');
-        if (frictionSlider) {
-            frictionSlider.addEventListener('input', (e) => {
-                const val = parseFloat(e.target.value);
-                if (frictionText) frictionText.innerText = `Friction: ${val}`;
-                if (this.exports.setSimOption) {
-                    this.exports.setSimOption(0, val);
-                }
+        // Speed (slider is a power of two: 0.25× to 8×)
+        const speedSlider = document.getElementById('speedSlider');
+        const speedText = document.getElementById('speedText');
+        if (speedSlider) {
+            speedSlider.addEventListener('input', (e) => {
+                this.scheduler.setSpeed(Math.pow(2, parseFloat(e.target.value)));
+                if (speedText) speedText.innerText = `Speed: ${this.scheduler.speed}×`;
             });
         }
 
-        // Central Force
-        const centralForceSlider = document.getElementById('centralForceSlider');
-        const centralForceText = document.getElementById('centralForceText');
-        if (centralForceSlider) {
-            centralForceSlider.addEventListener('input', (e) => {
-                const val = parseFloat(e.target.value) / 10.0;
-                if (centralForceText) centralForceText.innerText = `Central force: ${val.toFixed(1)}`;
-                if (this.exports.setSimOption) {
-                    this.exports.setSimOption(4, val);
-                }
+        // Substeps per fixed step
+        const substepsSlider = document.getElementById('substepsSlider');
+        const substepsText = document.getElementById('substepsText');
+        if (substepsSlider) {
+            substepsSlider.addEventListener('input', (e) => {
+                this.scheduler.substeps = parseInt(e.target.value);
+                if (substepsText) substepsText.innerText = `Substeps: ${this.scheduler.substeps}`;
             });
         }
 
-        // Symmetric Forces
-        const symmetricForces = document.getElementById('symmetricForces');
-        if (symmetricForces) {
-            symmetricForces.addEventListener('change', (e) => {
-                const val = e.target.checked ? 1.0 : 0.0;
-                if (this.exports.setSimOption) {
-                    this.exports.setSimOption(5, val);
-                }
-            });
-        }
-
-        // Looping Borders
-        const loopingBorders = document.getElementById('loopingBorders');
-        if (loopingBorders) {
-            loopingBorders.addEventListener('change', (e) => {
-                const val = e.target.checked ? 1.0 : 0.0;
-                if (this.exports.setSimOption) {
-                    this.exports.setSimOption(3, val);
-                }
+        // Render scale (slider indexes RENDER_SCALES)
+        const renderScaleSlider = document.getElementById('renderScaleSlider');
+        const renderScaleText = document.getElementById('renderScaleText');
+        if (renderScaleSlider) {
+            renderScaleSlider.max = String(RENDER_SCALES.length - 1);
+            renderScaleSlider.addEventListener('input', (e) => {
+                const scale = RENDER_SCALES[parseInt(e.target.value)] ?? 1;
+                this.viewport?.setRenderScale(scale);
+                if (renderScaleText) renderScaleText.innerText = `Render scale: ${scale}×`;
             });
         }
 
         // Buttons
         document.getElementById('toggleSettingsButton')?.addEventListener('click', () => this.toggleSettings());
         document.getElementById('pauseButton')?.addEventListener('click', () => this.togglePause());
+        document.getElementById('stepButton')?.addEventListener('click', () => this.stepFrames(1));
+        document.getElementById('stepNButton')?.addEventListener('click', () => this.stepFrames(this.stepCount()));
         document.getElementById('centerViewButton')?.addEventListener('click', () => {
             if (this.exports.centerView) this.exports.centerView();
         });
-        document.getElementById('restartButton')?.addEventListener('click', () => {
-            if (this.exports.restart) this.exports.restart();
-        });
-        document.getElementById('randomizeButton')?.addEventListener('click', () => {
-            if (this.exports.randomize) this.exports.randomize();
-        });
+        document.getElementById('restartButton')?.addEventListener('click', () => this.restart());
+        this.setupLayoutControls();
+        document.getElementById('resetDefaultsButton')?.addEventListener('click', () => this.resetToDefaults());
+        document.getElementById('randomizeButton')?.addEventListener('click', () => this.randomize());
+        document.getElementById('forceMatrixButton')?.addEventListener('click', () => this.toggleForceMatrix());
+        document.getElementById('presetsButton')?.addEventListener('click', () => this.togglePanel('presetsPanel'));
+        document.getElementById('inspectButton')?.addEventListener('click', () => this.toggleInspector());
+        document.getElementById('statsButton')?.addEventListener('click', () => this.togglePanel('statsPanel'));
         document.getElementById('copyUrlButton')?.addEventListener('click', () => this.copyUrl());
         document.getElementById('fullscreenButton')?.addEventListener('click', () => this.toggleFullscreen());
+
+        // Recording
+        document.getElementById('recordButton')?.addEventListener('click', () => this.toggleRecording());
+        document.getElementById('screenshotButton')?.addEventListener('click', () => this.recorder.requestScreenshot());
+        document.getElementById('downloadRecordingButton')?.addEventListener('click', () => this.recorder.downloadRecording());
+        document.getElementById('recordFpsButton')?.addEventListener('click', () => {
+            if (this.recorder.isRecording) return;
+            this.setRecordFps(RECORD_FPS[(RECORD_FPS.indexOf(this.recorder.fps) + 1) % RECORD_FPS.length]);
+        });
+        document.getElementById('recordDeterministic')?.addEventListener('change', (e) => {
+            this.recorder.deterministic = e.target.checked;
+        });
+        if (!this.recorder.canRecord) {
+            document.getElementById('recordButton')?.classList.add('disabled');
+        }
+
+        // Snapshots (every particle plus the system)
+        const loadSnapshotInput = document.getElementById('loadSnapshotInput');
+        document.getElementById('saveSnapshotButton')?.addEventListener('click', () => this.saveSnapshot('plsnap'));
+        document.getElementById('saveSnapshotCsvButton')?.addEventListener('click', () => this.saveSnapshot('csv'));
+        document.getElementById('loadSnapshotButton')?.addEventListener('click', () => loadSnapshotInput?.click());
+        loadSnapshotInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadSnapshotFile(file);
+            e.target.value = ''; // Allow loading the same file again
+        });
+
+        // System files (button, file picker or drag-and-drop onto the page)
+        const loadSettingsInput = document.getElementById('loadSettingsInput');
+        document.getElementById('saveSettingsButton')?.addEventListener('click', () => this.saveSystem());
+        document.getElementById('loadSettingsButton')?.addEventListener('click', () => loadSettingsInput?.click());
+        loadSettingsInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadSystemFile(file);
+            e.target.value = ''; // Allow loading the same file again
+        });
+        window.addEventListener('dragover', (e) => {
+            if (e.dataTransfer?.types.includes('Files')) e.preventDefault();
+        });
+        window.addEventListener('drop', (e) => {
+            const file = e.dataTransfer?.files[0];
+            if (file) {
+                e.preventDefault();
+                if (/\.(plsnap|csv)$/i.test(file.name)) this.loadSnapshotFile(file);
+                else if (file.type.startsWith('image/')) this.loadLayoutImageFile(file);
+                else this.loadSystemFile(file);
+            }
+        });
     }
 
     syncInitialControls() {
@@ -220,55 +268,466 @@ export class UI {
             }
         };
 
-        fireInput('particleCountSlider');
-        fireInput('speciesCountSlider');
-        this.updateSimulationSize();
-        fireInput('frictionSlider');
-        fireInput('centralForceSlider');
-        fireInput('loopingBorders', 'change');
-        fireInput('symmetricForces', 'change');
+        for (const param of this.params) {
+            if (param.type === 'bool') {
+                fireInput(param.name, 'change');
+            } else {
+                fireInput(`${param.name}Slider`);
+            }
+        }
+        fireInput('speedSlider');
+        fireInput('substepsSlider');
+        fireInput('renderScaleSlider');
+        fireInput('brushRadiusSlider');
+        fireInput('recordDeterministic', 'change');
+    }
+
+    // One slider per numeric parameter and one checkbox per boolean parameter, in schema order
+    // Ids follow the hand-written controls: `${name}Slider` and `${name}Text`, or `${name}` for checkboxes
+    buildParamControls() {
+        const sliders = document.getElementById('paramSliders');
+        const toggles = document.getElementById('paramToggles');
+
+        for (const param of this.params) {
+            const input = document.createElement('input');
+            if (param.type === 'bool') {
+                const label = document.createElement('label');
+                label.className = 'checkboxContainer';
+                input.type = 'checkbox';
+                input.id = param.name;
+                input.defaultChecked = defaultParam(param);
+                const checkbox = document.createElement('span');
+                checkbox.className = 'customCheckbox';
+                label.append(param.label, input, checkbox);
+                toggles?.appendChild(label);
+                input.addEventListener('change', () => this.onParamInput(param));
+            } else {
+                const container = document.createElement('div');
+                container.className = 'sliderContainer';
+                const range = sliderRange(param);
+                input.type = 'range';
+                input.className = 'slider';
+                input.id = `${param.name}Slider`;
+                input.min = String(range.min);
+                input.max = String(range.max);
+                input.step = String(range.step);
+                input.defaultValue = String(paramToSlider(param, defaultParam(param)));
+                const text = document.createElement('span');
+                text.id = `${param.name}Text`;
+                text.innerText = formatParam(param, defaultParam(param));
+                container.append(input, text);
+                const rowBreak = document.createElement('div');
+                rowBreak.className = 'rowBreak';
+                sliders?.append(container, rowBreak);
+                input.addEventListener('input', () => this.onParamInput(param));
+            }
+            if (param.restart) input.title = 'Changing this respawns the particles';
+
+        }
+    }
+
+    // A parameter control changed: update its label and pass the value to WASM
+    onParamInput(param) {
+        const value = this.paramValue(param);
+        const text = document.getElementById(`${param.name}Text`);
+        if (text) text.innerText = formatParam(param, value);
+        setParam(this.exports, param, value);
+        if (param.restart) this.onSystemChanged();
+    }
+
+    paramValue(param) {
+        if (param.type === 'bool') {
+            return document.getElementById(param.name)?.checked ?? defaultParam(param);
+        }
+        const slider = document.getElementById(`${param.name}Slider`);
+        return slider ? sliderToParam(param, Number(slider.value)) : defaultParam(param);
+    }
+
+    // Current value of every parameter, by name
+    paramValues() {
+        return Object.fromEntries(this.params.map((param) => [param.name, this.paramValue(param)]));
+    }
+
+    // Move a parameter's control without notifying WASM
+    setParamControl(param, value) {
+        if (param.type === 'bool') {
+            const checkbox = document.getElementById(param.name);
+            if (checkbox) checkbox.checked = Boolean(value);
+        } else {
+            const slider = document.getElementById(`${param.name}Slider`);
+            if (slider) slider.value = String(paramToSlider(param, value));
+        }
+    }
+
+    // Save settings shortly after anything the user touches, and when the page goes away
+    setupPersistence() {
+        const schedule = () => this.scheduleSave();
+        for (const type of ['input', 'change', 'click', 'pointerup', 'keyup']) {
+            document.addEventListener(type, schedule);
+        }
+        window.addEventListener('pagehide', () => this.saveSettingsNow());
+    }
+
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveSettingsNow(), SAVE_DELAY_MS);
+    }
+
+    saveSettingsNow() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        saveSettings(this.getSettings());
+    }
+
+    // Everything that should survive a refresh: control values, panels and the current system
+    getSettings() {
+        const controls = {};
+        for (const input of document.querySelectorAll('#toolsPanel input[id]')) {
+            if (input.type === 'file') continue;
+            controls[input.id] = input.type === 'checkbox' ? input.checked : input.value;
+        }
+        const panels = Object.fromEntries(PERSISTED_PANELS.map((id) => [id, this.isPanelVisible(id)]));
+
+        return {
+            controls,
+            panels,
+            recordFps: this.recorder.fps,
+            palette: this.palette.mode,
+            system: this.getSystemDescription(),
+        };
+    }
+
+    // Move the controls to stored values; like applySystemToControls, WASM sees them once the events fire
+    restoreSettings(settings) {
+        for (const [id, value] of Object.entries(settings.controls ?? {})) {
+            const input = document.getElementById(id);
+            if (!input || input.tagName !== 'INPUT' || input.type === 'file') continue;
+            if (input.type === 'checkbox') {
+                input.checked = Boolean(value);
+            } else {
+                input.value = String(value);
+            }
+        }
+        if (RECORD_FPS.includes(settings.recordFps)) {
+            this.setRecordFps(settings.recordFps);
+        }
+        if (settings.palette) {
+            this.palette.setMode(settings.palette);
+        }
+    }
+
+    // Forget stored settings and go back to a fresh visit: default controls, panels and shortcuts, new random system
+    resetToDefaults() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        clearSettings();
+
+        for (const input of document.querySelectorAll('#toolsPanel input[id]')) {
+            if (input.type === 'file' || input.disabled) continue;
+            if (input.type === 'checkbox') {
+                input.checked = input.defaultChecked;
+            } else {
+                input.value = input.defaultValue;
+            }
+        }
+        if (!this.recorder.isRecording) this.setRecordFps(RECORD_FPS[RECORD_FPS.length - 1]);
+        this.palette.setMode(0);
+        for (const [id, visible] of Object.entries(this.defaultPanels)) {
+            this.setPanelVisible(id, visible);
+        }
+
+        this.keymap.reset();
+        this.shortcutHelp.render();
+        this.updateKeyHints();
+
+        this.syncInitialControls();
+        this.setLayout(DEFAULT_LAYOUT);
+        this.randomize();
     }
 
     setupKeyboardShortcuts() {
+        this.keymap = new Keymap(this.keyActions());
+        this.shortcutHelp = new ShortcutHelp(this.keymap, () => this.updateKeyHints());
+        this.updateKeyHints();
+
         window.addEventListener('keydown', (e) => {
-            if (e.key === ' ') {
-                this.togglePause();
-                e.preventDefault();
-            }
-            if (e.key === 'c') {
-                if (this.exports.centerView) this.exports.centerView();
-                e.preventDefault();
+            // Typing into a field (e.g. the step count) is not a shortcut
+            if (isTextField(e.target)) return;
+
+            if (e.key === 'Escape' && this.isPanelVisible('helpPanel')) {
+                this.setPanelVisible('helpPanel', false);
+                return;
             }
-            if (e.key === 's') {
-                this.toggleSettings();
-                e.preventDefault();
+
+            const combo = comboFromEvent(e);
+            const action = combo && this.keymap.find(combo);
+            if (!action) return;
+
+            // Holding a key repeats nudges and steps, not toggles
+            if (!e.repeat || action.repeat) action.run();
+            e.preventDefault();
+        });
+    }
+
+    // Everything the keyboard can do, in the order the help overlay lists it
+    // keys are the default bindings (see keymap.js for the notation)
+    keyActions() {
+        const actions = [
+            { id: 'pause', label: 'Pause / continue', keys: ['Space'], run: () => this.togglePause() },
+            { id: 'step', label: 'Step once', keys: ['.'], repeat: true, run: () => this.stepFrames(1) },
+            { id: 'stepN', label: 'Step N times', keys: ['>'], repeat: true, run: () => this.stepFrames(this.stepCount()) },
+            { id: 'slower', label: 'Slower', keys: ['['], repeat: true, run: () => this.nudgeSlider('speedSlider', -1) },
+            { id: 'faster', label: 'Faster', keys: [']'], repeat: true, run: () => this.nudgeSlider('speedSlider', 1) },
+            { id: 'center', label: 'Center view', keys: ['c'], run: () => this.exports.centerView?.() },
+            { id: 'randomize', label: 'Randomize system', keys: ['n'], run: () => this.randomize() },
+            { id: 'restart', label: 'Restart', keys: ['R'], run: () => this.restart() },
+            { id: 'inspect', label: 'Inspect particles', keys: ['i'], run: () => this.toggleInspector() },
+            { id: 'brushTool', label: 'Next brush tool', keys: ['b'], run: () => this.brush.nextTool() },
+            { id: 'brushSmaller', label: 'Brush radius −', keys: ['9'], repeat: true, run: () => this.nudgeSlider('brushRadiusSlider', -1) },
+            { id: 'brushLarger', label: 'Brush radius +', keys: ['0'], repeat: true, run: () => this.nudgeSlider('brushRadiusSlider', 1) },
+        ];
+
+        // Parameter nudges, with the schema's keys as defaults
+        for (const param of this.params) {
+            if (!param.nudgeKeys) continue;
+            const nudge = (steps) => () => this.nudgeSlider(`${param.name}Slider`, steps);
+            actions.push(
+                { id: `${param.name}Down`, label: `${param.label} −`, keys: [param.nudgeKeys[0]], repeat: true, run: nudge(-1) },
+                { id: `${param.name}Up`, label: `${param.label} +`, keys: [param.nudgeKeys[1]], repeat: true, run: nudge(1) },
+            );
+        }
+
+        actions.push(
+            { id: 'screenshot', label: 'Screenshot', keys: ['p'], run: () => this.recorder.requestScreenshot() },
+            { id: 'record', label: 'Start / stop recording', keys: ['r'], run: () => this.toggleRecording() },
+            { id: 'fullscreen', label: 'Fullscreen', keys: ['f'], run: () => this.toggleFullscreen() },
+            { id: 'tools', label: 'Tools panel', keys: ['s'], run: () => this.toggleSettings() },
+            { id: 'forceMatrix', label: 'Force matrix panel', keys: ['m'], run: () => this.toggleForceMatrix() },
+            { id: 'presets', label: 'Presets panel', keys: ['g'], run: () => this.togglePanel('presetsPanel') },
+            { id: 'stats', label: 'Statistics panel', keys: ['t'], run: () => this.togglePanel('statsPanel') },
+            { id: 'debug', label: 'Debug panel', keys: ['d'], run: () => this.togglePanel('debugPanel') },
+            { id: 'help', label: 'Keyboard shortcuts', keys: ['?'], run: () => this.togglePanel('helpPanel') },
+        );
+        return actions;
+    }
+
+    // Hints in the panels name the current binding of their action (data-action="id")
+    updateKeyHints() {
+        for (const hint of document.querySelectorAll('[data-action]')) {
+            const keys = this.keymap.keysFor(hint.dataset.action);
+            hint.innerText = keys.length ? keys.map(formatCombo).join(' / ') : 'unbound';
+        }
+    }
+
+    // Move a slider by steps and notify its listeners, as if dragged
+    nudgeSlider(id, steps) {
+        const slider = document.getElementById(id);
+        if (!slider) return;
+        slider.value = String(Number(slider.value) + steps * Number(slider.step || 1));
+        slider.dispatchEvent(new Event('input'));
+    }
+
+    // Initial layout dropdown next to Restart; picking a layout respawns the particles with it
+    setupLayoutControls() {
+        const select = document.getElementById('layoutSelect');
+        const imageInput = document.getElementById('layoutImageInput');
+        if (!select) return;
+
+        for (const layout of INITIAL_LAYOUTS) {
+            select.add(new Option(layout.label, layout.id));
+        }
+        select.addEventListener('change', () => {
+            if (select.value === 'image') {
+                // Keep showing the current layout until an image is loaded
+                select.value = this.layout;
+                imageInput?.click();
+                return;
             }
+            this.setLayout(select.value);
+            this.restart();
+        });
+        imageInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadLayoutImageFile(file);
+            e.target.value = ''; // Allow loading the same file again
         });
     }
 
-    updateSimulationSize() {
-        const w = Number(document.getElementById('simulationWidthSlider')?.value ?? 16) * 64;
-        const h = Number(document.getElementById('simulationHeightSlider')?.value ?? 16) * 64;
-        if (this.exports.setSimulationSize) {
-            this.exports.setSimulationSize(w, h);
+    // Use a layout for the next restarts; the image layout needs a species image (see layouts.js)
+    setLayout(id, image = this.layoutImage) {
+        if (id === 'image' && !(image && this.simulation?.setLayoutImage(image))) return false;
+        this.exports.setInitialLayout(layoutIndex(id));
+        this.layout = id;
+        if (id === 'image') this.layoutImage = image;
+        const select = document.getElementById('layoutSelect');
+        if (select) select.value = id;
+        return true;
+    }
+
+    // Respawn the particles on an image, species by the current colors
+    async loadLayoutImageFile(file) {
+        try {
+            const image = await imageToSpecies(file, (readSpecies(this.exports) ?? []).map((s) => s.color));
+            if (!this.setLayout('image', image)) throw new Error('The image is too large');
+            this.restart();
+            this.scheduleSave();
+        } catch (err) {
+            console.error(`Error loading layout image: ${err.message}`);
+            alert(`Could not use ${file.name}: ${err.message}`);
+        }
+    }
+
+    // Layout of a system description, if it has one (image layouts fall back to uniform without their image)
+    applySystemLayout(system) {
+        if (!system.layout) return;
+        try {
+            const image = system.layoutImage ? decodeLayoutImage(system.layoutImage) : null;
+            if (!this.setLayout(system.layout, image)) this.setLayout(DEFAULT_LAYOUT);
+        } catch (err) {
+            console.warn('Ignoring the layout:', err.message);
+            this.setLayout(DEFAULT_LAYOUT);
         }
     }
 
+    // New system from the next seed
+    randomize() {
+        if (this.exports.randomize) this.exports.randomize();
+        this.onSystemChanged();
+    }
+
+    // Respawn the particles of the current system
+    restart() {
+        if (this.exports.restart) this.exports.restart();
+        this.inspector.clear();
+        this.stats.reset();
+    }
+
     togglePause() {
-        this.paused = !this.paused;
+        this.setPaused(!this.isPaused());
+    }
+
+    // Pause state lives in WASM so update() and the JS loop agree on it
+    setPaused(paused) {
+        this.exports.setPaused(paused);
         const btn = document.getElementById('pauseButton');
-        if (btn) btn.innerText = this.paused ? "Continue" : "Pause";
+        if (btn) btn.innerText = paused ? "Continue" : "Pause";
+    }
+
+    // Advance n steps; works while paused
+    stepFrames(n) {
+        this.scheduler.requestSteps(n);
+    }
+
+    // Step count from the "Step N" field
+    stepCount() {
+        const value = parseInt(document.getElementById('stepCountInput')?.value);
+        return Number.isFinite(value) ? Math.min(Math.max(value, 1), 1000) : 1;
     }
 
     toggleSettings() {
-        const panel = document.getElementById('toolsPanel');
-        if (panel) {
-            const isHidden = panel.style.opacity === '0' || panel.style.visibility === 'hidden';
-            panel.style.opacity = isHidden ? '1' : '0';
-            panel.style.visibility = isHidden ? 'visible' : 'hidden';
+        this.togglePanel('toolsPanel');
+    }
+
+    // Inspect mode shows the inspector panel; clicks pick particles while it is on
+    toggleInspector() {
+        this.setPanelVisible('inspectorPanel', this.inspector.toggle());
+    }
+
+    // World size for the inspector's distances when the borders loop, else null
+    loopingWorldSize() {
+        const values = this.paramValues();
+        return values.loopingBorders ? { width: values.width, height: values.height } : null;
+    }
+
+    toggleForceMatrix() {
+        if (this.togglePanel('forceMatrixPanel')) {
+            this.forceMatrix.refresh();
+        }
+    }
+
+    // Show/hide a panel, returns true if it is now visible
+    togglePanel(id) {
+        const panel = document.getElementById(id);
+        if (!panel) return false;
+
+        const isHidden = getComputedStyle(panel).visibility === 'hidden';
+        this.setPanelVisible(id, isHidden);
+        return isHidden;
+    }
+
+    setPanelVisible(id, visible) {
+        const panel = document.getElementById(id);
+        if (!panel) return;
+        panel.style.opacity = visible ? '1' : '0';
+        panel.style.visibility = visible ? 'visible' : 'hidden';
+
+        // Statistics are only read back while they are shown
+        if (id === 'statsPanel') this.stats.setActive(visible);
+    }
+
+    isPanelVisible(id) {
+        const panel = document.getElementById(id);
+        return panel ? getComputedStyle(panel).visibility !== 'hidden' : false;
+    }
+
+    // Species colors or forces were replaced (randomize, species count, load)
+    onSystemChanged() {
+        this.inspector.clear();
+        this.stats.reset();
+        this.brush.refresh();
+        if (this.isPanelVisible('forceMatrixPanel')) {
+            this.forceMatrix.refresh();
+        }
+    }
+
+    // Species colors changed without a new system (palette or color picker)
+    onColorsChanged() {
+        this.brush.refresh();
+        if (this.isPanelVisible('forceMatrixPanel')) {
+            this.forceMatrix.refresh();
+        }
+    }
+
+    setRecordFps(fps) {
+        this.recorder.fps = fps;
+        const button = document.getElementById('recordFpsButton');
+        if (button) button.innerText = `${fps} fps`;
+    }
+
+    toggleRecording() {
+        try {
+            this.recorder.toggle();
+        } catch (err) {
+            console.error('Failed to start recording:', err);
+            alert(err.message);
         }
     }
 
+    updateRecordingControls() {
+        const recording = this.recorder.isRecording;
+        const recordButton = document.getElementById('recordButton');
+        if (recordButton) recordButton.innerText = recording ? 'Stop recording' : 'Record';
+        document.getElementById('downloadRecordingButton')?.classList.toggle('disabled', !this.recorder.recording);
+        document.getElementById('recordFpsButton')?.classList.toggle('disabled', recording);
+        const deterministicBox = document.getElementById('recordDeterministic');
+        if (deterministicBox) deterministicBox.disabled = recording;
+
+        // On-screen indicator with the clip length, ticking while recording
+        const indicator = document.getElementById('recordingIndicator');
+        const updateIndicator = () => {
+            const seconds = Math.floor(this.recorder.elapsed);
+            const time = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+            if (indicator) indicator.innerText = `\u25CF REC ${time}${this.recorder.deterministic ? ' (fixed step)' : ''}`;
+        };
+        clearInterval(this.recordingTimer);
+        this.recordingTimer = null;
+        if (recording) {
+            updateIndicator();
+            this.recordingTimer = setInterval(updateIndicator, 250);
+        }
+        if (indicator) indicator.style.display = recording ? 'block' : 'none';
+    }
+
     toggleFullscreen() {
         if (!document.fullscreenElement) {
             document.body.requestFullscreen().catch(err => {
@@ -281,12 +740,119 @@ export class UI {
         }
     }
 
-    copyUrl() {
-        // TODO: Implement URL state serialization
-        alert("URL copying not yet implemented");
+    // Read the current system parameters back from the controls
+    getSystemDescription() {
+        const species = readSpecies(this.exports);
+
+        return {
+            seed: this.exports.getSeed() >>> 0,
+            ...this.paramValues(),
+            ...(species && { species }),
+            layout: this.layout,
+            ...(this.layout === 'image' && { layoutImage: encodeLayoutImage(this.layoutImage) }),
+        };
+    }
+
+    // Move the controls to match a (possibly partial) system description
+    // Values only reach WASM once the control events fire (see syncInitialControls)
+    applySystemToControls(system) {
+        for (const param of this.params) {
+            if (system[param.name] !== undefined) this.setParamControl(param, system[param.name]);
+        }
+    }
+
+    // Apply a complete system (colors and force matrix included) and respawn the particles
+    loadSystem(system) {
+        this.applySystem(system, () => this.exports.restart());
+        this.onSystemChanged();
+    }
+
+    // Seed, parameters, colors and forces, then `respawn` (restart, or load particles); returns what it returns
+    // The module holds back the rebuilds the parameters ask for, so the simulation is rebuilt once
+    applySystem(system, respawn) {
+        this.exports.beginParamBatch();
+        try {
+            if (system.seed !== undefined && this.exports.setSeed) {
+                this.exports.setSeed(system.seed);
+            }
+            this.applySystemToControls(system);
+            this.syncInitialControls();
+            if (system.species) {
+                writeSpecies(this.exports, system.species);
+            }
+            this.applySystemLayout(system);
+            return respawn();
+        } finally {
+            this.exports.endParamBatch();
+        }
+    }
+
+    // Download every particle and the system they run in (see snapshot.js for the formats)
+    async saveSnapshot(format) {
+        try {
+            const particles = await this.simulation?.snapshotParticles();
+            const system = this.getSystemDescription();
+            if (!particles || !system.species) throw new Error('The simulation is not running');
+
+            const blob = format === 'csv'
+                ? new Blob([snapshotToCsv(system, particles)], { type: 'text/csv' })
+                : new Blob([encodeSnapshot(system, particles)], { type: 'application/octet-stream' });
+            download(blob, timestampName('particle-life-snapshot', format));
+        } catch (err) {
+            console.error('Snapshot failed:', err);
+            alert(`Could not save a snapshot: ${err.message}`);
+        }
+    }
+
+    // Resume a snapshot: its system, then its particles exactly as they were
+    async loadSnapshotFile(file) {
+        try {
+            const { system, particles } = await parseSnapshotFile(file, this.params);
+            if (!this.simulation) throw new Error('The simulation is not running');
+            if (!this.applySystem(system, () => this.simulation.loadParticles(particles))) throw new Error('Too many particles');
+            this.onSystemChanged();
+        } catch (err) {
+            console.error(`Error loading snapshot: ${err.message}`);
+            alert(`Could not load ${file.name}: ${err.message}`);
+        }
+    }
+
+    async loadSystemFile(file) {
+        try {
+            this.loadSystem(parseSystem(await file.text(), this.params));
+        } catch (err) {
+            console.error(`Error loading system: ${err.message}`);
+            alert(`Could not load ${file.name}: ${err.message}`);
+        }
+    }
+
+    saveSystem() {
+        const blob = new Blob([serializeSystem(this.getSystemDescription())], { type: 'application/json' });
+        download(blob, 'particle-life-system.json');
+    }
+
+    async copyUrl() {
+        const location = window.location;
+        // The query string keeps page options such as ?worker=1
+        const url = location.origin + location.pathname + location.search + encodeSystemHash(this.getSystemDescription(), this.params);
+
+        // Keep the address bar in sync so a reload reproduces the same system
+        history.replaceState(null, '', url);
+
+        const btn = document.getElementById('copyUrlButton');
+        try {
+            await navigator.clipboard.writeText(url);
+            if (btn) btn.innerText = 'Copied!';
+        } catch (err) {
+            console.error(`Error copying URL: ${err.message}`);
+            if (btn) btn.innerText = 'Copy failed';
+        }
+        setTimeout(() => {
+            if (btn) btn.innerText = 'Copy URL';
+        }, 1500);
     }
 
     isPaused() {
-        return this.paused;
+        return Boolean(this.exports.isPaused());
     }
 }
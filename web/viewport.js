@@ -0,0 +1,119 @@
+// Canvas sizing for Zig Particle Life
+// Follows the canvas element's size in device pixels with a ResizeObserver (devicePixelContentBoxSize
+// where supported, so fractional pixel ratios map to exact pixels), including pixel ratio changes from
+// browser zoom or moving the window to another monitor. Every new size reallocates the HDR texture,
+// so the drawing buffer is only resized once the size settles; until then the browser stretches the
+// last frame. The render scale sizes the drawing buffer independently of the element's CSS size.
+
+// Render scales offered by the tools panel slider
+export const RENDER_SCALES = [0.5, 0.75, 1, 1.5, 2];
+
+// Resizes are applied this long after the last size change
+const RESIZE_DELAY_MS = 150;
+
+export class CanvasViewport {
+    // apply(width, height) receives the drawing buffer size in pixels
+    constructor(canvas, apply) {
+        this.canvas = canvas;
+        this.apply = apply;
+        this.renderScale = 1;
+        this.maxSize = Infinity; // Largest drawing buffer side the device can allocate (maxTextureDimension2D)
+        this.cssSize = null; // [width, height] of the element in CSS pixels
+        this.deviceSize = null; // [width, height] of the element in device pixels
+        this.exact = false; // deviceSize comes from devicePixelContentBoxSize
+        this.applied = null; // [width, height] last passed to apply()
+        this.timer = null;
+    }
+
+    // Size the drawing buffer now and follow the element from here on
+    observe() {
+        this.measure();
+        this.applyNow();
+
+        if (typeof ResizeObserver === 'undefined') {
+            window.addEventListener('resize', () => {
+                this.measure();
+                this.schedule();
+            });
+        } else {
+            const observer = new ResizeObserver((entries) => this.onResize(entries[entries.length - 1]));
+            try {
+                observer.observe(this.canvas, { box: 'device-pixel-content-box' });
+            } catch {
+                observer.observe(this.canvas); // Browsers without device-pixel-content-box
+            }
+        }
+        this.watchPixelRatio();
+    }
+
+    // Size from the element's layout, rounded to device pixels
+    measure() {
+        const dpr = window.devicePixelRatio || 1;
+        this.cssSize = [this.canvas.clientWidth, this.canvas.clientHeight];
+        this.deviceSize = this.cssSize.map((size) => Math.round(size * dpr));
+    }
+
+    onResize(entry) {
+        const box = entry.contentBoxSize?.[0];
+        this.cssSize = box ? [box.inlineSize, box.blockSize] : [entry.contentRect.width, entry.contentRect.height];
+
+        const device = entry.devicePixelContentBoxSize?.[0];
+        this.exact = Boolean(device);
+        if (device) {
+            this.deviceSize = [device.inlineSize, device.blockSize];
+        } else {
+            const dpr = window.devicePixelRatio || 1;
+            this.deviceSize = this.cssSize.map((size) => Math.round(size * dpr));
+        }
+        this.schedule();
+    }
+
+    // A pixel ratio change doesn't always resize the element in CSS pixels (moving between monitors),
+    // so without device-pixel-content-box it has to be watched separately
+    watchPixelRatio() {
+        const query = window.matchMedia?.(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        query?.addEventListener('change', () => {
+            if (!this.exact) {
+                this.measure();
+                this.schedule();
+            }
+            this.watchPixelRatio(); // The query only matches the old ratio
+        }, { once: true });
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.applyNow(), RESIZE_DELAY_MS);
+    }
+
+    setRenderScale(scale) {
+        if (scale === this.renderScale) return;
+        this.renderScale = scale;
+        this.applyNow();
+    }
+
+    // Drawing buffer size: the element in device pixels times the render scale, within the device limit
+    bufferSize() {
+        const [width, height] = this.deviceSize.map((size) => Math.max(1, size * this.renderScale));
+        const fit = Math.min(1, this.maxSize / Math.max(width, height));
+        return [Math.max(1, Math.round(width * fit)), Math.max(1, Math.round(height * fit))];
+    }
+
+    applyNow() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.deviceSize) return;
+
+        const size = this.bufferSize();
+        if (this.applied && size[0] === this.applied[0] && size[1] === this.applied[1]) return;
+        this.applied = size;
+        this.apply(...size);
+    }
+
+    // Drawing buffer pixels per CSS pixel, for mapping pointer positions onto the canvas
+    // Uses the applied size, which is what the (possibly stretched) canvas shows
+    get pixelRatio() {
+        if (!this.applied || !this.cssSize?.[0]) return (window.devicePixelRatio || 1) * this.renderScale;
+        return this.applied[0] / this.cssSize[0];
+    }
+}
@@ -0,0 +1,206 @@
+// Simulation worker for Zig Particle Life
+// Runs the simulation host (host.js) on an OffscreenCanvas transferred from the page, so simulating
+// and rendering don't compete with the UI for the main thread. The page side is remote.js.
+//
+// Page to worker:
+//     probe {powerPreference}                 Check WebGPU works here, before the canvas is transferred
+//     init {canvas, powerPreference}          Set up WebGPU and WASM; answered with ready {params, exports, maxTextureSize}
+//     call {name, args}                       Call a WASM export
+//     resize {width, height}                  Drawing buffer size in pixels
+//     scheduler {speed, substeps}, steps {count}
+//     capture {id, kind, width, height}       Screenshot (PNG) or thumbnail (JPEG) of the next frame
+//     inspect {id, x, y, options}             Inspect and highlight a particle (see inspect.js)
+//     snapshot {id}                           Read every particle back (see snapshot.js)
+//     loadParticles {particles}               Rebuild the simulation with these particles
+//     layoutImage {image}                     Species image for the image layout (see layouts.js)
+//     start                                   Begin the frame loop (after init() and the first parameters)
+// Worker to page:
+//     probed {reason}                         reason is null if the worker can render
+//     state {version, seed, paused, colors, forces}
+//                                             Mirror for the getters; version changes when the system is rebuilt
+//     stats {bytes}                           stats.Stats after each completed readback (see stats.js)
+//     status, fps, debug {text}, gpuError {message}, unsupported {reason}, reload, error {message}
+//     captured {id, blob}, inspected {id, result}, snapshotted {id, particles}
+//                                             Answers to capture, inspect and snapshot
+
+import { createSimulationHost } from './host.js';
+import { readParamSchema } from './params.js';
+import { clampParticleCount } from './capabilities.js';
+import { FixedStepScheduler } from './scheduler.js';
+import { drawCropped } from './recorder.js';
+import { FORCE_FLOATS, SPECIES_FLOATS } from './system.js';
+import { STATS_BYTES } from './stats.js';
+
+// Calls that replace the species and force matrix (for setParam, only restart parameters do)
+const SYSTEM_CALLS = ['init', 'restart', 'randomize', 'setSpeciesCount', 'setParticleCount', 'setSimulationSize', 'endParamBatch'];
+
+let host = null;
+let exports = null;
+let params = null;
+let systemVersion = 0;
+let statePending = false;
+let statsSample = 0; // stats.Stats sample last posted
+const scheduler = new FixedStepScheduler();
+const captures = []; // capture messages waiting for the next frame
+
+function post(message, transfer = []) {
+    self.postMessage(message, transfer);
+}
+
+// Why this worker can't render, or null if it can
+async function probe(powerPreference) {
+    if (typeof OffscreenCanvas === 'undefined' || !navigator.gpu) return 'WebGPU is not available in workers';
+    if (!new OffscreenCanvas(1, 1).getContext('webgpu')) return 'OffscreenCanvas has no WebGPU context';
+    if (!await navigator.gpu.requestAdapter({ powerPreference })) return 'No WebGPU adapter in workers';
+    return null;
+}
+
+async function init(canvas, powerPreference) {
+    host = createSimulationHost(canvas, {
+        status: (text) => post({ type: 'status', text }),
+        unsupported: (reason) => post({ type: 'unsupported', reason }),
+        gpuError: (message) => post({ type: 'gpuError', message }),
+        fps: (fps) => post({ type: 'fps', fps }),
+        debugVisible: () => true, // The page decides whether to show it
+        debug: (text) => post({ type: 'debug', text }),
+        frameDt: (dt) => dt,
+        scheduler: () => scheduler,
+        isPaused: () => Boolean(exports.isPaused()),
+        afterFrame: () => {
+            captureFrame();
+            postStats();
+        },
+        reload: () => post({ type: 'reload' }),
+    });
+
+    await host.initWebGPU(powerPreference);
+    exports = await host.loadWasm();
+
+    // Parameters and systems are described by the module, so they can only be read from here on
+    params = readParamSchema(exports);
+    clampParticleCount(params, host.state.device.limits);
+
+    const functions = Object.keys(exports).filter((name) => typeof exports[name] === 'function');
+    post({ type: 'ready', params, exports: functions, maxTextureSize: host.state.device.limits.maxTextureDimension2D });
+}
+
+function call(name, args) {
+    if (!exports[name]) return;
+    exports[name](...args);
+
+    const restartParam = name === 'setParam' && params.find((param) => param.key === args[0])?.restart;
+    if (SYSTEM_CALLS.includes(name) || restartParam) systemVersion++;
+    scheduleState();
+}
+
+// Calls tend to come in bursts (writeSpecies, loading a system); send one state for the lot
+function scheduleState() {
+    if (statePending) return;
+    statePending = true;
+    setTimeout(() => {
+        statePending = false;
+        postState();
+    }, 0);
+}
+
+function postState() {
+    const n = exports.getSpeciesCount();
+    const speciesPtr = exports.getSpeciesPtr();
+    const forcesPtr = exports.getForcesPtr();
+    const ready = speciesPtr && forcesPtr;
+
+    const colors = ready ? new Float32Array(exports.memory.buffer, speciesPtr, n * SPECIES_FLOATS).slice() : null;
+    const forces = ready ? new Float32Array(exports.memory.buffer, forcesPtr, n * n * FORCE_FLOATS).slice() : null;
+    post({
+        type: 'state',
+        version: systemVersion,
+        seed: exports.getSeed() >>> 0,
+        paused: Boolean(exports.isPaused()),
+        colors,
+        forces,
+    }, ready ? [colors.buffer, forces.buffer] : []);
+}
+
+// Readbacks complete between frames; pass each new result on
+function postStats() {
+    const ptr = exports.getStatsPtr();
+    if (!ptr) return;
+    const sample = new Uint32Array(exports.memory.buffer, ptr, 1)[0];
+    if (sample === statsSample) return;
+
+    statsSample = sample;
+    const bytes = new Uint8Array(exports.memory.buffer, ptr, STATS_BYTES).slice();
+    post({ type: 'stats', bytes }, [bytes.buffer]);
+}
+
+// Answer capture requests while the presented frame is still readable
+function captureFrame() {
+    for (const { id, kind, width, height } of captures.splice(0)) {
+        let blob;
+        if (kind === 'thumbnail') {
+            const thumbnail = new OffscreenCanvas(width, height);
+            drawCropped(thumbnail.getContext('2d'), host.state.canvas, width, height);
+            blob = thumbnail.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+        } else {
+            blob = host.state.canvas.convertToBlob({ type: 'image/png' });
+        }
+        blob.then((result) => post({ type: 'captured', id, blob: result }))
+            .catch((err) => post({ type: 'captured', id, blob: null, error: err.message }));
+    }
+}
+
+self.addEventListener('message', async (e) => {
+    const message = e.data;
+    try {
+        switch (message.type) {
+            case 'probe':
+                post({ type: 'probed', reason: await probe(message.powerPreference) });
+                break;
+            case 'init':
+                await init(message.canvas, message.powerPreference);
+                break;
+            case 'call':
+                call(message.name, message.args);
+                break;
+            case 'resize':
+                host.resize(message.width, message.height);
+                break;
+            case 'scheduler':
+                scheduler.setSpeed(message.speed);
+                scheduler.substeps = message.substeps;
+                break;
+            case 'steps':
+                scheduler.requestSteps(message.count);
+                break;
+            case 'capture':
+                captures.push(message);
+                break;
+            case 'inspect':
+                host.inspect(message.x, message.y, message.options)
+                    .then((result) => post({ type: 'inspected', id: message.id, result }))
+                    .catch((err) => post({ type: 'inspected', id: message.id, result: null, error: err.message }));
+                break;
+            case 'snapshot':
+                host.snapshotParticles()
+                    .then((particles) => post({ type: 'snapshotted', id: message.id, particles }, particles ? [particles.buffer] : []))
+                    .catch((err) => post({ type: 'snapshotted', id: message.id, particles: null, error: err.message }));
+                break;
+            case 'loadParticles':
+                if (host.loadParticles(message.particles)) {
+                    systemVersion++;
+                    scheduleState();
+                }
+                break;
+            case 'layoutImage':
+                host.setLayoutImage(message.image);
+                break;
+            case 'start':
+                postState();
+                host.start();
+                break;
+        }
+    } catch (err) {
+        console.error(`Worker failed to handle ${message.type}:`, err);
+        post({ type: 'error', message: err.message });
+    }
+});